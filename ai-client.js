@@ -133,6 +133,7 @@ class AIClient {
                 },
                 body: JSON.stringify({
                     conversationHistory: this.conversationHistory,
+                    clientTranscript: true, // серверной копии урока у этого клиента нет
                     scenarioId,
                     duration
                 })
@@ -0,0 +1,18 @@
+// Доступ к админским эндпоинтам по токену из окружения: Authorization: Bearer <токен>.
+// Токен не задан — эндпоинт выключен (503), а не открыт. Общий для /api/ledger и записи в /api/drills.
+
+import crypto from 'crypto';
+
+/** Токен из переменной окружения name; null — не задан. */
+export function adminToken(name) {
+    const t = process.env[name];
+    return t && t.trim() ? t.trim() : null;
+}
+
+/** Заголовок Authorization совпадает с токеном (сравнение за постоянное время). */
+export function authorized(req, token) {
+    const header = String(req.headers.authorization || '');
+    const given = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
@@ -0,0 +1,120 @@
+// Кэш результатов анализа (director-report, session-analysis), адресуемый по содержимому.
+// Ключ — SHA-256 от эндпоинта, конфига модели, версий промптов, нормализованного транскрипта
+// и полей контекста, попадающих в промпт. Тот же урок с тем же контекстом получает тот же
+// ответ модели, а не новый прогон с другим вердиктом; force в запросе — явная переоценка.
+//
+// Кэшируется только ответ модели: проверка цитат, ИПР, подпись и прочая детерминированная
+// обработка выполняются на каждом запросе заново.
+//
+// Хранение: in-memory Map + опционально файлы в RESULT_CACHE_DIR (как SESSIONS_DIR в _sessions.js).
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { endpointConfig } from './_llm.js';
+import { canonicalJson } from './_signing.js';
+
+const TTL_MS = 30 * 24 * 60 * 60_000; // месяц: руководитель открывает отчёт кандидата и через недели
+const MAX_ENTRIES = 2000;
+
+const entries = new Map(); // key -> { createdAt, value }
+
+function storeDir() {
+    const dir = process.env.RESULT_CACHE_DIR && process.env.RESULT_CACHE_DIR.trim();
+    return dir || null;
+}
+
+// key — hex SHA-256; всё остальное в имя файла не попадает
+function entryFile(dir, key) {
+    return path.join(dir, `${key}.json`);
+}
+
+function isKey(key) {
+    return typeof key === 'string' && /^[0-9a-f]{64}$/.test(key);
+}
+
+function sweep(now) {
+    for (const [key, e] of entries) if (now - e.createdAt > TTL_MS) entries.delete(key);
+    // Map хранит порядок вставки — при переполнении выбрасываем самые старые
+    for (const key of entries.keys()) {
+        if (entries.size <= MAX_ENTRIES) break;
+        entries.delete(key);
+    }
+}
+
+// Реплика для ключа: роль + текст без разницы в пробелах и формах Unicode
+function normalizeTurn(m) {
+    return {
+        role: String((m && m.role) ?? ''),
+        content: String((m && m.content) ?? '').normalize('NFC').replace(/\s+/g, ' ').trim()
+    };
+}
+
+/**
+ * Ключ кэша результата.
+ * @param {string} endpoint — ключ из ENDPOINTS _llm.js
+ * @param {Object} parts
+ * @param {Object} parts.prompts — promptVersions(...) промптов, которыми собран запрос
+ * @param {Array<{role, content}>} parts.transcript
+ * @param {Object} parts.context — остальные переменные промпта (класс, тема, метрики...)
+ * @returns {string} hex SHA-256
+ */
+export function resultKey(endpoint, { prompts, transcript, context }) {
+    const { provider, model, temperature, maxTokens } = endpointConfig(endpoint);
+    const payload = canonicalJson({
+        v: 1,
+        endpoint,
+        llm: { provider, model, temperature, maxTokens },
+        prompts,
+        transcript: (transcript || []).map(normalizeTurn),
+        context: context ?? null
+    });
+    return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+/**
+ * Кэшированный результат или null. Возвращается копия — вызывающий может её менять.
+ * @returns {{createdAt: number, value: *}|null}
+ */
+export function getResult(key) {
+    if (!isKey(key)) return null;
+    let entry = entries.get(key);
+    if (!entry) {
+        const dir = storeDir();
+        if (!dir) return null;
+        try {
+            entry = JSON.parse(fs.readFileSync(entryFile(dir, key), 'utf8'));
+        } catch {
+            return null;
+        }
+        entries.set(key, entry);
+    }
+    if (Date.now() - entry.createdAt > TTL_MS) {
+        entries.delete(key);
+        return null;
+    }
+    return { createdAt: entry.createdAt, value: structuredClone(entry.value) };
+}
+
+/**
+ * Сохранить результат (перезаписывает прежний — так работает force).
+ * @returns {number|null} createdAt
+ */
+export function putResult(key, value) {
+    if (!isKey(key)) return null;
+    const now = Date.now();
+    const entry = { createdAt: now, value: structuredClone(value) };
+    entries.delete(key);
+    entries.set(key, entry);
+    sweep(now);
+    const dir = storeDir();
+    if (dir) {
+        try {
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(entryFile(dir, key), JSON.stringify(entry));
+        } catch (e) {
+            console.error('[Cache] persist failed:', e.message);
+        }
+    }
+    return now;
+}
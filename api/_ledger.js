@@ -0,0 +1,269 @@
+// Учёт расходов на модель: каждая реплика/отчёт записывается с токенами и стоимостью,
+// с метками организации, пользователя и сессии. Поверх — месячные бюджеты организаций:
+// мягкое предупреждение (по умолчанию с 80%) и жёсткая остановка при исчерпании.
+//
+// Хранение: in-memory (как _sessions.js) + опционально LEDGER_DIR:
+//   ledger-YYYY-MM.jsonl — по строке на вызов модели (из него же восстанавливаются суммы после рестарта)
+//   budgets.json         — бюджеты организаций
+// Оговорка: метки org/user приходят от клиента (сервер не проверяет Firebase-токен), сессия
+// даёт их из своего meta. Поэтому расход списывается с организации, только если её знает сервер:
+// у неё свой бюджет (budgets.json) или настройки в _orgs.js — их задают админы по токену.
+// Остальные запросы — без X-Org-Id или с выдуманным — одна общая корзина со своим лимитом
+// NO_ORG_MONTHLY_BUDGET_USD (не задан — тот же ORG_MONTHLY_BUDGET_USD): новым id жёсткую остановку не обойти.
+// Заявленный orgId остаётся в журнале и в метках (по нему /api/drills находит дриллы организации).
+//
+// Бюджет: свой у организации (в том числе явно «без лимита»), иначе ORG_MONTHLY_BUDGET_USD.
+
+import fs from 'fs';
+import path from 'path';
+import { getSession } from './_sessions.js';
+import { orgSettings } from './_orgs.js';
+
+const SOFT_PERCENT_DEFAULT = 80;
+const RECENT_LIMIT = 500;   // последние вызовы для админки (полный журнал — в LEDGER_DIR)
+
+const months = new Map();   // 'YYYY-MM' -> { orgs: Map(orgKey -> aggregate), recent: [] }
+let budgets = null;         // orgId -> { monthlyUSD, softPercent }; monthlyUSD === null — явно без лимита
+                            // orgKey — корзина бюджета (budgetOrgId записи), а не заявленный клиентом orgId
+
+const NO_ORG = '(без организации)';
+
+function storeDir() {
+    const dir = process.env.LEDGER_DIR && process.env.LEDGER_DIR.trim();
+    return dir || null;
+}
+
+export function monthKey(date = new Date()) {
+    return date.toISOString().slice(0, 7);
+}
+
+function cleanId(v) {
+    return typeof v === 'string' && /^[A-Za-z0-9_-]{1,128}$/.test(v) ? v : null;
+}
+
+function emptyAggregate() {
+    return { calls: 0, tokens: 0, usd: 0, byEndpoint: {} };
+}
+
+function addTo(agg, entry) {
+    agg.calls++;
+    agg.tokens += entry.tokens;
+    agg.usd += entry.usd;
+    const ep = agg.byEndpoint[entry.endpoint] || (agg.byEndpoint[entry.endpoint] = { calls: 0, tokens: 0, usd: 0 });
+    ep.calls++;
+    ep.tokens += entry.tokens;
+    ep.usd += entry.usd;
+}
+
+function apply(month, entry) {
+    // Записи до корзин бюджета (без budgetOrgId) — по заявленной организации, как считались тогда
+    const orgKey = (entry.budgetOrgId !== undefined ? entry.budgetOrgId : entry.orgId) || NO_ORG;
+    if (!month.orgs.has(orgKey)) month.orgs.set(orgKey, emptyAggregate());
+    addTo(month.orgs.get(orgKey), entry);
+    month.recent.push(entry);
+    if (month.recent.length > RECENT_LIMIT) month.recent.shift();
+}
+
+// Месяц лениво поднимается из журнала при первом обращении (холодный старт инстанса)
+function loadMonth(key) {
+    if (months.has(key)) return months.get(key);
+    const month = { orgs: new Map(), recent: [] };
+    months.set(key, month);
+    const dir = storeDir();
+    if (dir) {
+        try {
+            const lines = fs.readFileSync(path.join(dir, `ledger-${key}.jsonl`), 'utf8').split('\n');
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                try { apply(month, JSON.parse(line)); } catch { /* битая строка — пропускаем */ }
+            }
+        } catch { /* журнала за месяц ещё нет */ }
+    }
+    return month;
+}
+
+function loadBudgets() {
+    if (budgets) return budgets;
+    budgets = {};
+    const dir = storeDir();
+    if (dir) {
+        try { budgets = JSON.parse(fs.readFileSync(path.join(dir, 'budgets.json'), 'utf8')) || {}; } catch { /* нет файла */ }
+    }
+    return budgets;
+}
+
+/**
+ * Корзина бюджета для заявленной организации: она сама, если её знает сервер (свой бюджет или
+ * настройки /api/orgs), иначе null — общая корзина запросов без организации.
+ */
+export function budgetOrgOf(orgId) {
+    if (!orgId) return null;
+    return Object.hasOwn(loadBudgets(), orgId) || orgSettings(orgId).registered ? orgId : null;
+}
+
+/**
+ * Метки вызова из запроса: X-Org-Id, X-User-Id, X-Session-Id. Если сессия известна серверу,
+ * организация и пользователь берутся из её meta (их записал /api/sessions при старте урока).
+ * budgetOrgId — корзина бюджета (budgetOrgOf): заявленный orgId сам по себе бюджет не выбирает.
+ */
+export function ledgerTags(req) {
+    const header = (name) => {
+        const v = req.headers && req.headers[name];
+        return Array.isArray(v) ? v[0] : v;
+    };
+    const sessionId = header('x-session-id') || (req.body && req.body.sessionId) || null;
+    const session = sessionId ? getSession(sessionId) : null;
+    const orgId = (session && session.meta.orgId) || cleanId(header('x-org-id'));
+    return {
+        orgId,
+        budgetOrgId: budgetOrgOf(orgId),
+        userId: (session && session.meta.userId) || cleanId(header('x-user-id')),
+        sessionId: session ? session.id : null
+    };
+}
+
+function envBudget(name) {
+    const v = Number(process.env[name]);
+    return Number.isFinite(v) && v > 0 ? v : null;
+}
+
+/**
+ * Бюджет организации на месяц (orgId null — общая корзина запросов без организации).
+ * @returns {{monthlyUSD: number|null, softPercent: number, source: 'org'|'default'}} monthlyUSD === null — без лимита;
+ *   source 'org' — задан для организации, 'default' — из переменных окружения
+ */
+export function orgBudget(orgId) {
+    const own = orgId ? loadBudgets()[orgId] : null;
+    const softPercent = own && own.softPercent ? own.softPercent : SOFT_PERCENT_DEFAULT;
+    if (own && (typeof own.monthlyUSD === 'number' || own.monthlyUSD === null)) {
+        return { monthlyUSD: own.monthlyUSD, softPercent, source: 'org' };
+    }
+    const fallback = orgId ? envBudget('ORG_MONTHLY_BUDGET_USD')
+        : envBudget('NO_ORG_MONTHLY_BUDGET_USD') ?? envBudget('ORG_MONTHLY_BUDGET_USD');
+    return { monthlyUSD: fallback, softPercent, source: 'default' };
+}
+
+/**
+ * Задать бюджет организации: monthlyUSD — число или null (явно без лимита, умолчание не действует);
+ * reset: true — убрать свой бюджет, организация снова живёт по ORG_MONTHLY_BUDGET_USD, но остаётся
+ * известной серверу (своя корзина, budgetOrgOf).
+ */
+export function setOrgBudget(orgId, { monthlyUSD, softPercent, reset = false }) {
+    const all = loadBudgets();
+    if (reset) {
+        all[orgId] = { softPercent: SOFT_PERCENT_DEFAULT };
+    } else {
+        all[orgId] = { monthlyUSD, softPercent: softPercent || SOFT_PERCENT_DEFAULT };
+    }
+    const dir = storeDir();
+    if (dir) {
+        try {
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(path.join(dir, 'budgets.json'), JSON.stringify(all, null, 2));
+        } catch (e) {
+            console.error('[Ledger] budgets persist failed:', e.message);
+        }
+    }
+    return orgBudget(orgId);
+}
+
+/**
+ * Состояние бюджета организации в текущем месяце.
+ * @returns {{spentUSD: number, monthlyUSD: number|null, percent: number|null, status: 'ok'|'warning'|'exceeded'}}
+ */
+export function budgetStatus(orgId) {
+    const agg = loadMonth(monthKey()).orgs.get(orgId || NO_ORG);
+    const spentUSD = agg ? agg.usd : 0;
+    const { monthlyUSD, softPercent } = orgBudget(orgId);
+    if (monthlyUSD === null) return { spentUSD, monthlyUSD: null, percent: null, status: 'ok' };
+    const percent = monthlyUSD > 0 ? Math.round(spentUSD / monthlyUSD * 100) : 100;
+    const status = spentUSD >= monthlyUSD ? 'exceeded' : percent >= softPercent ? 'warning' : 'ok';
+    return { spentUSD, monthlyUSD, percent, status };
+}
+
+/**
+ * Проверка бюджета перед вызовом модели (ставится рядом с rateLimited).
+ * Возвращает метки для записи расхода или null, если бюджет исчерпан и ответ 402 уже отправлен.
+ * При мягком превышении добавляет заголовок X-Budget-Warning (процент израсходованного).
+ */
+export function budgetGuard(req, res) {
+    const tags = ledgerTags(req);
+    const budget = budgetStatus(tags.budgetOrgId);
+    res.setHeader('Access-Control-Expose-Headers', 'X-Budget-Warning');
+    if (budget.status === 'exceeded') {
+        res.status(402).json({
+            error: 'Budget exceeded',
+            message: 'Месячный бюджет организации на AI исчерпан. Обратитесь к администратору школы.',
+            budget
+        });
+        return null;
+    }
+    if (budget.status === 'warning') res.setHeader('X-Budget-Warning', String(budget.percent));
+    return tags;
+}
+
+/**
+ * Записать вызов модели. Вызывается из _llm.js для каждого запроса к провайдеру (включая ремонтные).
+ */
+export function recordUsage({ endpoint, provider, model, usage, cost }, tags = {}) {
+    const entry = {
+        at: new Date().toISOString(),
+        endpoint,
+        provider,
+        model,
+        orgId: tags.orgId || null,
+        budgetOrgId: tags.budgetOrgId !== undefined ? tags.budgetOrgId : budgetOrgOf(tags.orgId || null),
+        userId: tags.userId || null,
+        sessionId: tags.sessionId || null,
+        promptTokens: usage.prompt_tokens,
+        completionTokens: usage.completion_tokens,
+        tokens: usage.total_tokens,
+        usd: Number(cost.estimatedCostUSD) || 0
+    };
+    const key = entry.at.slice(0, 7);
+    apply(loadMonth(key), entry);
+    const dir = storeDir();
+    if (dir) {
+        try {
+            fs.mkdirSync(dir, { recursive: true });
+            fs.appendFileSync(path.join(dir, `ledger-${key}.jsonl`), JSON.stringify(entry) + '\n');
+        } catch (e) {
+            console.error('[Ledger] persist failed:', e.message);
+        }
+    }
+    return entry;
+}
+
+const round6 = (n) => Math.round(n * 1e6) / 1e6;
+
+function roundAggregate(agg) {
+    const byEndpoint = {};
+    for (const [ep, v] of Object.entries(agg.byEndpoint)) byEndpoint[ep] = { ...v, usd: round6(v.usd) };
+    return { calls: agg.calls, tokens: agg.tokens, usd: round6(agg.usd), byEndpoint };
+}
+
+/**
+ * Отчёт для админки: расход за месяц по корзинам бюджета (организациям, которые знает сервер,
+ * и общей корзине — orgId null) и эндпоинтам.
+ */
+export function spendReport(key = monthKey()) {
+    const month = loadMonth(key);
+    const total = emptyAggregate();
+    const orgs = [];
+    for (const [orgKey, agg] of month.orgs) {
+        for (const [endpoint, v] of Object.entries(agg.byEndpoint)) {
+            const t = total.byEndpoint[endpoint] || (total.byEndpoint[endpoint] = { calls: 0, tokens: 0, usd: 0 });
+            t.calls += v.calls; t.tokens += v.tokens; t.usd += v.usd;
+        }
+        total.calls += agg.calls; total.tokens += agg.tokens; total.usd += agg.usd;
+        const orgId = orgKey === NO_ORG ? null : orgKey;
+        orgs.push({
+            orgId,
+            ...roundAggregate(agg),
+            budget: orgBudget(orgId),
+            status: key === monthKey() ? budgetStatus(orgId).status : null
+        });
+    }
+    orgs.sort((a, b) => b.usd - a.usd);
+    return { month: key, total: roundAggregate(total), orgs, recent: month.recent.slice(-50).reverse() };
+}
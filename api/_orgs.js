@@ -0,0 +1,60 @@
+// Настройки организаций на сервере: то, что влияет на подписанный отчёт директору, клиент не присылает.
+// Сейчас это проходной балл кандидата (certThreshold): отчёт сравнивает готовность с порогом организации
+// урока, а не с числом из браузера кандидата.
+//
+// Хранение: in-memory (как бюджеты в _ledger.js) + опционально ORGS_DIR/orgs.json.
+// Записывает настройки /api/orgs с ORG_ADMIN_TOKEN; читать их может кто угодно — секретов в них нет.
+
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULTS = { certThreshold: 0 }; // 0 — порог не используется
+
+let orgs = null; // orgId -> { certThreshold, updatedAt }
+
+function storeDir() {
+    const dir = process.env.ORGS_DIR && process.env.ORGS_DIR.trim();
+    return dir || null;
+}
+
+function loadOrgs() {
+    if (orgs) return orgs;
+    orgs = {};
+    const dir = storeDir();
+    if (dir) {
+        try { orgs = JSON.parse(fs.readFileSync(path.join(dir, 'orgs.json'), 'utf8')) || {}; } catch { /* нет файла */ }
+    }
+    return orgs;
+}
+
+export function isOrgId(v) {
+    return typeof v === 'string' && /^[A-Za-z0-9_-]{1,128}$/.test(v);
+}
+
+/**
+ * Настройки организации; неизвестная организация (или null) — настройки по умолчанию.
+ * @returns {{certThreshold: number, registered: boolean}}
+ */
+export function orgSettings(orgId) {
+    const own = isOrgId(orgId) && Object.hasOwn(loadOrgs(), orgId) ? loadOrgs()[orgId] : null;
+    return { ...DEFAULTS, ...(own ? { certThreshold: own.certThreshold } : {}), registered: !!own };
+}
+
+/**
+ * Сохранить настройки организации (организация тем самым регистрируется на сервере).
+ * @param {{certThreshold: number}} settings — порог 0..100, проверяет вызывающий
+ */
+export function setOrgSettings(orgId, { certThreshold }) {
+    const all = loadOrgs();
+    all[orgId] = { certThreshold, updatedAt: new Date().toISOString() };
+    const dir = storeDir();
+    if (dir) {
+        try {
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(path.join(dir, 'orgs.json'), JSON.stringify(all, null, 2));
+        } catch (e) {
+            console.error('[Orgs] persist failed:', e.message);
+        }
+    }
+    return orgSettings(orgId);
+}
@@ -0,0 +1,81 @@
+// Промпт Ко-Пилота (/api/copilot): тип реплики учителя и короткая обратная связь по ходу урока
+
+import { definePrompt } from './registry.js';
+
+const PARENT_CONTEXT = '\n\nКОНТЕКСТ: это НЕ урок, а личная встреча учителя с ТРУДНЫМ РОДИТЕЛЕМ. Оценивай реплику по критериям такой встречи: деэскалация, эмпатия без капитуляции, удержание границ, конкретика и план вместо оправданий. Типы реплик из списка ниже применяй по смыслу.\n';
+const COLLEAGUE_CONTEXT = '\n\nКОНТЕКСТ: это НЕ урок, а рабочий разговор учителя с КОЛЛЕГОЙ или ПРЕДСТАВИТЕЛЕМ АДМИНИСТРАЦИИ (завуч, руководитель МО). Собеседник — взрослый профессионал со своей целью. Оценивай реплику по критериям делового общения: слушает и уточняет, принимает обоснованную критику без оправданий, называет свою позицию спокойно и с фактами, держит границы без конфликта и без капитуляции, ведёт к конкретной договорённости. Жалобы, оправдания, пассивная агрессия и согласие на всё — риск. Типы реплик из списка ниже применяй по смыслу.\n';
+// Рамка разговора вне урока по режиму симулятора
+const SCENE_CONTEXT = { parent: PARENT_CONTEXT, colleague: COLLEAGUE_CONTEXT };
+
+function schoolBlock(rules) {
+    return `\n\n══ НОРМЫ ЭТОЙ ШКОЛЫ (учитывай при оценке!) ══\n${rules}\nЕсли учитель нарушает норму школы (например, здоровается фамильярно там, где принято официально, или обращается на "ты" там, где принято на "вы") — мягко отметь это в risk/advice со ссылкой на правила школы. Если норма соблюдена — не придирайся.\n`;
+}
+
+// Уже выданные подсказки — чтобы Ко-Пилот не противоречил сам себе
+function hintsBlock(hints) {
+    return `\n\nПОДСКАЗКИ, КОТОРЫЕ ТЫ УЖЕ ВЫДАВАЛ В ЭТОЙ СЕССИИ:\n${hints.map((h, i) => `${i + 1}. ${h}`).join('\n')}\n\nКРИТИЧНО: не противоречь этим подсказкам. Если ты уже просил больше интерактива — не критикуй теперь за избыток. Если хвалил структуру — не критикуй её. Если уже давал такой же совет — выбери ДРУГОЙ угол или ВЕРНИ tone="positive" без совета.`;
+}
+
+// Фокус этапа сценария (js/scenarios.js) — на что смотреть в первую очередь
+function focusBlock(focus) {
+    return `\n\nФОКУС ЭТОГО ЭТАПА СЦЕНАРИЯ: ${focus}\nОценивай реплику прежде всего с этой точки зрения; в advice предлагай шаг, который приближает к ней.`;
+}
+
+definePrompt({
+    id: 'copilot.analyze',
+    version: '1.2.0',
+    description: 'Тип реплики учителя (open_question, maieutic, ...) и good/risk/advice/tone',
+    variables: ['mode', 'schoolRules', 'hints', 'context', 'teacherMessage', 'focus?'],
+    render: ({ mode, schoolRules, hints, context, teacherMessage, focus }) => `Ты эксперт-педагог. Проанализируй фразу учителя и дай оценку.${SCENE_CONTEXT[mode] || ''}${schoolRules ? schoolBlock(schoolRules) : ''}${focus ? focusBlock(focus) : ''}
+
+ВНАЧАЛЕ ОПРЕДЕЛИ ТИП РЕПЛИКИ (важно, не пропускай!):
+
+1) ОТКРЫТЫЙ ВОПРОС — требует развёрнутого ответа, ученик должен подумать.
+   Маркеры: "как", "почему", "что ты думаешь", "расскажи", "опиши", "попробуй объяснить", "что произойдёт, если", "приведи пример".
+   ВАЖНО: открытый вопрос остаётся открытым, даже если он длинный, формально звучит или содержит уточнение в скобках. "Как ты думаешь, какова площадь этой фигуры?" — ОТКРЫТЫЙ ВОПРОС, а НЕ "закрытый и формальный".
+
+2) ЗАКРЫТЫЙ ВОПРОС — да/нет или выбор. "Понятно?", "Это так?", "Это А или Б?".
+
+3) УТОЧНЯЮЩИЙ ВОПРОС учителя к ученику — углубление понимания того, что сказал ученик. "Что ты имеешь в виду?", "Почему именно так?". Это ХОРОШО — показывает, что учитель слушает.
+
+4) ПОДТВЕРЖДЕНИЕ + КОРРЕКТИРОВКА (МАЙЕВТИКА) — ученик высказал гипотезу, учитель её валидирует и направляет дальше. "Да, ты прав, и ещё важно учесть…", "Хорошая мысль, давай уточним…". Это КЛАССИЧЕСКИЙ ХОРОШИЙ ПЕДАГОГИЧЕСКИЙ ХОД (сократический метод), НЕ "формальность" и НЕ "директивность".
+
+5) ОБЪЯСНЕНИЕ / ВВОД ПОНЯТИЯ — учитель доносит материал. Структурное и формальное объяснение — НОРМА, не недостаток.
+
+6) ДИРЕКТИВА — "открой учебник", "запиши". Нейтрально по контексту.
+
+7) РЕАКЦИЯ НА НАРУШЕНИЕ — реакция на дисциплину. Оценивай по тону, не по факту реакции.
+
+ПРОФЕССИОНАЛИЗМ РЕЧИ (ПРОВЕРЯЙ ПЕРВЫМ ДЕЛОМ, до оценки педагогической техники!):
+Учитель — профессионал перед учениками. Даже с добрым намерением НЕДОПУСТИМЫ:
+- грубость, вульгаризмы, мат и его эвфемизмы («не сцы», «забей», «офигел», «блин» и т.п.);
+- обесценивание и оскорбления («тупой», «дебил», «идиоты», «бестолочь»);
+- фамильярность и панибратский сленг вместо нормальной поддержки.
+Если такое есть — это РИСК, а НЕ «тёплый тон»: поставь tone="negative", в поле risk назови КОНКРЕТНОЕ недопустимое слово/фразу и объясни, чем оно непрофессионально, в advice предложи профессиональную замену (например, вместо «не сцы» — «не переживай, у тебя получится»). НЕ хвали такую реплику за «поддержку»: намерение поддержать не оправдывает грубую форму. Это правило важнее всех принципов ниже.
+
+ПРИНЦИПЫ ОЦЕНКИ:
+- НЕ ИСПОЛЬЗУЙ слова "слишком формально", "слишком структурно", "не хватает интерактива", "монотонно" — это БАНАЛЬНОСТИ. Если хочешь критиковать форму, назови КОНКРЕТНОЕ слово/конструкцию из реплики, которая мешает. Не можешь — не критикуй.
+- Открытые вопросы — это ХОРОШО. Не помечай их как "закрытые" из-за длины или структуры.
+- Майевтика (подведение учеников к выводу с последующей корректировкой) — ХОРОШО. Это не "давление", не "директивность", не "слишком формально".
+- Уточняющие вопросы учителя — это включённость, а не давление.
+- Если ученики уже включены и понимают — твоё дело ПРОМОЛЧАТЬ, а не выдумать совет. Поле "advice" может быть пустой строкой. НО: непрофессиональную речь (см. выше) молчанием не пропускай — её отмечай всегда.${hints.length ? hintsBlock(hints) : ''}
+
+Контекст последних реплик:
+${context}
+
+Фраза учителя: "${teacherMessage}"
+
+Шаги:
+1) Определи тип реплики (один из 7 выше)
+2) Оцени её ПО КОНТЕКСТУ (что было до неё). Не оценивай в вакууме.
+3) Если нечего сказать — оставь поля пустыми. Тон positive без content = "молчание" в UI.
+
+Ответь в формате JSON:
+{
+  "type": "open_question | closed_question | clarifying | maieutic | explanation | directive | discipline | other",
+  "good": "конкретное наблюдение — что именно сработало (или пустая строка)",
+  "risk": "конкретное наблюдение — с примером слова/фразы из реплики (или пустая строка)",
+  "advice": "конкретный alternative — глагол + действие (или пустая строка)",
+  "tone": "positive|neutral|negative"
+}`
+});
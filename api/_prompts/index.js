@@ -0,0 +1,10 @@
+// Точка входа реестра промптов: регистрирует все промпты и отдаёт API реестра.
+// Хендлеры импортируют отсюда, а не из registry.js — так промпты гарантированно определены.
+
+import './roleplay.js';
+import './copilot.js';
+import './coaching.js';
+import './session-analysis.js';
+import './director-report.js';
+
+export { renderPrompt, promptVersions, listPrompts, PromptError } from './registry.js';
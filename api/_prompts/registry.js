@@ -0,0 +1,80 @@
+// Реестр промптов: у каждого промпта id, семантическая версия и объявленные переменные.
+// Версии попадают в meta отчётов — по ним видно, по какой рубрике оценён кандидат.
+//
+// Правило версий:
+//   MAJOR — меняется рубрика, шкала или набор критериев в ответе (отчёты старой и новой версии несравнимы
+//           поле в поле — например, у нового вида сцены свой набор критериев);
+//   MINOR — новые инструкции или блоки, шкала прежняя;
+//   PATCH — правка формулировок без изменения смысла.
+// Правите текст промпта — поднимите версию в том же коммите (test/prompts.test.js сверяет отпечатки).
+
+import crypto from 'crypto';
+
+const prompts = new Map(); // id -> { id, version, description, required, optional, render }
+
+const SEMVER = /^\d+\.\d+\.\d+$/;
+
+export class PromptError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PromptError';
+    }
+}
+
+/**
+ * Зарегистрировать промпт.
+ * @param {Object} def
+ * @param {string} def.id — '<область>.<роль>', например 'director-report.system'
+ * @param {string} def.version — semver
+ * @param {string[]} def.variables — имена переменных; 'name?' — необязательная
+ * @param {(vars: Object) => string} def.render
+ */
+export function definePrompt({ id, version, description = '', variables = [], render }) {
+    if (prompts.has(id)) throw new PromptError(`Prompt ${id} is already defined`);
+    if (!SEMVER.test(version)) throw new PromptError(`Prompt ${id}: version must be semver, got ${version}`);
+    const required = variables.filter(v => !v.endsWith('?'));
+    const optional = variables.filter(v => v.endsWith('?')).map(v => v.slice(0, -1));
+    prompts.set(id, { id, version, description, required, optional, render });
+}
+
+function lookup(id) {
+    const prompt = prompts.get(id);
+    if (!prompt) throw new PromptError(`Unknown prompt: ${id}`);
+    return prompt;
+}
+
+/**
+ * Собрать текст промпта. Необъявленная или пропущенная обязательная переменная — ошибка:
+ * опечатка в имени не должна молча превращаться в «undefined» внутри промпта.
+ */
+export function renderPrompt(id, vars = {}) {
+    const prompt = lookup(id);
+    const missing = prompt.required.filter(v => vars[v] === undefined);
+    if (missing.length) throw new PromptError(`Prompt ${id}: missing variables ${missing.join(', ')}`);
+    const declared = new Set([...prompt.required, ...prompt.optional]);
+    const unknown = Object.keys(vars).filter(v => !declared.has(v));
+    if (unknown.length) throw new PromptError(`Prompt ${id}: undeclared variables ${unknown.join(', ')}`);
+    return prompt.render(vars);
+}
+
+/**
+ * Версии промптов для meta отчёта: { 'director-report.system': '1.0.0', ... }
+ */
+export function promptVersions(...ids) {
+    return Object.fromEntries(ids.map(id => [id, lookup(id).version]));
+}
+
+// Отпечаток текста промпта — хеш исходника render (общие хелперы модуля в него не входят)
+function fingerprint(render) {
+    return crypto.createHash('sha256').update(render.toString()).digest('hex').slice(0, 16);
+}
+
+export function listPrompts() {
+    return [...prompts.values()].map(p => ({
+        id: p.id,
+        version: p.version,
+        description: p.description,
+        variables: [...p.required, ...p.optional.map(v => `${v}?`)],
+        fingerprint: fingerprint(p.render)
+    }));
+}
@@ -0,0 +1,361 @@
+// Ролевые промпты учеников, родителей и коллег — собираются на сервере из allowlist-каталогов
+// (тексты промптов — в реестре _prompts/roleplay.js, здесь — каталоги и подготовка переменных).
+// Клиент присылает только ключи (психотипы, id родителя, участника встречи или коллеги, вид события) и числа состояния;
+// произвольный текст (имя, тема, предмет, реплики) обрезается и вставляется как данные.
+// Каталоги повторяют PSYCHOTYPES / PARENT_TYPES симулятора: при правке синхронизируйте обе стороны.
+
+import '../js/school-profile.js'; // тот же каталог «Профиля школы», что в кабинете и симуляторе
+import '../js/teacher-actions.js'; // каталог невербальных действий учителя
+import '../js/whiteboard.js'; // лимиты доски учителя
+import '../js/meetings.js'; // встречи на несколько участников
+import '../js/colleagues.js'; // коллеги и администрация
+import { renderPrompt } from './_prompts/index.js';
+
+const SchoolProfile = globalThis.SchoolProfile;
+const TeacherActions = globalThis.TeacherActions;
+const Whiteboard = globalThis.Whiteboard;
+const Meetings = globalThis.Meetings;
+const Colleagues = globalThis.Colleagues;
+
+export const PSYCHOTYPES = {
+    'Провокатор':    'саркастичный, любит спорить, задаёт провокационные вопросы',
+    'Апатичный':     'безразличный, отвечает односложно, часто зевает',
+    'Перфекционист': 'тревожный, боится ошибиться, задаёт уточняющие вопросы',
+    'Лидер':         'уверенный, активный, берёт инициативу',
+    'Тревожный':     'неуверенный, боится отвечать, нервничает',
+    'Клоун':         'шутит, отвлекает класс, несерьёзный',
+    'Отличник':      'старательный, всегда готов ответить, знает материал',
+    'Спортсмен':     'энергичный, но не очень внимателен к учёбе',
+    'Мечтатель':     'рассеянный, витает в облаках, романтичный',
+    'Хулиган':       'грубоватый, нарушает правила, дерзкий',
+    'Активист':      'социально активный, справедливый, защищает других',
+    'Тихоня':        'застенчивый, говорит тихо, избегает внимания',
+    'Сплетник':      'любопытный, обсуждает других, болтливый',
+    'Ботаник':       'умный, увлечён наукой, использует сложные термины',
+    'Популярный':    'модный, следит за трендами, немного высокомерный',
+    'Телефонщик':    'ПОЛНОСТЬЮ поглощён телефоном весь урок: смотрит видео, переписывается, играет. Демонстративно игнорирует учителя, раздражается когда его отвлекают от телефона, находит любой предлог вернуться к экрану. Считает телефон важнее урока. Убирает телефон только под прямым давлением и сразу достаёт снова'
+};
+export const MAX_PSYCHOTYPES = 3;
+
+// opening — с чего родитель начинает встречу: её текст в серверную копию урока подставляет /api/sessions/:id
+export const PARENT_TYPES = {
+    901: { name: 'Виктор Сергеевич', desc: 'агрессивно-обвиняющий родитель: разговаривает как на допросе, требует объяснений, перебивает, угрожает жалобой директору и в департамент; уважает только спокойную уверенность и факты',
+           opening: 'Так. Я пришёл разобраться, почему у моего сына четвёрка за четверть, хотя весь год были пятёрки. Это ваша некомпетентность или личная неприязнь? Я, между прочим, уже написал черновик жалобы директору.' },
+    902: { name: 'Анна Михайловна', desc: 'тревожная мама: накручивает себя, боится за ребёнка, задаёт много вопросов подряд, плачет при резком тоне; успокаивается от конкретики и плана действий',
+           opening: 'Здравствуйте... Я так переживаю. Даша стала приходить из школы грустная, плохо спит, вчера сказала, что не хочет идти на ваш урок. Я всю ночь не спала. Что происходит? С ней всё в порядке? Может, её кто-то обижает?' },
+    903: { name: 'Элина Робертовна', desc: 'родитель-перфекционист: сына ждёт олимпиада и топ-вуз, требует завышать оценки и давать индивидуальные задания, намекает на связи и спонсорство школы; давит статусом',
+           opening: 'Добрый день. Коротко: Марку нужен красный аттестат, у вас он почему-то идёт на четвёрку. Мы серьёзно вкладываемся в эту школу, и я рассчитываю, что вы найдёте способ... скорректировать ситуацию. Что вам для этого нужно?' },
+    904: { name: 'Ольга Павловна', desc: 'убеждена, что её ребёнок одарённый и правила не для него: любое замечание учителя — «вы не разглядели талант»; отрицает проблемы поведения, обвиняет других детей',
+           opening: 'Вы вчера сделали Тимофею замечание при всём классе. Вы вообще понимаете, что у него тонкая творческая натура? Он не как все, к нему нужен особый подход. Проблема не в нём, а в том, что ваши уроки ему просто скучны.' },
+    905: { name: 'Дмитрий Андреевич', desc: 'занятый отец-прагматик: пришёл на 10 минут, смотрит в телефон, считает что воспитание — работа школы («я плачу — вы учите»); отмахивается от предложений участвовать; уважает краткость и конкретику',
+           opening: '(смотрит на часы) Давайте быстро, у меня встреча через пятнадцать минут. Мне звонили, что у Кости какие-то проблемы с поведением. Я не понял: я плачу школе деньги — разве не ваша работа с этим разбираться?' }
+};
+
+// Спонтанные действия ученика (событие 'spontaneous'); для телефонщика — свои
+const SPONTANEOUS_ACTIONS = [
+    'делает спонтанное действие',
+    'отвлекается',
+    'комментирует урок',
+    'взаимодействует с соседом',
+    'показывает свое отношение к уроку'
+];
+const PHONE_ACTIONS = [
+    'смотришь видео в телефоне, беззвучно, но явно',
+    'переписываешься с кем-то в мессенджере, телефон под партой',
+    'достаёшь телефон снова после того, как убрал его',
+    'смеёшься над чем-то в телефоне, пытаясь не показать',
+    'играешь в мобильную игру, нажимаешь на экран',
+    'фотографируешь что-то телефоном прямо на уроке',
+    'смотришь на телефон каждые 30 секунд, ждёшь сообщение'
+];
+
+export const EVENT_KINDS = ['distraction', 'question', 'conflict', 'bored', 'spontaneous', 'silence'];
+
+// Ролевой system-промпт реплик /api/student-turn
+export const ROLEPLAY_SYSTEM = renderPrompt('roleplay.system');
+
+// Свободный текст от клиента: без переводов строк и управляющих символов, с обрезкой
+export function cleanText(s, max) {
+    return String(s == null ? '' : s)
+        .replace(/[\u0000-\u001f\u007f]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .slice(0, max)
+        .trim();
+}
+
+function pick(list) {
+    return list[Math.floor(Math.random() * list.length)];
+}
+
+/**
+ * Привести описание ученика к каталогу. Неизвестные психотипы отбрасываются,
+ * родитель берётся целиком из PARENT_TYPES по id, участник встречи — из js/meetings.js, коллега — из js/colleagues.js.
+ * @returns {{name: string, types: string[], gender: 'f'|'m'|null, parent: Object|null, participant: Object|null, colleague: Object|null}|null}
+ */
+export function resolveStudent(student) {
+    if (student.parentId !== undefined) {
+        const parent = PARENT_TYPES[student.parentId];
+        return parent ? { name: parent.name, types: [], gender: null, parent, participant: null, colleague: null } : null;
+    }
+    if (student.participantId !== undefined) {
+        const participant = Meetings.participant(student.participantId);
+        return participant
+            ? { name: participant.name, types: [], gender: participant.gender, parent: null, participant, colleague: null }
+            : null;
+    }
+    if (student.colleagueId !== undefined) {
+        const colleague = Colleagues.get(student.colleagueId);
+        return colleague
+            ? { name: colleague.name, types: [], gender: colleague.gender, parent: null, participant: null, colleague }
+            : null;
+    }
+    const types = [...new Set((student.types || []).filter(t => Object.hasOwn(PSYCHOTYPES, t)))].slice(0, MAX_PSYCHOTYPES);
+    return {
+        name: cleanText(student.name, 40) || 'Ученик',
+        types: types.length ? types : ['Тихоня'],
+        gender: student.gender || null,
+        parent: null,
+        participant: null,
+        colleague: null
+    };
+}
+
+function persona(s) {
+    if (s.parent) return s.parent.desc;
+    if (s.participant) return s.participant.desc;
+    if (s.colleague) return s.colleague.desc;
+    const parts = s.types.map(t => `${t} — ${PSYCHOTYPES[t]}`);
+    if (parts.length === 1) return parts[0];
+    return `сочетание психотипов (${s.types.join(' + ')}): ` + parts.join('; ');
+}
+
+// Правила школы из ответов профиля (normalizeProfile отбрасывает неизвестные ключи)
+export function schoolRulesForStudent(answers) {
+    return SchoolProfile.rulesForStudent(SchoolProfile.normalizeProfile(answers || {}));
+}
+
+function subjectOf(lesson) {
+    return cleanText(lesson.subject, 60) || 'Математика';
+}
+
+function topicOf(lesson) {
+    return cleanText(lesson.topic, 200);
+}
+
+// Доска учителя: строки сохраняются (формулы, план), лимиты — js/whiteboard.js
+function boardOf(lesson) {
+    return Whiteboard.normalize(lesson.board) || null;
+}
+
+const SPEAKERS = { teacher: 'Учитель', student: 'Ученик', action: 'Учитель (действие)' };
+
+// На встрече реплики участников уже начинаются с имени: «Ученик» перед ними вводил бы модель в заблуждение
+function recentLines(turns, otherLabel = SPEAKERS.student) {
+    return (turns || [])
+        .map(t => `${t.role === 'student' ? otherLabel : SPEAKERS[t.role] || otherLabel}: ${cleanText(t.text, 500)}`)
+        .join('\n');
+}
+
+// Участник встречи (js/meetings.js): роль, цель и остальные участники — из каталога
+function meetingVars(student, lesson) {
+    const p = student.participant;
+    const meeting = Meetings.get(p.meetingId);
+    return {
+        name: p.name,
+        role: Meetings.ROLES[p.role],
+        label: p.label,
+        gender: p.gender,
+        grade: lesson.grade,
+        topic: topicOf(lesson) || meeting.topic,
+        persona: p.desc,
+        agenda: p.agenda,
+        others: Meetings.others(p).map(o => `${o.name} (${o.label.toLowerCase()}, ${Meetings.ROLES[o.role]})`)
+    };
+}
+
+// Коллега или представитель администрации (js/colleagues.js): роль и цель — из каталога
+function colleagueVars(student, lesson) {
+    const c = student.colleague;
+    return {
+        name: c.name,
+        role: Colleagues.ROLES[c.role],
+        gender: c.gender,
+        topic: topicOf(lesson) || c.topic,
+        persona: c.desc,
+        agenda: c.agenda
+    };
+}
+
+/**
+ * Промпт реплики ученика (родителя, участника встречи, коллеги) в ответ на учителя. Ответ модели — JSON
+ * { reply, delta_understanding, delta_mood, delta_engagement, reason }.
+ * teacherAction — id невербального действия (js/teacher-actions.js) вместо реплики; только для учеников.
+ * knowledge — модель знаний ученика, уже разрешённая по каталогу (Knowledge.resolve) или null.
+ */
+export function buildReplyPrompt({ student, state, lesson, school, recentTurns, teacherMessage, teacherAction, knowledge }) {
+    const common = {
+        name: student.name,
+        grade: lesson.grade,
+        topic: topicOf(lesson),
+        persona: persona(student),
+        state,
+        recentHistory: recentLines(recentTurns),
+        teacherMessage: cleanText(teacherMessage, 1000)
+    };
+    if (student.parent) return renderPrompt('parent.reply', common);
+    if (student.colleague) {
+        return renderPrompt('colleague.reply', {
+            ...colleagueVars(student, lesson),
+            state,
+            recentHistory: recentLines(recentTurns, 'Собеседник'),
+            teacherMessage: common.teacherMessage
+        });
+    }
+    if (student.participant) {
+        return renderPrompt('meeting.reply', {
+            ...meetingVars(student, lesson),
+            state,
+            recentHistory: recentLines(recentTurns, 'Участник'),
+            teacherMessage: common.teacherMessage
+        });
+    }
+    const action = teacherAction ? TeacherActions.get(teacherAction) : null;
+    return renderPrompt('student.reply', {
+        ...common,
+        teacherAction: action ? action.text : null,
+        subject: subjectOf(lesson),
+        gender: student.gender,
+        isPhone: student.types.includes('Телефонщик'),
+        schoolRules: schoolRulesForStudent(school),
+        difficulty: lesson.difficulty,
+        climate: lesson.climate,
+        board: boardOf(lesson),
+        knowledge: knowledge || null
+    });
+}
+
+/**
+ * Промпт спонтанного события ученика (начало урока, отвлечение, реакция на молчание).
+ * Ответ модели — короткий текст с ремаркой.
+ */
+export function buildEventPrompt({ event, student, lesson }) {
+    const isPhone = student.types.includes('Телефонщик');
+    return renderPrompt('student.event', {
+        event,
+        name: student.name,
+        grade: lesson.grade,
+        subject: subjectOf(lesson),
+        gender: student.gender,
+        topic: topicOf(lesson),
+        difficulty: lesson.difficulty,
+        climate: lesson.climate,
+        board: boardOf(lesson) && Whiteboard.inline(lesson.board),
+        persona: persona(student),
+        isPhone,
+        // Спонтанное действие выбирается здесь: промпт детерминирован по своим переменным
+        action: event === 'spontaneous' || !EVENT_KINDS.includes(event)
+            ? pick(isPhone ? PHONE_ACTIONS : SPONTANEOUS_ACTIONS)
+            : ''
+    });
+}
+
+/**
+ * Промпт реплики ученика однокласснику (планировщик хода: спор, подколка, смешок класса)
+ * или участника встречи — другому участнику. Ответ модели — короткий текст с ремаркой.
+ * brief — только реакция, без развёрнутой реплики.
+ */
+export function buildPeerPrompt({ student, state, lesson, recentTurns, peer, brief }) {
+    if (student.participant) {
+        return renderPrompt('meeting.peer', {
+            ...meetingVars(student, lesson),
+            state,
+            recentHistory: recentLines(recentTurns, 'Участник'),
+            peerName: cleanText(peer.name, 40) || 'Участник',
+            peerText: cleanText(peer.text, 500)
+        });
+    }
+    return renderPrompt('student.peer', {
+        name: student.name,
+        grade: lesson.grade,
+        subject: subjectOf(lesson),
+        gender: student.gender,
+        topic: topicOf(lesson),
+        difficulty: lesson.difficulty,
+        climate: lesson.climate,
+        board: boardOf(lesson),
+        persona: persona(student),
+        isPhone: student.types.includes('Телефонщик'),
+        state,
+        recentHistory: recentLines(recentTurns),
+        peerName: cleanText(peer.name, 40) || 'Одноклассник',
+        peerText: cleanText(peer.text, 500),
+        brief: brief === true
+    });
+}
+
+/**
+ * Промпт опроса класса (js/class-poll.js): все ученики отвечают разом, каждый по своему состоянию
+ * и модели знаний. Ответ модели — JSON { answers: [{ n, choice, text, misconception }] }, n — номер в списке.
+ * @param {Object} poll — ClassPoll.normalize(); верный вариант в промпт не попадает
+ * @param {Array<{student, state, knowledge}>} entries — ученики уже разрешены по каталогу (resolveStudent, Knowledge.resolve)
+ */
+export function buildPollPrompt({ poll, lesson, entries }) {
+    return renderPrompt('class.poll', {
+        kind: poll.kind,
+        grade: lesson.grade,
+        subject: subjectOf(lesson),
+        topic: topicOf(lesson),
+        difficulty: lesson.difficulty,
+        climate: lesson.climate,
+        board: boardOf(lesson),
+        question: poll.question,
+        options: poll.options,
+        students: entries.map(({ student, state, knowledge }, i) => ({
+            n: i + 1,
+            name: student.name,
+            gender: student.gender,
+            persona: persona(student),
+            state,
+            knowledge: knowledge || null
+        }))
+    });
+}
+
+/**
+ * Промпт «Сказать лучше» (_prompts/coaching.js): три альтернативы реплике учителя с ожидаемым
+ * сдвигом состояния участников. Ответ модели — JSON { alternatives: [{ style, text, why, score, effects }] }.
+ * @param {Array<{student, state}>} entries — участники уже разрешены по каталогу (resolveStudent); n — номер в списке
+ * @param {'class'|'parent'|'colleague'} [mode] — режим симулятора: урок, встреча с родителем, разговор с коллегой
+ */
+export function buildSayBetterPrompt({ entries, lesson, school, recentTurns, reactions, teacherMessage, mode }) {
+    const topic = topicOf(lesson);
+    return renderPrompt('say-better.alternatives', {
+        mode: mode || 'class',
+        lessonLine: `${subjectOf(lesson)}, ${lesson.grade} класс${topic ? `, тема «${topic}»` : ''}`,
+        schoolRules: SchoolProfile.rulesForCoPilot(SchoolProfile.normalizeProfile(school || {})),
+        students: entries.map(({ student, state }, i) => ({ n: i + 1, name: student.name, persona: persona(student), state })),
+        context: recentLines(recentTurns),
+        teacherMessage: cleanText(teacherMessage, 1000),
+        reactions: recentLines(reactions)
+    });
+}
+
+// Модель иногда начинает реплику с имени («Петя: ...») — срезаем
+export function stripSpeakerPrefix(text) {
+    return String(text || '').replace(/^[А-ЯЁA-Z][а-яёa-z]+\s*:\s*/u, '').trim();
+}
+
+// Ответ учителю короче MIN_REPLY_WORDS слов («Да.», «Не знаю») — модель не сыграла роль. Подставляем
+// реплику замешательства здесь, до записи: браузер показывает и подтверждает ровно её
+export const MIN_REPLY_WORDS = 5;
+const SHORT_REPLY_FALLBACKS = [
+    'Ну... не знаю, как сказать... (смотрит в сторону)',
+    'Это сложно объяснить словами... (задумывается)',
+    'Я пытаюсь понять, но пока не очень получается... (чешет затылок)',
+    'Можете объяснить это как-нибудь по-другому? (смущается)'
+];
+
+export function ensureReplyLength(text, rng = Math.random) {
+    if (text.trim().split(/\s+/).filter(Boolean).length >= MIN_REPLY_WORDS) return text;
+    return SHORT_REPLY_FALLBACKS[Math.floor(rng() * SHORT_REPLY_FALLBACKS.length)];
+}
@@ -0,0 +1,173 @@
+// Сценарии и дриллы на сервере: тот же каталог js/scenarios.js, что в симуляторе, плюс свои дриллы
+// организаций. Клиент присылает только id сценария и этапа — цель дрилла и фокус Ко-Пилота берутся
+// отсюда, произвольный текст в промпты не попадает.
+//
+// Свои дриллы методист сохраняет через /api/drills; здесь они хранятся по организации.
+// Хранение: in-memory (как _ledger.js) + опционально DRILLS_DIR: drills-<orgId>.json — формы методиста
+// (spec), дрилл собирается из них через Scenarios.customDrill.
+// Оговорка: организация — из X-Org-Id / серверной сессии (ledgerTags), Firebase-токен сервер не проверяет;
+// поэтому запись в /api/drills закрыта токеном DRILLS_ADMIN_TOKEN (api/_admin.js).
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import '../js/scenarios.js';
+import { PSYCHOTYPES } from './_roleplay.js';
+
+const Scenarios = globalThis.Scenarios;
+
+const MAX_ORG_DRILLS = 30;
+
+const orgStores = new Map(); // orgId -> { [drillId]: { spec, updatedAt } }
+
+export class DrillError extends Error {
+    constructor(message, status, details = []) {
+        super(message);
+        this.name = 'DrillError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function storeDir() {
+    const dir = process.env.DRILLS_DIR && process.env.DRILLS_DIR.trim();
+    return dir || null;
+}
+
+function cleanOrgId(v) {
+    return typeof v === 'string' && /^[A-Za-z0-9_-]{1,128}$/.test(v) ? v : null;
+}
+
+function loadOrg(orgId) {
+    if (orgStores.has(orgId)) return orgStores.get(orgId);
+    let store = {};
+    const dir = storeDir();
+    if (dir) {
+        try { store = JSON.parse(fs.readFileSync(path.join(dir, `drills-${orgId}.json`), 'utf8')) || {}; } catch { /* нет файла */ }
+    }
+    orgStores.set(orgId, store);
+    return store;
+}
+
+function persistOrg(orgId, store) {
+    const dir = storeDir();
+    if (!dir) return;
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, `drills-${orgId}.json`), JSON.stringify(store, null, 2));
+    } catch (e) {
+        console.error('[Drills] persist failed:', e.message);
+    }
+}
+
+// Форма методиста: психотипы — только из каталога ролевых промптов
+function buildDrill(spec) {
+    const students = (Array.isArray(spec.students) ? spec.students : []).map(st => ({
+        ...st,
+        types: (Array.isArray(st && st.types) ? st.types : []).filter(t => typeof t === 'string' && Object.hasOwn(PSYCHOTYPES, t))
+    }));
+    return Scenarios.customDrill({ ...spec, students });
+}
+
+/** Свои дриллы организации в каталожном формате (пустой список — нет организации или дриллов). */
+export function listOrgDrills(orgId) {
+    const id = cleanOrgId(orgId);
+    if (!id) return [];
+    return Object.values(loadOrg(id))
+        .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt))
+        .map(entry => buildDrill(entry.spec).drill)
+        .filter(Boolean);
+}
+
+/**
+ * Создать или обновить свой дрилл (spec.id — 'org-…' своей организации, иначе — новый).
+ * @returns {Object} дрилл в каталожном формате
+ * @throws {DrillError} 400 — форма с ошибками, 404 — чужой или удалённый id, 409 — лимит дриллов
+ */
+export function saveOrgDrill(orgId, spec) {
+    const org = cleanOrgId(orgId);
+    if (!org) throw new DrillError('X-Org-Id is required', 400);
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) throw new DrillError('drill is required', 400);
+    const store = loadOrg(org);
+    let id = spec.id;
+    if (id !== undefined && id !== null) {
+        if (!Object.hasOwn(store, id)) throw new DrillError('Drill not found', 404);
+    } else {
+        if (Object.keys(store).length >= MAX_ORG_DRILLS) throw new DrillError(`Не больше ${MAX_ORG_DRILLS} своих дриллов`, 409);
+        id = `org-${crypto.randomBytes(4).toString('hex')}`;
+    }
+    const { drill, errors } = buildDrill({ ...spec, id });
+    if (!drill) throw new DrillError('Invalid drill', 400, errors);
+    // Храним форму в том виде, в каком её собрал customDrill (обрезанные тексты, только известные психотипы)
+    store[id] = { spec: Scenarios.customSpec(drill), updatedAt: new Date().toISOString() };
+    persistOrg(org, store);
+    return drill;
+}
+
+export function deleteOrgDrill(orgId, id) {
+    const org = cleanOrgId(orgId);
+    if (!org) throw new DrillError('X-Org-Id is required', 400);
+    const store = loadOrg(org);
+    if (!Object.hasOwn(store, id)) throw new DrillError('Drill not found', 404);
+    delete store[id];
+    persistOrg(org, store);
+}
+
+/** Сценарий каталога или свой дрилл организации по id; null — нет такого. */
+export function getScenario(id, orgId) {
+    if (typeof id !== 'string') return null;
+    const sc = Scenarios.get(id);
+    if (sc) return sc;
+    const org = cleanOrgId(orgId);
+    if (!org || !id.startsWith('org-')) return null;
+    const entry = loadOrg(org)[id];
+    return entry ? buildDrill(entry.spec).drill : null;
+}
+
+/** Цель дрилла по id ('' — не дрилл или нет цели). */
+export function drillGoal(id, orgId) {
+    const sc = getScenario(id, orgId);
+    return sc && sc.kind === 'drill' ? sc.goal || '' : '';
+}
+
+/** Фокус Ко-Пилота на этапе сценария ('' — нет такого сценария или этапа). */
+export function stageFocus(id, stageId, orgId) {
+    return Scenarios.stageFocus(getScenario(id, orgId), stageId);
+}
+
+/** Дриллы, которые тренируют критерий отчёта директору: каталог, затем свои дриллы организации. */
+export function drillsForCriterion(key, orgId) {
+    return [...Scenarios.list('drill'), ...listOrgDrills(orgId)]
+        .filter(d => (d.trains || []).includes(key))
+        .map(d => ({ id: d.id, title: d.title }));
+}
+
+// met/violated — id пунктов из ответа модели; только строки, неизвестные id отбросит goalVerdict
+function judgedVerdict(sc, judged) {
+    if (!judged || typeof judged !== 'object') return null;
+    const ids = (list) => (Array.isArray(list) ? list.filter(x => typeof x === 'string').slice(0, 50) : []);
+    return Scenarios.goalVerdict(sc, ids(judged.met), ids(judged.violated));
+}
+
+/**
+ * Вердикт по цели дрилла из разбора урока ({ met, violated } — какие пункты модель нашла в транскрипте).
+ * Правило то же, что у живого трекера симулятора (Scenarios.goalVerdict): все пункты и ни одного нарушения.
+ * null — не дрилл, у дрилла нет checklist или модель не вернула пункты.
+ */
+export function drillVerdict(id, judged, orgId) {
+    const sc = getScenario(id, orgId);
+    return sc && sc.kind === 'drill' ? judgedVerdict(sc, judged) : null;
+}
+
+/**
+ * Пункты цели и нарушения дрилла для промпта разбора (id и тексты — из каталога).
+ * null — не дрилл или у дрилла нет checklist.
+ */
+export function drillChecks(id, orgId) {
+    const sc = getScenario(id, orgId);
+    if (!sc || sc.kind !== 'drill' || !(sc.checklist || []).length) return null;
+    return {
+        items: sc.checklist.map(c => ({ id: c.id, label: c.label })),
+        violations: (sc.violations || []).map(v => ({ id: v.id, label: v.label }))
+    };
+}
@@ -0,0 +1,327 @@
+// Серверная копия сессии симулятора: транскрипт пишется по ходу урока под sessionId,
+// время каждой реплики и длительность — по часам сервера. Отчёты (director-report,
+// session-analysis) оценивают эту копию, а не conversationHistory из браузера.
+//
+// Хранение: in-memory Map (как в _ratelimit.js) + опционально файлы в SESSIONS_DIR.
+// Оговорка: на Vercel инстансов несколько, и in-memory сессия живёт только в своём —
+// для продакшена задайте SESSIONS_DIR на общем томе (или запускайте через server.js на своём сервере).
+//
+// Кто что пишет. Клиент — это учитель: от него принимаются только его реплики (role 'teacher'),
+// невербальные действия (role 'action': только id действия и имя адресата, текст записи — из каталога
+// js/teacher-actions.js) и снимки его доски (role 'board', лимиты js/whiteboard.js) — appendTurn.
+// Реплики учеников (role 'student') и опрос класса (role 'poll', одна строка-сводка js/class-poll.js)
+// сервер откладывает в момент генерации (/api/student-turn, /api/class-poll) — stageTurn, а в транскрипт они
+// попадают, когда браузер их показал и подтвердил по recordId — confirmTurn: текст берётся отложенный, свой
+// клиент прислать не может, а реплика, которую браузер выбросил (урок завершён, учитель перебил), не
+// записывается. Заготовленные реплики каталогов (первая реплика сцены, вбросы сценария) клиент отмечает
+// ссылкой, текст подставляет /api/sessions/:id — recordTurn. Запасные реплики браузера (модель не ответила)
+// в серверную копию не попадают.
+//
+// Урок можно перемотать к любому ходу (js/lesson-timeline.js): хвост транскрипта не удаляется,
+// а уходит в session.branches — отчёты оценивают активную ветку, прежние остаются для аудита.
+// Аттестацию (meta.assessment) перематывать нельзя: она проходится с одной попытки.
+//
+// Режим аттестации и сложность класса фиксируются в meta при старте, номер попытки считает сервер:
+// сколько раз этот пользователь организации начинал эту сцену (attempts.json в SESSIONS_DIR, 30 дней).
+// Подписанный отчёт директору берёт их отсюда, а не из тела запроса.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import '../js/teacher-actions.js';
+import '../js/whiteboard.js';
+
+const TeacherActions = globalThis.TeacherActions;
+const Whiteboard = globalThis.Whiteboard;
+
+const TTL_MS = 6 * 60 * 60_000;  // сессия живёт 6 часов — хватит на урок и отчёты после него
+const MAX_SESSIONS = 5000;
+const MAX_TURNS = 400;           // длиннее урок в симуляторе не бывает
+const MAX_CONTENT = 2000;        // символов на реплику
+const MAX_BRANCHES = 20;         // перемоток за урок (js/lesson-timeline.js держит тот же лимит)
+const MAX_STAGED = 30;           // отложенных реплик: браузер подтверждает показанные в том же ходе
+const ATTEMPT_TTL_MS = 30 * 24 * 60 * 60_000; // счёт попыток сцены забывается через 30 дней без попыток
+
+const CLIENT_ROLES = new Set(['teacher', 'action', 'board']);
+const SERVER_ROLES = new Set(['student', 'poll']);
+
+const sessions = new Map(); // id -> session
+let attempts = null;        // 'org|user|сцена' -> { count, last }
+
+export class SessionError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'SessionError';
+        this.status = status;
+    }
+}
+
+function storeDir() {
+    const dir = process.env.SESSIONS_DIR && process.env.SESSIONS_DIR.trim();
+    return dir || null;
+}
+
+// id — UUID; всё остальное в имя файла не попадает
+function sessionFile(dir, id) {
+    return path.join(dir, `${id}.json`);
+}
+
+function persist(session) {
+    const dir = storeDir();
+    if (!dir) return;
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(sessionFile(dir, session.id), JSON.stringify(session));
+    } catch (e) {
+        console.error('[Sessions] persist failed:', e.message);
+    }
+}
+
+function load(id) {
+    if (sessions.has(id)) return sessions.get(id);
+    const dir = storeDir();
+    if (!dir) return null;
+    try {
+        const session = JSON.parse(fs.readFileSync(sessionFile(dir, id), 'utf8'));
+        sessions.set(id, session);
+        return session;
+    } catch {
+        return null;
+    }
+}
+
+function sweep(now) {
+    if (sessions.size <= MAX_SESSIONS) return;
+    for (const [id, s] of sessions) if (now - s.startedAt > TTL_MS) sessions.delete(id);
+}
+
+function isSessionId(id) {
+    return typeof id === 'string' && /^[0-9a-f-]{36}$/i.test(id);
+}
+
+// Firebase uid / id организации
+function ledgerId(v) {
+    return typeof v === 'string' && /^[A-Za-z0-9_-]{1,128}$/.test(v) ? v : null;
+}
+
+function loadAttempts() {
+    if (attempts) return attempts;
+    attempts = {};
+    const dir = storeDir();
+    if (dir) {
+        try { attempts = JSON.parse(fs.readFileSync(path.join(dir, 'attempts.json'), 'utf8')) || {}; } catch { /* нет файла */ }
+    }
+    return attempts;
+}
+
+// Сцена урока для счёта попыток: каталожная сцена по id, свободный урок — по классу, предмету и теме
+function sceneKey(meta) {
+    if (meta.drillId) return `drill:${meta.drillId}`;
+    if (meta.scenarioId) return `scenario:${meta.scenarioId}`;
+    if (meta.meetingId) return `meeting:${meta.meetingId}`;
+    if (meta.colleagueId !== null) return `colleague:${meta.colleagueId}`;
+    if (meta.parentId !== null) return `parent:${meta.parentId}`;
+    return `${meta.mode}:${meta.grade || ''}:${meta.subject || ''}:${meta.topic || ''}`;
+}
+
+/**
+ * Следующий номер попытки сцены. Пользователь и организация — метки клиента (как в _ledger.js):
+ * без пользователя попытки считаются общим счётом организации — номер можно завысить, но не занизить.
+ */
+function nextAttempt(meta, now) {
+    const all = loadAttempts();
+    for (const [key, a] of Object.entries(all)) if (now - a.last > ATTEMPT_TTL_MS) delete all[key];
+    const key = `${meta.orgId || '-'}|${meta.userId || '-'}|${sceneKey(meta)}`;
+    const entry = Object.hasOwn(all, key) ? all[key] : (all[key] = { count: 0, last: now });
+    entry.count = Math.min(99, entry.count + 1);
+    entry.last = now;
+    const dir = storeDir();
+    if (dir) {
+        try {
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(path.join(dir, 'attempts.json'), JSON.stringify(all));
+        } catch (e) {
+            console.error('[Sessions] attempts persist failed:', e.message);
+        }
+    }
+    return entry.count;
+}
+
+/**
+ * Начать сессию. meta — контекст урока (режим, сценарий, класс, аттестация, сложность...); строки обрезаются.
+ * meta.attempt клиента не принимается: номер попытки считает сервер (nextAttempt).
+ */
+export function createSession(meta = {}) {
+    const now = Date.now();
+    sweep(now);
+    const str = (v, max = 120) => (typeof v === 'string' ? v.slice(0, max) : null);
+    const session = {
+        id: crypto.randomUUID(),
+        startedAt: now,
+        finishedAt: null,
+        meta: {
+            mode: str(meta.mode, 20) || 'class',
+            scenarioId: str(meta.scenarioId),
+            drillId: str(meta.drillId),
+            parentId: Number.isInteger(meta.parentId) ? meta.parentId : null, // встреча с родителем (PARENT_TYPES)
+            meetingId: str(meta.meetingId, 40), // встреча на несколько участников (js/meetings.js)
+            colleagueId: Number.isInteger(meta.colleagueId) ? meta.colleagueId : null, // разговор с коллегой (js/colleagues.js)
+            grade: str(meta.grade, 10),
+            subject: str(meta.subject),
+            topic: str(meta.topic, 200),
+            assessment: meta.assessment === true, // аттестация: одна попытка, без перемотки
+            difficulty: Math.max(1, Math.min(5, parseInt(meta.difficulty, 10) || 3)), // 1 — спокойный класс, 5 — стресс-тест
+            attempt: 1,
+            // Метки для учёта расходов (_ledger.js): организация и пользователь урока
+            orgId: ledgerId(meta.orgId),
+            userId: ledgerId(meta.userId)
+        },
+        turns: [],
+        branches: [] // { at, rewoundAt, turns } — отмотанные продолжения урока
+    };
+    session.meta.attempt = nextAttempt(session.meta, now);
+    sessions.set(session.id, session);
+    persist(session);
+    return session;
+}
+
+export function getSession(id) {
+    if (!isSessionId(id)) return null;
+    const session = load(id);
+    if (!session || Date.now() - session.startedAt > TTL_MS) return null;
+    return session;
+}
+
+function requireOpen(id) {
+    const session = getSession(id);
+    if (!session) throw new SessionError('Session not found', 404);
+    if (session.finishedAt) throw new SessionError('Session already finished', 409);
+    return session;
+}
+
+function pushTurn(session, { role, content, speaker }) {
+    if (typeof content !== 'string' || !content.trim()) throw new SessionError('content is required', 400);
+    if (session.turns.length >= MAX_TURNS) throw new SessionError('Session transcript is full', 409);
+    const turn = {
+        role,
+        content: content.slice(0, MAX_CONTENT),
+        speaker: typeof speaker === 'string' ? speaker.slice(0, 60) : null,
+        at: Date.now() // серверное время реплики
+    };
+    session.turns.push(turn);
+    persist(session);
+    return turn;
+}
+
+/**
+ * Дописать запись учителя (от клиента). Для role 'action' content не принимается: текст — из каталога
+ * по teacherAction (id действия) и speaker (имя адресата). Для role 'board' content — снимок доски.
+ */
+export function appendTurn(id, { role, content, speaker, teacherAction } = {}) {
+    const session = requireOpen(id);
+    if (!CLIENT_ROLES.has(role)) throw new SessionError('role must be teacher, action or board', 400);
+    if (role === 'board') content = Whiteboard.snapshot(content);
+    if (role === 'action') {
+        content = TeacherActions.describe(teacherAction, speaker);
+        if (!content) throw new SessionError('Unknown teacher action or missing target', 400);
+    }
+    return pushTurn(session, { role, content, speaker });
+}
+
+/**
+ * Сразу записать реплику, которую сервер подставил из каталога (заготовленная реплика ученика, role 'student').
+ */
+export function recordTurn(id, { role, content, speaker = null }) {
+    const session = requireOpen(id);
+    if (!SERVER_ROLES.has(role)) throw new SessionError('role must be student or poll', 400);
+    return pushTurn(session, { role, content, speaker });
+}
+
+/**
+ * Отложить реплику, которую сгенерировал сервер (ученика — role 'student', сводку опроса — role 'poll'),
+ * до подтверждения браузером (confirmTurn). Самая старая неподтверждённая при переполнении выбрасывается.
+ * @returns {string} recordId — браузер присылает его, когда показал реплику
+ */
+export function stageTurn(id, { role, content, speaker = null }) {
+    const session = requireOpen(id);
+    if (!SERVER_ROLES.has(role)) throw new SessionError('role must be student or poll', 400);
+    if (typeof content !== 'string' || !content.trim()) throw new SessionError('content is required', 400);
+    if (!session.staged) session.staged = {};
+    const pending = Object.keys(session.staged);
+    if (pending.length >= MAX_STAGED) delete session.staged[pending[0]];
+    const recordId = crypto.randomUUID();
+    session.staged[recordId] = { role, content: content.slice(0, MAX_CONTENT), speaker };
+    persist(session);
+    return recordId;
+}
+
+/**
+ * Браузер показал отложенную реплику — записать её в транскрипт (время записи — момент показа).
+ */
+export function confirmTurn(id, recordId) {
+    const session = requireOpen(id);
+    if (typeof recordId !== 'string' || !session.staged || !Object.hasOwn(session.staged, recordId)) {
+        throw new SessionError('Unknown or expired recordId', 404);
+    }
+    const turn = session.staged[recordId];
+    delete session.staged[recordId];
+    return pushTurn(session, turn);
+}
+
+/**
+ * Перемотать урок: оставить первые turns записей, хвост сохранить веткой. Дальше урок пишется с этого места.
+ */
+export function rewindSession(id, turns) {
+    const session = requireOpen(id);
+    if (session.meta.assessment) throw new SessionError('Assessment sessions cannot be rewound', 409);
+    if (!Number.isInteger(turns) || turns < 0 || turns > session.turns.length) {
+        throw new SessionError('turns must be an integer between 0 and the transcript length', 400);
+    }
+    if (turns === session.turns.length) return session;
+    if (!session.branches) session.branches = []; // сессии, сохранённые до веток
+    if (session.branches.length >= MAX_BRANCHES) throw new SessionError('Too many branches', 409);
+    session.branches.push({ at: turns, rewoundAt: Date.now(), turns: session.turns.slice(turns) });
+    session.turns = session.turns.slice(0, turns);
+    persist(session);
+    return session;
+}
+
+export function finishSession(id) {
+    const session = requireOpen(id);
+    session.finishedAt = Date.now();
+    persist(session);
+    return session;
+}
+
+// Транскрипт в формате conversationHistory ({ role, content }) — его ждут промпты отчётов
+export function sessionTranscript(session) {
+    return session.turns.map(t => ({ role: t.role, content: t.content }));
+}
+
+// Длительность по часам сервера (мс): незавершённая сессия считается до текущего момента
+export function sessionDurationMs(session) {
+    return (session.finishedAt || Date.now()) - session.startedAt;
+}
+
+/**
+ * Транскрипт, который оценивают отчёты. Есть sessionId — берём серверную копию и серверную
+ * длительность. Присланное клиентом (eval-скрипты, урок, чья серверная копия оборвалась) оценивается
+ * только по явному clientTranscript: true и с пометкой source: 'client' — хендлеры отдают её в ответе.
+ * @returns {{conversationHistory: Array, duration: number, source: 'server'|'client', session: Object|null}}
+ */
+export function transcriptForScoring({ sessionId, conversationHistory, duration, clientTranscript }) {
+    if (sessionId === undefined || sessionId === null || sessionId === '') {
+        if (clientTranscript !== true) {
+            throw new SessionError('sessionId is required (or clientTranscript: true to score the submitted history)', 400);
+        }
+        return { conversationHistory, duration, source: 'client', session: null };
+    }
+    const session = getSession(sessionId);
+    if (!session) throw new SessionError('Session not found', 404);
+    return {
+        conversationHistory: sessionTranscript(session),
+        duration: sessionDurationMs(session),
+        source: 'server',
+        session
+    };
+}
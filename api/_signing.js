@@ -0,0 +1,88 @@
+// Подпись отчёта директору: HMAC-SHA256 над каноническим JSON отчёта + метаданными сессии.
+// Кандидат по ссылке-приглашению сам пишет отчёт в Firestore — подпись позволяет руководителю
+// проверить, что отчёт не правили после выдачи сервером.
+//
+// Канонический JSON: ключи объектов отсортированы (Firestore не хранит порядок ключей),
+// undefined отбрасывается так же, как в JSON.stringify.
+// Ключ — REPORT_SIGNING_SECRET; без него отчёты уходят без подписи (статус «unsigned»).
+// Подписываются только отчёты по серверной копии урока: транскрипт из браузера кандидат мог написать
+// сам, и подпись над ним выглядела бы как подтверждение разговора, которого не было.
+//
+// Версия 2: подпись не покрывает поля, которые заявляет браузер кандидата (UNSIGNED_FIELDS —
+// самооценка): их можно показать рядом, но подпись за них не ручается. Попытка, режим аттестации,
+// сложность и порог школы в подписанном отчёте — из серверной сессии и настроек организации (_orgs.js).
+// Версия 1 подписывала всё, включая эти поля из тела запроса, — такая подпись проверяется как 'unverified'.
+
+import crypto from 'crypto';
+
+const ALG = 'HMAC-SHA256';
+const VERSION = 2;
+export const UNSIGNED_FIELDS = ['self_assessment'];
+
+function secret() {
+    const s = process.env.REPORT_SIGNING_SECRET;
+    return s && s.trim() ? s.trim() : null;
+}
+
+export function signingEnabled() {
+    return secret() !== null;
+}
+
+export function canonicalJson(value) {
+    if (value === null || typeof value !== 'object') {
+        return JSON.stringify(value === undefined ? null : value);
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(v => (v === undefined ? 'null' : canonicalJson(v))).join(',')}]`;
+    }
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+}
+
+function mac(key, report, envelope) {
+    const { signature, ...body } = report;
+    if (envelope.v === VERSION) for (const field of UNSIGNED_FIELDS) delete body[field];
+    const payload = canonicalJson({ report: body, session: envelope.session, signedAt: envelope.signedAt, v: envelope.v });
+    return crypto.createHmac('sha256', key).update(payload).digest('hex');
+}
+
+/**
+ * Подписать отчёт. Возвращает конверт подписи (кладётся в report.signature) или null, если ключ
+ * не задан или транскрипт прислал клиент (session === null).
+ * @param {Object} report — отчёт без поля signature
+ * @param {Object|null} session — серверная сессия (_sessions.js)
+ */
+export function signReport(report, session) {
+    const key = secret();
+    if (!key || !session) return null;
+    const envelope = {
+        v: VERSION,
+        alg: ALG,
+        signedAt: new Date().toISOString(),
+        session: {
+            id: session.id, source: 'server', orgId: session.meta.orgId || null,
+            startedAt: session.startedAt, finishedAt: session.finishedAt, turns: session.turns.length
+        }
+    };
+    envelope.mac = mac(key, report, envelope);
+    return envelope;
+}
+
+/**
+ * Проверить подпись отчёта. Без ключа на сервере проверять нечем — вызывающий проверяет signingEnabled().
+ * 'unverified' — подпись цела, но поставлена над транскриптом из браузера (так подписывали до серверных копий)
+ * или по версии 1, где попытку, режим и порог присылал браузер: отчёт не правили, но сервер за них не ручается.
+ * @returns {'verified'|'unverified'|'tampered'|'unsigned'}
+ */
+export function verifyReport(report) {
+    if (!report || typeof report !== 'object' || Array.isArray(report)) return 'tampered';
+    const sig = report.signature;
+    if (!sig) return 'unsigned';
+    const key = secret();
+    if (!key) throw new Error('REPORT_SIGNING_SECRET is not set');
+    if (typeof sig !== 'object' || (sig.v !== 1 && sig.v !== VERSION) || sig.alg !== ALG || typeof sig.mac !== 'string') return 'tampered';
+    const expected = Buffer.from(mac(key, report, sig), 'hex');
+    const actual = Buffer.from(sig.mac, 'hex');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return 'tampered';
+    return sig.v === VERSION && sig.session && sig.session.source === 'server' ? 'verified' : 'unverified';
+}
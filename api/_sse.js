@@ -0,0 +1,23 @@
+// Server-Sent Events для потоковых ответов модели: по событию на кусок текста, в конце — итог с cost.
+// Клиент собирает текст сам; событие error — если модель упала посреди потока.
+
+export function sseSend(res, payload) {
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+}
+
+/**
+ * Открыть SSE-ответ. Возвращает AbortSignal: он срабатывает, когда клиент закрыл соединение
+ * (урок завершён, новая попытка) — генерацию надо оборвать, чтобы не платить за хвост.
+ */
+export function openEventStream(res) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // не копить поток в прокси
+    if (res.flushHeaders) res.flushHeaders();
+
+    const upstream = new AbortController();
+    res.on('close', () => { if (!res.writableFinished) upstream.abort(); });
+    return upstream.signal;
+}
@@ -0,0 +1,163 @@
+// Структурированный вывод LLM: схема на эндпоинт, валидация с приведением типов,
+// один раунд «ремонта» (модели возвращают её же ответ со списком ошибок).
+// Если и ремонт не прошёл — вызывающий получает degraded: true и сам решает,
+// что показать. Выдумывать баллы вместо модели здесь нельзя.
+
+import { complete, calculateCost } from './_llm.js';
+
+// ── Схемы: маленький декларативный DSL ──
+// opts: { optional: true } — поле можно не присылать; { nullable: true } — допустим null.
+export const S = {
+    int: (min, max, opts = {}) => ({ kind: 'int', min, max, ...opts }),
+    string: (opts = {}) => ({ kind: 'string', ...opts }),              // opts.maxLength — обрезка
+    bool: (opts = {}) => ({ kind: 'bool', ...opts }),
+    enum: (values, opts = {}) => ({ kind: 'enum', values, ...opts }),
+    array: (item, opts = {}) => ({ kind: 'array', item, ...opts }),    // opts.maxItems — обрезка
+    object: (fields, opts = {}) => ({ kind: 'object', fields, ...opts }),
+    map: (value, opts = {}) => ({ kind: 'map', value, ...opts })       // объект с произвольными ключами
+};
+
+const MISSING = Symbol('missing');
+
+// Проверяет value по схеме. Возвращает { value, errors }; лишние поля объекта отбрасываются.
+export function validate(schema, value, path = '$') {
+    const errors = [];
+    const out = check(schema, value === undefined ? MISSING : value, path, errors);
+    return { value: out === MISSING ? undefined : out, errors };
+}
+
+function check(schema, value, path, errors) {
+    if (value === MISSING || value === null) {
+        if (value === null && schema.nullable) return null;
+        if (value === MISSING && schema.optional) return MISSING;
+        if (value === MISSING && schema.nullable) return null;
+        errors.push(`${path}: обязательное поле`);
+        return MISSING;
+    }
+
+    switch (schema.kind) {
+        case 'int': {
+            const n = typeof value === 'number' ? value
+                : typeof value === 'string' && value.trim() !== '' ? Number(value.trim().replace(',', '.')) : NaN;
+            if (!Number.isFinite(n)) {
+                errors.push(`${path}: ожидалось целое число ${schema.min}..${schema.max}, получено ${JSON.stringify(value)}`);
+                return MISSING;
+            }
+            return Math.max(schema.min, Math.min(schema.max, Math.round(n)));
+        }
+        case 'string': {
+            if (typeof value !== 'string' && typeof value !== 'number') {
+                errors.push(`${path}: ожидалась строка`);
+                return MISSING;
+            }
+            const s = String(value);
+            return schema.maxLength ? s.slice(0, schema.maxLength) : s;
+        }
+        case 'bool': {
+            if (typeof value === 'boolean') return value;
+            if (value === 'true' || value === 1) return true;
+            if (value === 'false' || value === 0) return false;
+            errors.push(`${path}: ожидалось true/false`);
+            return MISSING;
+        }
+        case 'enum': {
+            const v = typeof value === 'string' ? value.trim().toLowerCase() : value;
+            if (!schema.values.includes(v)) {
+                errors.push(`${path}: допустимо одно из ${schema.values.join(' | ')}, получено ${JSON.stringify(value)}`);
+                return MISSING;
+            }
+            return v;
+        }
+        case 'array': {
+            if (!Array.isArray(value)) {
+                errors.push(`${path}: ожидался массив`);
+                return MISSING;
+            }
+            const items = schema.maxItems ? value.slice(0, schema.maxItems) : value;
+            return items.map((item, i) => check(schema.item, item ?? MISSING, `${path}[${i}]`, errors))
+                .filter(v => v !== MISSING);
+        }
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${path}: ожидался объект`);
+                return MISSING;
+            }
+            const out = {};
+            for (const [key, fieldSchema] of Object.entries(schema.fields)) {
+                const v = check(fieldSchema, Object.hasOwn(value, key) ? value[key] : MISSING, `${path}.${key}`, errors);
+                if (v !== MISSING) out[key] = v;
+            }
+            return out;
+        }
+        case 'map': {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${path}: ожидался объект`);
+                return MISSING;
+            }
+            const out = {};
+            for (const [key, v] of Object.entries(value)) {
+                const checked = check(schema.value, v, `${path}.${key}`, errors);
+                if (checked !== MISSING) out[key] = checked;
+            }
+            return out;
+        }
+        default:
+            throw new Error(`Unknown schema kind: ${schema.kind}`);
+    }
+}
+
+function parseAndValidate(content, schema) {
+    let parsed;
+    try {
+        parsed = JSON.parse(content);
+    } catch {
+        return { value: undefined, errors: ['ответ не является валидным JSON (возможно, обрезан) — верни более сжатый, но полный JSON'] };
+    }
+    return validate(schema, parsed);
+}
+
+function sumUsage(a, b) {
+    return {
+        prompt_tokens: a.prompt_tokens + b.prompt_tokens,
+        completion_tokens: a.completion_tokens + b.completion_tokens,
+        total_tokens: a.total_tokens + b.total_tokens
+    };
+}
+
+/**
+ * JSON-вызов модели с проверкой по схеме и одним раундом ремонта.
+ * @param {string} endpoint — ключ конфига провайдера ('session-analysis', ...)
+ * @param {Object} opts — { messages, schema, ledger? } (ledger — метки учёта расходов, см. _llm.js)
+ * @returns {Promise<{data: Object|null, degraded: boolean, errors: string[], repaired: boolean, usage: Object, cost: Object}>}
+ */
+export async function completeStructured(endpoint, { messages, schema, ledger }) {
+    const first = await complete(endpoint, { messages, json: true, ledger });
+    let result = parseAndValidate(first.content, schema);
+    if (result.errors.length === 0) {
+        return { data: result.value, degraded: false, errors: [], repaired: false, usage: first.usage, cost: first.cost };
+    }
+
+    console.warn(`[AI] ${endpoint}: ответ не прошёл схему, ремонт:`, result.errors.slice(0, 5));
+    const repair = await complete(endpoint, {
+        messages: [
+            ...messages,
+            { role: 'assistant', content: first.content },
+            {
+                role: 'user',
+                content: `Твой JSON не прошёл проверку формата:\n${result.errors.slice(0, 10).map(e => `- ${e}`).join('\n')}\n\n` +
+                    'Верни ИСПРАВЛЕННЫЙ JSON целиком, в том же формате, без пояснений. Оценки не меняй без причины — исправь только формат.'
+            }
+        ],
+        json: true,
+        ledger
+    });
+    const usage = sumUsage(first.usage, repair.usage);
+    const cost = calculateCost(usage, repair.provider, repair.model);
+    result = parseAndValidate(repair.content, schema);
+    if (result.errors.length === 0) {
+        return { data: result.value, degraded: false, errors: [], repaired: true, usage, cost };
+    }
+
+    console.error(`[AI] ${endpoint}: ремонт не помог:`, result.errors.slice(0, 5));
+    return { data: null, degraded: true, errors: result.errors.slice(0, 10), repaired: true, usage, cost };
+}
@@ -3,18 +3,30 @@
  * Endpoint: /api/analyze-message
  */
 
-import OpenAI from 'openai';
 import { rateLimited } from './_ratelimit.js';
-
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY?.trim()
+import { budgetGuard } from './_ledger.js';
+import { completeStructured, S } from './_structured.js';
+import { renderPrompt } from './_prompts/index.js';
+
+// Схема ответа модели (совпадает с форматом из system-промпта)
+const ANALYSIS_SCHEMA = S.object({
+    score: S.int(0, 100),
+    feedback: S.string({ maxLength: 500 }),
+    tone: S.enum(['positive', 'neutral', 'negative']),
+    skills: S.object({
+        empathy: S.int(0, 100),
+        assertiveness: S.int(0, 100),
+        professionalism: S.int(0, 100)
+    }),
+    suggestions: S.array(S.string({ maxLength: 300 }), { maxItems: 5 }),
+    warning: S.string({ maxLength: 300, optional: true })
 });
 
 export default async function handler(req, res) {
     // Enable CORS
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Org-Id, X-User-Id, X-Session-Id');
 
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
@@ -25,6 +37,8 @@ export default async function handler(req, res) {
     }
 
     if (rateLimited(req, res)) return;
+    const ledger = budgetGuard(req, res);
+    if (!ledger) return;
 
     try {
         const { teacherMessage, studentType, scenarioContext, conversationHistory = [] } = req.body;
@@ -38,7 +52,7 @@ export default async function handler(req, res) {
         const messages = [
             {
                 role: 'system',
-                content: getSystemPrompt(studentType, scenarioContext)
+                content: renderPrompt('analyze-message.system', { studentType, scenarioContext })
             },
             ...conversationHistory.map(msg => ({
                 role: msg.role,
@@ -46,27 +60,20 @@ export default async function handler(req, res) {
             })),
             {
                 role: 'user',
-                content: `Учитель сказал: "${teacherMessage}"\n\nПроанализируй эту реплику и дай оценку.`
+                content: renderPrompt('analyze-message.user', { teacherMessage })
             }
         ];
 
-        const completion = await openai.chat.completions.create({
-            model: 'gpt-4o-mini',
-            messages: messages,
-            temperature: 0.7,
-            max_tokens: 300,
-            response_format: { type: "json_object" }
-        });
-
-        const response = JSON.parse(completion.choices[0].message.content);
+        const completion = await completeStructured('analyze-message', { messages, schema: ANALYSIS_SCHEMA, ledger });
 
-        console.log('[AI] Response:', response);
+        console.log('[AI] Response:', completion.data);
 
         res.json({
             success: true,
-            analysis: response,
+            analysis: completion.data, // null, если модель дважды нарушила формат
+            degraded: completion.degraded,
             tokensUsed: completion.usage.total_tokens,
-            cost: calculateCost(completion.usage)
+            cost: completion.cost
         });
 
     } catch (error) {
@@ -77,44 +84,3 @@ export default async function handler(req, res) {
         });
     }
 }
-
-function getSystemPrompt(studentType, scenarioContext) {
-    return `Ты - опытный педагог-психолог, который помогает молодым учителям развивать навыки общения с учениками.
-
-Контекст сценария: ${scenarioContext || 'Стандартный урок'}
-Тип ученика: ${studentType || 'Обычный ученик'}
-
-Твоя задача - анализировать реплики учителя и давать конструктивную обратную связь в формате JSON:
-
-{
-  "score": <число 0-100>,
-  "feedback": "<краткая оценка, 1-2 предложения>",
-  "tone": "positive" | "neutral" | "negative",
-  "skills": {
-    "empathy": <0-100>,
-    "assertiveness": <0-100>,
-    "professionalism": <0-100>
-  },
-  "suggestions": ["<конкретное улучшение>"],
-  "warning": "<предупреждение, если есть>" (опционально)
-}
-
-Оценивай:
-1. Эмпатию (понимание чувств ученика)
-2. Ассертивность (уверенность без агрессии)
-3. Профессионализм (соблюдение границ)
-4. Тон голоса (дружелюбный, нейтральный, агрессивный)
-
-Будь конструктивным, но честным.`;
-}
-
-function calculateCost(usage) {
-    const inputCost = (usage.prompt_tokens / 1_000_000) * 0.15;
-    const outputCost = (usage.completion_tokens / 1_000_000) * 0.60;
-    return {
-        inputTokens: usage.prompt_tokens,
-        outputTokens: usage.completion_tokens,
-        totalTokens: usage.total_tokens,
-        estimatedCostUSD: (inputCost + outputCost).toFixed(6)
-    };
-}
@@ -0,0 +1,163 @@
+/**
+ * Vercel Serverless Function - Class Poll
+ * Endpoint: /api/class-poll
+ *
+ * Опрос класса и выходной билет (js/class-poll.js): учитель задаёт вопрос с вариантами
+ * или на короткий ответ — все ученики отвечают разом, одним вызовом модели.
+ * Как и в /api/student-turn, клиент описывает ситуацию, а не присылает промпт: психотипы,
+ * состояние и модель знаний (id из js/knowledge.js) каждого ученика, контекст урока.
+ * Вопрос и варианты — слова учителя, они обрезаются и вставляются как данные.
+ *
+ *   poll: { kind: 'poll'|'exit', question, options?, correct? } — меньше двух вариантов = короткий ответ
+ *   → answers: [{ id, choice, text, misconception }] — choice с нуля или null, misconception —
+ *     id ещё не исправленного заблуждения этого ученика или null
+ * Родителей в опросе нет: встреча с родителем — не урок.
+ * Есть серверная копия урока (X-Session-Id) — сводка опроса с ответами откладывается в ней (role 'poll'),
+ * в ответе recordId: браузер подтверждает его, когда показал результаты (_sessions.confirmTurn).
+ */
+
+import { rateLimited } from './_ratelimit.js';
+import { budgetGuard } from './_ledger.js';
+import { completeStructured, validate, S } from './_structured.js';
+import { promptVersions } from './_prompts/index.js';
+import { resolveStudent, buildPollPrompt, cleanText } from './_roleplay.js';
+import { stageTurn } from './_sessions.js';
+import '../js/whiteboard.js';
+import '../js/knowledge.js';
+import '../js/class-poll.js';
+
+const Whiteboard = globalThis.Whiteboard;
+const Knowledge = globalThis.Knowledge;
+const ClassPoll = globalThis.ClassPoll;
+
+const MAX_STUDENTS = 30;
+const DEFAULT_STATE = { mood: 5, understanding: 5, engagement: 5 };
+
+const INPUT_SCHEMA = S.object({
+    poll: S.object({
+        kind: S.enum(Object.keys(ClassPoll.KINDS), { optional: true }),
+        question: S.string({ maxLength: ClassPoll.MAX_QUESTION }),
+        options: S.array(S.string({ maxLength: ClassPoll.MAX_OPTION }), { maxItems: ClassPoll.MAX_OPTIONS, optional: true }),
+        correct: S.int(0, ClassPoll.MAX_OPTIONS - 1, { optional: true })
+    }),
+    students: S.array(S.object({
+        id: S.int(0, 1e9),
+        name: S.string({ maxLength: 40, optional: true }),
+        types: S.array(S.string({ maxLength: 30 }), { maxItems: 3, optional: true }),
+        gender: S.enum(['f', 'm'], { nullable: true }),
+        state: S.object({
+            mood: S.int(0, 10),
+            understanding: S.int(0, 10),
+            engagement: S.int(0, 10)
+        }, { optional: true }),
+        knowledge: S.object({
+            mastered: S.array(S.string({ maxLength: 60 }), { maxItems: 4 }),
+            misconceptions: S.array(S.object({
+                id: S.string({ maxLength: 60 }),
+                fixed: S.bool()
+            }), { maxItems: 3 })
+        }, { optional: true })
+    }), { maxItems: MAX_STUDENTS }),
+    lesson: S.object({
+        grade: S.int(1, 11),
+        subject: S.string({ maxLength: 60 }),
+        topic: S.string({ maxLength: 200, optional: true }),
+        difficulty: S.int(1, 5),
+        climate: S.object({
+            noise: S.int(0, 10),
+            cohesion: S.int(0, 10),
+            authority: S.int(0, 10)
+        }, { optional: true }),
+        board: S.string({ maxLength: Whiteboard.MAX_CHARS, optional: true })
+    })
+});
+
+const POLL_SCHEMA = S.object({
+    answers: S.array(S.object({
+        n: S.int(1, MAX_STUDENTS),
+        choice: S.int(1, ClassPoll.MAX_OPTIONS, { nullable: true }),
+        text: S.string({ maxLength: 400 }),
+        misconception: S.string({ maxLength: 60, nullable: true })
+    }), { maxItems: MAX_STUDENTS * 2 })
+});
+
+// Ответы модели → ответы учеников: n — номер в списке, choice — с нуля и только из вариантов,
+// заблуждение — только ещё открытое у этого ученика. Повтор номера не перезаписывает первый ответ
+function finalizeAnswers(data, poll, entries) {
+    const byN = new Map();
+    for (const a of (data && data.answers) || []) {
+        if (!byN.has(a.n) && entries[a.n - 1]) byN.set(a.n, a);
+    }
+    return entries.map((e, i) => {
+        const a = byN.get(i + 1);
+        if (!a) return { id: e.id, choice: null, text: '', misconception: null };
+        const open = new Set(e.knowledge ? e.knowledge.misconceptions.filter(m => !m.fixed).map(m => m.id) : []);
+        const key = typeof a.misconception === 'string' ? a.misconception.replace(/[[\]]/g, '').trim() : '';
+        const choice = poll.options.length && a.choice !== null && a.choice <= poll.options.length ? a.choice - 1 : null;
+        return {
+            id: e.id,
+            choice,
+            text: cleanText(a.text, ClassPoll.MAX_ANSWER),
+            misconception: open.has(key) ? key : null
+        };
+    });
+}
+
+export default async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Org-Id, X-User-Id, X-Session-Id');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+    if (rateLimited(req, res)) return;
+    const ledger = budgetGuard(req, res);
+    if (!ledger) return;
+
+    try {
+        const { value: input, errors } = validate(INPUT_SCHEMA, req.body || {});
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid class poll', details: errors.slice(0, 10) });
+        }
+        const poll = ClassPoll.normalize(input.poll);
+        if (!poll) return res.status(400).json({ error: 'question is required' });
+        if (!input.students.length) return res.status(400).json({ error: 'students are required' });
+
+        const entries = input.students.map(s => ({
+            id: s.id,
+            student: resolveStudent(s),
+            state: s.state || DEFAULT_STATE,
+            knowledge: Knowledge.resolve(s.knowledge)
+        }));
+
+        const completion = await completeStructured('class-poll', {
+            messages: [{ role: 'user', content: buildPollPrompt({ poll, lesson: input.lesson, entries }) }],
+            schema: POLL_SCHEMA,
+            ledger
+        });
+
+        const answers = completion.data ? finalizeAnswers(completion.data, poll, entries) : null; // null — модель дважды нарушила формат
+        let recordId = null;
+        if (answers && ledger.sessionId) {
+            const named = answers.map((a, i) => ({ ...a, name: entries[i].student.name }));
+            try {
+                recordId = stageTurn(ledger.sessionId, { role: 'poll', content: ClassPoll.summarize(poll, named) });
+            } catch (e) {
+                console.warn('[AI] Class poll not recorded:', e.message);
+            }
+        }
+        res.json({
+            success: true,
+            answers,
+            recordId,
+            degraded: completion.degraded,
+            prompts: promptVersions('class.poll'),
+            tokensUsed: completion.usage.total_tokens,
+            cost: completion.cost
+        });
+
+    } catch (error) {
+        console.error('[AI] Class poll error:', error);
+        res.status(500).json({ error: 'Class poll failed', message: error.message });
+    }
+}
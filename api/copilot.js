@@ -0,0 +1,99 @@
+/**
+ * Vercel Serverless Function - Co-Pilot
+ * Endpoint: /api/copilot
+ *
+ * Разбор реплики учителя по ходу урока: тип реплики (для речевых метрик отчёта)
+ * и короткая обратная связь good / risk / advice с тоном.
+ * Клиент присылает реплику, последние ходы, уже выданные подсказки и ответы профиля школы —
+ * промпт собирается из реестра (_prompts/copilot.js). В сценарии — ещё id сценария и этапа:
+ * фокус этапа берётся из каталога (_scenarios.js).
+ * mode задаёт рамку разбора: урок ('class'), встреча с родителем ('parent') или разговор с коллегой ('colleague').
+ */
+
+import { rateLimited } from './_ratelimit.js';
+import { budgetGuard } from './_ledger.js';
+import { completeStructured, validate, S } from './_structured.js';
+import { renderPrompt, promptVersions } from './_prompts/index.js';
+import { cleanText } from './_roleplay.js';
+import { stageFocus } from './_scenarios.js';
+
+const SchoolProfile = globalThis.SchoolProfile; // загружен в _roleplay.js
+
+export const TURN_TYPES = ['open_question', 'closed_question', 'clarifying', 'maieutic', 'explanation', 'directive', 'discipline', 'other'];
+
+// Действия учителя (js/teacher-actions.js) идут в контекст отдельной строкой
+const CONTEXT_SPEAKERS = { teacher: 'Учитель', student: 'Ученик', action: 'Учитель (действие)' };
+
+const INPUT_SCHEMA = S.object({
+    teacherMessage: S.string({ maxLength: 1000 }),
+    recentTurns: S.array(S.object({
+        role: S.enum(['teacher', 'student', 'action']),
+        text: S.string({ maxLength: 500 })
+    }), { maxItems: 4, optional: true }),
+    hints: S.array(S.string({ maxLength: 300 }), { maxItems: 5, optional: true }),
+    mode: S.enum(['class', 'parent', 'colleague'], { optional: true }),
+    scenario: S.object({
+        id: S.string({ maxLength: 60 }),
+        stage: S.string({ maxLength: 40 })
+    }, { optional: true })
+});
+
+const COPILOT_SCHEMA = S.object({
+    type: S.enum(TURN_TYPES),
+    good: S.string({ maxLength: 400 }),
+    risk: S.string({ maxLength: 400 }),
+    advice: S.string({ maxLength: 400 }),
+    tone: S.enum(['positive', 'neutral', 'negative'])
+});
+
+export default async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Org-Id, X-User-Id, X-Session-Id');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+    if (rateLimited(req, res)) return;
+    const ledger = budgetGuard(req, res);
+    if (!ledger) return;
+
+    try {
+        const body = req.body || {};
+        const { value: input, errors } = validate(INPUT_SCHEMA, body);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid co-pilot request', details: errors.slice(0, 10) });
+        }
+        if (!input.teacherMessage.trim()) return res.status(400).json({ error: 'teacherMessage is required' });
+
+        const school = body.school && typeof body.school === 'object' && !Array.isArray(body.school) ? body.school : {};
+        const prompt = renderPrompt('copilot.analyze', {
+            mode: input.mode || 'class',
+            schoolRules: SchoolProfile.rulesForCoPilot(SchoolProfile.normalizeProfile(school)),
+            hints: (input.hints || []).map(h => cleanText(h, 300)).filter(Boolean),
+            context: (input.recentTurns || [])
+                .map(t => `${CONTEXT_SPEAKERS[t.role]}: ${cleanText(t.text, 500)}`)
+                .join('\n'),
+            teacherMessage: cleanText(input.teacherMessage, 1000),
+            focus: input.scenario ? stageFocus(input.scenario.id, input.scenario.stage, ledger.orgId) : ''
+        });
+
+        const completion = await completeStructured('copilot', {
+            messages: [{ role: 'user', content: prompt }],
+            schema: COPILOT_SCHEMA,
+            ledger
+        });
+
+        res.json({
+            success: true,
+            analysis: completion.data, // null, если модель дважды нарушила формат
+            degraded: completion.degraded,
+            prompts: promptVersions('copilot.analyze'),
+            tokensUsed: completion.usage.total_tokens,
+            cost: completion.cost
+        });
+
+    } catch (error) {
+        console.error('[AI] Co-Pilot error:', error);
+        res.status(500).json({ error: 'Co-pilot analysis failed', message: error.message });
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ * Vercel Serverless Function - Organisation Drills
+ * Endpoint: /api/drills
+ *   GET                      -> свои дриллы организации в каталожном формате (js/scenarios.js)
+ *   POST { drill: spec }     -> создать (без spec.id) или обновить свой дрилл; spec — форма Scenarios.customDrill
+ *   DELETE ?id=org-…         -> удалить свой дрилл
+ *
+ * Организация — из X-Org-Id (или серверной сессии), как у учёта расходов. Дальше дрилл живёт на сервере:
+ * анализ сессии и Ко-Пилот получают от клиента только его id, цель и фокус берут из хранилища организации.
+ * X-Org-Id присылает клиент, поэтому запись (POST, DELETE) — только с заголовком
+ * Authorization: Bearer <DRILLS_ADMIN_TOKEN>; чтение открыто, симулятору нужен список дриллов.
+ */
+
+import { rateLimited } from './_ratelimit.js';
+import { adminToken, authorized } from './_admin.js';
+import { ledgerTags } from './_ledger.js';
+import { listOrgDrills, saveOrgDrill, deleteOrgDrill, DrillError } from './_scenarios.js';
+
+export default async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Org-Id, X-User-Id, X-Session-Id');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (!['GET', 'POST', 'DELETE'].includes(req.method)) return res.status(405).json({ error: 'Method not allowed' });
+    if (rateLimited(req, res)) return;
+
+    const { orgId } = ledgerTags(req);
+
+    try {
+        if (req.method === 'GET') {
+            return res.json({ success: true, drills: listOrgDrills(orgId) });
+        }
+
+        const token = adminToken('DRILLS_ADMIN_TOKEN');
+        if (!token) {
+            return res.status(503).json({ error: 'Drills admin is not configured', message: 'Редактирование дриллов недоступно: на сервере не задан DRILLS_ADMIN_TOKEN.' });
+        }
+        if (!authorized(req, token)) return res.status(401).json({ error: 'Unauthorized' });
+
+        if (req.method === 'DELETE') {
+            const id = req.query && req.query.id;
+            if (typeof id !== 'string' || !id) return res.status(400).json({ error: 'id is required' });
+            deleteOrgDrill(orgId, id);
+            return res.json({ success: true, id });
+        }
+
+        const drill = saveOrgDrill(orgId, (req.body || {}).drill);
+        res.json({ success: true, drill });
+
+    } catch (error) {
+        if (error instanceof DrillError) {
+            return res.status(error.status).json({ error: error.message, details: error.details });
+        }
+        console.error('[Drills] Error:', error);
+        res.status(500).json({ error: 'Drills request failed', message: error.message });
+    }
+}
@@ -3,17 +3,21 @@
  * Endpoint: /api/generate-hint
  */
 
-import OpenAI from 'openai';
 import { rateLimited } from './_ratelimit.js';
-
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
+import { budgetGuard } from './_ledger.js';
+import { completeStructured, S } from './_structured.js';
+import { renderPrompt } from './_prompts/index.js';
+
+const HINT_SCHEMA = S.object({
+    type: S.enum(['tip', 'warning', 'success']),
+    message: S.string({ maxLength: 300 }),
+    action: S.string({ maxLength: 300, optional: true })
 });
 
 export default async function handler(req, res) {
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Org-Id, X-User-Id, X-Session-Id');
 
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
@@ -24,6 +28,8 @@ export default async function handler(req, res) {
     }
 
     if (rateLimited(req, res)) return;
+    const ledger = budgetGuard(req, res);
+    if (!ledger) return;
 
     try {
         const { situation, studentType, urgency = 'medium' } = req.body;
@@ -35,7 +41,7 @@ export default async function handler(req, res) {
         const messages = [
             {
                 role: 'system',
-                content: getHintSystemPrompt(studentType, urgency)
+                content: renderPrompt('generate-hint.system', { studentType, urgency })
             },
             {
                 role: 'user',
@@ -43,21 +49,14 @@ export default async function handler(req, res) {
             }
         ];
 
-        const completion = await openai.chat.completions.create({
-            model: 'gpt-4o-mini',
-            messages: messages,
-            temperature: 0.8,
-            max_tokens: 150,
-            response_format: { type: "json_object" }
-        });
-
-        const response = JSON.parse(completion.choices[0].message.content);
+        const completion = await completeStructured('generate-hint', { messages, schema: HINT_SCHEMA, ledger });
 
         res.json({
             success: true,
-            hint: response,
+            hint: completion.data, // null, если модель дважды нарушила формат
+            degraded: completion.degraded,
             tokensUsed: completion.usage.total_tokens,
-            cost: calculateCost(completion.usage)
+            cost: completion.cost
         });
 
     } catch (error) {
@@ -68,36 +67,3 @@ export default async function handler(req, res) {
         });
     }
 }
-
-function getHintSystemPrompt(studentType, urgency) {
-    const urgencyMap = {
-        'low': 'Дай легкий совет.',
-        'medium': 'Дай конкретную рекомендацию.',
-        'high': 'Дай срочное предупреждение!'
-    };
-
-    return `Ты - AI-помощник для учителей в реальном времени.
-
-Тип ученика: ${studentType || 'Обычный'}
-Уровень срочности: ${urgencyMap[urgency]}
-
-Формат ответа JSON:
-{
-  "type": "tip" | "warning" | "success",
-  "message": "<краткое сообщение для учителя>",
-  "action": "<что сделать>" (опционально)
-}
-
-Будь кратким и конкретным (макс 2 предложения).`;
-}
-
-function calculateCost(usage) {
-    const inputCost = (usage.prompt_tokens / 1_000_000) * 0.15;
-    const outputCost = (usage.completion_tokens / 1_000_000) * 0.60;
-    return {
-        inputTokens: usage.prompt_tokens,
-        outputTokens: usage.completion_tokens,
-        totalTokens: usage.total_tokens,
-        estimatedCostUSD: (inputCost + outputCost).toFixed(6)
-    };
-}
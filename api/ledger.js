@@ -0,0 +1,59 @@
+/**
+ * Vercel Serverless Function - Cost Ledger (admin)
+ * Endpoint: /api/ledger
+ * GET  ?month=YYYY-MM                          -> расход за месяц по организациям и эндпоинтам
+ * POST { orgId, monthlyUSD, softPercent? }     -> задать месячный бюджет организации (monthlyUSD: null — явно без лимита)
+ * POST { orgId, reset: true }                  -> убрать свой бюджет: снова действует ORG_MONTHLY_BUDGET_USD
+ * Доступ — только с заголовком Authorization: Bearer <LEDGER_ADMIN_TOKEN>.
+ */
+
+import { rateLimited } from './_ratelimit.js';
+import { adminToken, authorized } from './_admin.js';
+import { spendReport, setOrgBudget, budgetStatus } from './_ledger.js';
+
+export default async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+    if (rateLimited(req, res)) return;
+
+    const token = adminToken('LEDGER_ADMIN_TOKEN');
+    if (!token) {
+        return res.status(503).json({ error: 'Ledger admin is not configured', message: 'Учёт расходов недоступен: на сервере не задан LEDGER_ADMIN_TOKEN.' });
+    }
+    if (!authorized(req, token)) return res.status(401).json({ error: 'Unauthorized' });
+
+    try {
+        if (req.method === 'GET') {
+            const month = req.query && req.query.month;
+            if (month !== undefined && !/^\d{4}-\d{2}$/.test(month)) {
+                return res.status(400).json({ error: 'month must be YYYY-MM' });
+            }
+            return res.json({ success: true, ...spendReport(month) });
+        }
+
+        const { orgId, monthlyUSD, softPercent, reset } = req.body || {};
+        if (typeof orgId !== 'string' || !/^[A-Za-z0-9_-]{1,128}$/.test(orgId)) {
+            return res.status(400).json({ error: 'orgId is required' });
+        }
+        if (reset === true) {
+            const budget = setOrgBudget(orgId, { reset: true });
+            return res.json({ success: true, orgId, budget, status: budgetStatus(orgId) });
+        }
+        if (monthlyUSD !== null && !(typeof monthlyUSD === 'number' && monthlyUSD >= 0 && monthlyUSD <= 100000)) {
+            return res.status(400).json({ error: 'monthlyUSD must be a number 0..100000 or null' });
+        }
+        if (softPercent !== undefined && !(Number.isInteger(softPercent) && softPercent >= 1 && softPercent <= 100)) {
+            return res.status(400).json({ error: 'softPercent must be an integer 1..100' });
+        }
+        const budget = setOrgBudget(orgId, { monthlyUSD, softPercent });
+        res.json({ success: true, orgId, budget, status: budgetStatus(orgId) });
+
+    } catch (error) {
+        console.error('[Ledger] Admin error:', error);
+        res.status(500).json({ error: 'Ledger request failed', message: error.message });
+    }
+}
@@ -0,0 +1,49 @@
+/**
+ * Vercel Serverless Function - Organisation Settings
+ * Endpoint: /api/orgs
+ *   GET                       -> настройки организации (проходной балл кандидата)
+ *   POST { certThreshold }    -> задать проходной балл 0..100 (0 — не использовать)
+ *
+ * Организация — из X-Org-Id (или серверной сессии), как у дриллов. Порог попадает в подписанный
+ * отчёт директору, поэтому запись — только с заголовком Authorization: Bearer <ORG_ADMIN_TOKEN>.
+ */
+
+import { rateLimited } from './_ratelimit.js';
+import { adminToken, authorized } from './_admin.js';
+import { ledgerTags } from './_ledger.js';
+import { orgSettings, setOrgSettings } from './_orgs.js';
+
+export default async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Org-Id, X-User-Id, X-Session-Id');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+    if (rateLimited(req, res)) return;
+
+    const { orgId } = ledgerTags(req);
+    if (!orgId) return res.status(400).json({ error: 'X-Org-Id is required' });
+
+    try {
+        if (req.method === 'GET') {
+            return res.json({ success: true, orgId, settings: orgSettings(orgId) });
+        }
+
+        const token = adminToken('ORG_ADMIN_TOKEN');
+        if (!token) {
+            return res.status(503).json({ error: 'Org admin is not configured', message: 'Настройки организации недоступны: на сервере не задан ORG_ADMIN_TOKEN.' });
+        }
+        if (!authorized(req, token)) return res.status(401).json({ error: 'Unauthorized' });
+
+        const { certThreshold } = req.body || {};
+        if (!(Number.isInteger(certThreshold) && certThreshold >= 0 && certThreshold <= 100)) {
+            return res.status(400).json({ error: 'certThreshold must be an integer 0..100' });
+        }
+        res.json({ success: true, orgId, settings: setOrgSettings(orgId, { certThreshold }) });
+
+    } catch (error) {
+        console.error('[Orgs] Error:', error);
+        res.status(500).json({ error: 'Org settings request failed', message: error.message });
+    }
+}
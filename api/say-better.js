@@ -0,0 +1,154 @@
+/**
+ * Vercel Serverless Function - Say It Better
+ * Endpoint: /api/say-better
+ *
+ * «Сказать лучше»: вместо общего совета (/api/generate-hint) — три готовые альтернативы
+ * последней реплике учителя в разных стилях (твёрдо, тепло, с юмором). К каждой — ожидаемый
+ * сдвиг состояния каждого участника, которого касается реплика, и оценка, насколько она сработает.
+ * Клиент присылает реплику, ходы до неё и реакции после, психотипы и состояние участников
+ * (родитель — parentId, участник встречи — participantId, коллега — colleagueId) — промпт собирается из реестра
+ * (_prompts/coaching.js).
+ * Альтернативы отсортированы по score: первая — лучшая; учитель может отправить её как retry
+ * (перемотка урока, js/lesson-timeline.js).
+ *
+ *   → alternatives: [{ style, text, why, score, effects: [{ id, understanding, mood, engagement }] }]
+ */
+
+import { rateLimited } from './_ratelimit.js';
+import { budgetGuard } from './_ledger.js';
+import { completeStructured, validate, S } from './_structured.js';
+import { promptVersions } from './_prompts/index.js';
+import { SAY_BETTER_STYLES } from './_prompts/coaching.js';
+import { resolveStudent, buildSayBetterPrompt, cleanText } from './_roleplay.js';
+
+const MAX_STUDENTS = 6;
+const DEFAULT_STATE = { mood: 5, understanding: 5, engagement: 5 };
+const STYLES = Object.keys(SAY_BETTER_STYLES);
+
+const TURN = S.object({
+    role: S.enum(['teacher', 'student', 'action']),
+    text: S.string({ maxLength: 500 })
+});
+
+const INPUT_SCHEMA = S.object({
+    teacherMessage: S.string({ maxLength: 1000 }),
+    recentTurns: S.array(TURN, { maxItems: 6, optional: true }),
+    reactions: S.array(TURN, { maxItems: 3, optional: true }),
+    mode: S.enum(['class', 'parent', 'colleague'], { optional: true }),
+    students: S.array(S.object({
+        id: S.int(0, 1e9),
+        name: S.string({ maxLength: 40, optional: true }),
+        types: S.array(S.string({ maxLength: 30 }), { maxItems: 3, optional: true }),
+        gender: S.enum(['f', 'm'], { nullable: true }),
+        parentId: S.int(0, 9999, { optional: true }),
+        participantId: S.int(0, 9999, { optional: true }),
+        colleagueId: S.int(0, 9999, { optional: true }),
+        state: S.object({
+            mood: S.int(0, 10),
+            understanding: S.int(0, 10),
+            engagement: S.int(0, 10)
+        }, { optional: true })
+    }), { maxItems: MAX_STUDENTS }),
+    lesson: S.object({
+        grade: S.int(1, 11),
+        subject: S.string({ maxLength: 60 }),
+        topic: S.string({ maxLength: 200, optional: true }),
+        difficulty: S.int(1, 5, { optional: true })
+    })
+});
+
+const SHIFT = S.int(-2, 2);
+const ALTERNATIVES_SCHEMA = S.object({
+    alternatives: S.array(S.object({
+        style: S.enum(STYLES),
+        text: S.string({ maxLength: 400 }),
+        why: S.string({ maxLength: 300 }),
+        score: S.int(1, 10),
+        effects: S.array(S.object({
+            n: S.int(1, MAX_STUDENTS),
+            understanding: SHIFT,
+            mood: SHIFT,
+            engagement: SHIFT
+        }), { maxItems: MAX_STUDENTS * 2 })
+    }), { maxItems: 6 })
+});
+
+// Ответ модели → альтернативы: по одной на стиль (первая встреченная), пустые реплики отбрасываются,
+// n участника → его id; участник без оценки — нулевой сдвиг. Сортировка по score, лучшая первой
+function finalizeAlternatives(data, entries) {
+    const byStyle = new Map();
+    for (const a of data.alternatives) {
+        const text = cleanText(a.text, 400);
+        if (text && !byStyle.has(a.style)) byStyle.set(a.style, { ...a, text });
+    }
+    return [...byStyle.values()]
+        .map(a => ({
+            style: a.style,
+            text: a.text,
+            why: cleanText(a.why, 300),
+            score: a.score,
+            effects: entries.map((e, i) => {
+                const eff = a.effects.find(x => x.n === i + 1);
+                return { id: e.id, understanding: eff ? eff.understanding : 0, mood: eff ? eff.mood : 0, engagement: eff ? eff.engagement : 0 };
+            })
+        }))
+        .sort((a, b) => b.score - a.score);
+}
+
+export default async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Org-Id, X-User-Id, X-Session-Id');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+    if (rateLimited(req, res)) return;
+    const ledger = budgetGuard(req, res);
+    if (!ledger) return;
+
+    try {
+        const body = req.body || {};
+        const { value: input, errors } = validate(INPUT_SCHEMA, body);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid say-better request', details: errors.slice(0, 10) });
+        }
+        if (!input.teacherMessage.trim()) return res.status(400).json({ error: 'teacherMessage is required' });
+
+        // Неизвестный родитель, участник встречи или коллега отбрасывается, как в /api/student-turn
+        const entries = input.students
+            .map(s => ({ id: s.id, student: resolveStudent(s), state: s.state || DEFAULT_STATE }))
+            .filter(e => e.student);
+        if (!entries.length) return res.status(400).json({ error: 'students are required' });
+
+        const school = body.school && typeof body.school === 'object' && !Array.isArray(body.school) ? body.school : {};
+        const completion = await completeStructured('say-better', {
+            messages: [{
+                role: 'user',
+                content: buildSayBetterPrompt({
+                    entries,
+                    lesson: input.lesson,
+                    school,
+                    recentTurns: input.recentTurns,
+                    reactions: input.reactions,
+                    teacherMessage: input.teacherMessage,
+                    mode: input.mode
+                })
+            }],
+            schema: ALTERNATIVES_SCHEMA,
+            ledger
+        });
+
+        res.json({
+            success: true,
+            alternatives: completion.data ? finalizeAlternatives(completion.data, entries) : null, // null — модель дважды нарушила формат
+            degraded: completion.degraded,
+            prompts: promptVersions('say-better.alternatives'),
+            tokensUsed: completion.usage.total_tokens,
+            cost: completion.cost
+        });
+
+    } catch (error) {
+        console.error('[AI] Say-better error:', error);
+        res.status(500).json({ error: 'Say-better failed', message: error.message });
+    }
+}
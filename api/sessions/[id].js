@@ -0,0 +1,147 @@
+/**
+ * Vercel Serverless Function - Session Transcript
+ * Endpoint: /api/sessions/:id
+ *   POST { action: 'turn', role: 'teacher', content } — дописать реплику учителя
+ *   POST { action: 'turn', role: 'action', teacherAction, speaker? } — действие учителя (js/teacher-actions.js),
+ *        speaker — имя ученика-адресата
+ *   POST { action: 'turn', role: 'board', content } — снимок доски учителя (js/whiteboard.js)
+ *   POST { action: 'turn', role: 'student', scripted: 'opening' | 'incident', incidentId? } — заготовленная
+ *        реплика каталога: первая реплика сцены (коллега, встреча, родитель, сценарий — по meta сессии) или
+ *        вброс сценария; текст подставляет сервер
+ *   POST { action: 'turn', recordId } — браузер показал реплику ученика или опрос класса: записать отложенный
+ *        /api/student-turn или /api/class-poll текст (_sessions.confirmTurn). Свой текст таких реплик клиент не пишет
+ *   POST { action: 'rewind', turns } — перемотать урок к первым turns записям (js/lesson-timeline.js);
+ *        отмотанный хвост сервер хранит веткой, отчёты оценивают активную
+ *   POST { action: 'finish' } — закрыть сессию (дальше транскрипт не меняется)
+ *   Ответ на turn — { success, at, turns }: turns — число записей в копии после этой
+ *   GET — состояние сессии (без текста реплик)
+ */
+
+import { rateLimited } from '../_ratelimit.js';
+import {
+    getSession, appendTurn, recordTurn, confirmTurn, rewindSession, finishSession, sessionDurationMs, SessionError
+} from '../_sessions.js';
+import { PARENT_TYPES } from '../_roleplay.js';
+import { getScenario } from '../_scenarios.js';
+import '../../js/meetings.js';
+import '../../js/colleagues.js';
+
+const Meetings = globalThis.Meetings;
+const Colleagues = globalThis.Colleagues;
+
+// Заготовленная реплика по meta сессии — в том же порядке, в каком симулятор выбирает первую реплику
+function scriptedLine(session, scripted, incidentId) {
+    const { meta } = session;
+    const sc = getScenario(meta.drillId || meta.scenarioId, meta.orgId);
+    const nameIn = (id) => {
+        const s = sc && (sc.students || []).find(x => x.id === id);
+        return s ? s.name : PARENT_TYPES[id] ? PARENT_TYPES[id].name : null;
+    };
+    if (scripted === 'opening') {
+        const colleague = meta.colleagueId !== null ? Colleagues.get(meta.colleagueId) : null;
+        if (colleague) return { speaker: colleague.name, text: colleague.opening };
+        const meeting = meta.meetingId ? Meetings.get(meta.meetingId) : null;
+        if (meeting) return { speaker: Meetings.participant(meeting.opening.participant).name, text: meeting.opening.text };
+        const parent = meta.mode === 'parent' && meta.parentId !== null ? PARENT_TYPES[meta.parentId] : null;
+        if (parent) return { speaker: parent.name, text: parent.opening };
+        if (sc && sc.opening) return { speaker: nameIn(sc.opening.student), text: sc.opening.text };
+        return null;
+    }
+    if (scripted === 'incident' && sc) {
+        for (const stage of sc.stages || []) {
+            const inc = (stage.incidents || []).find(i => i.id === incidentId);
+            if (inc) return inc.text ? { speaker: nameIn(inc.student), text: inc.text } : null;
+        }
+    }
+    return null;
+}
+
+function summary(session) {
+    return {
+        sessionId: session.id,
+        startedAt: session.startedAt,
+        finishedAt: session.finishedAt,
+        durationSeconds: Math.round(sessionDurationMs(session) / 1000),
+        turns: session.turns.length,
+        branches: (session.branches || []).length,
+        meta: session.meta
+    };
+}
+
+// Ответ на запись: turns — длина копии после неё, по ней браузер ставит отметки перемотки (aiClient.sessionMark)
+function appended(id, turn) {
+    return { success: true, at: turn.at, turns: getSession(id).turns.length };
+}
+
+export default async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (rateLimited(req, res)) return;
+
+    const { id } = req.query;
+
+    try {
+        if (req.method === 'GET') {
+            const session = getSession(id);
+            if (!session) return res.status(404).json({ error: 'Session not found' });
+            return res.json({ success: true, ...summary(session) });
+        }
+
+        const { action, role, content, speaker, teacherAction, scripted, incidentId, recordId, turns } = req.body || {};
+
+        if (action === 'turn' && recordId !== undefined) {
+            const turn = confirmTurn(id, recordId);
+            return res.json(appended(id, turn));
+        }
+
+        if (action === 'turn' && role === 'student') {
+            if (scripted !== 'opening' && scripted !== 'incident') {
+                return res.status(400).json({ error: 'Student turns are recorded by the server; only scripted opening or incident is accepted' });
+            }
+            const session = getSession(id);
+            if (!session) return res.status(404).json({ error: 'Session not found' });
+            const line = scriptedLine(session, scripted, incidentId);
+            if (!line) return res.status(400).json({ error: 'Unknown scripted line for this session' });
+            const turn = recordTurn(id, {
+                role: 'student',
+                content: line.speaker ? `${line.speaker}: ${line.text}` : line.text,
+                speaker: line.speaker
+            });
+            return res.json(appended(id, turn));
+        }
+
+        if (action === 'turn') {
+            const turn = appendTurn(id, { role, content, speaker, teacherAction });
+            return res.json(appended(id, turn));
+        }
+
+        if (action === 'rewind') {
+            const session = rewindSession(id, turns);
+            return res.json({ success: true, ...summary(session) });
+        }
+
+        if (action === 'finish') {
+            const session = finishSession(id);
+            return res.json({ success: true, ...summary(session) });
+        }
+
+        return res.status(400).json({ error: 'action must be turn, rewind or finish' });
+
+    } catch (error) {
+        if (error instanceof SessionError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('[Sessions] Error:', error);
+        res.status(500).json({ error: 'Failed to update session' });
+    }
+}
@@ -0,0 +1,29 @@
+/**
+ * Vercel Serverless Function - Start Session
+ * Endpoint: POST /api/sessions
+ * Открывает серверную копию урока; реплики дописываются через /api/sessions/:id.
+ * Body: { mode, scenarioId, drillId, parentId, meetingId, colleagueId, grade, subject, topic, assessment, difficulty, orgId, userId }
+ * Номер попытки сцены считает сервер и возвращает в ответе (attempt).
+ */
+
+import { rateLimited } from '../_ratelimit.js';
+import { createSession } from '../_sessions.js';
+
+export default async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (rateLimited(req, res)) return;
+
+    const session = createSession(req.body || {});
+    res.json({ success: true, sessionId: session.id, startedAt: session.startedAt, attempt: session.meta.attempt });
+}
@@ -0,0 +1,287 @@
+/**
+ * Vercel Serverless Function - Student Turn
+ * Endpoint: /api/student-turn
+ *
+ * Реплика AI-ученика (родителя, участника встречи, коллеги) по структурированному описанию ситуации.
+ * Клиент не присылает промпт: только id/психотипы ученика, состояние, контекст урока,
+ * ответы профиля школы и последние реплики. Промпт собирается здесь из allowlist-каталогов
+ * (_roleplay.js) — эндпоинт нельзя использовать как бесплатный чат-бот на нашем ключе.
+ * Свободного чата с моделью (messages от клиента) в API нет.
+ *
+ *   kind: 'reply' — ответ на реплику учителя: { turn: { reply, delta_*, reason }, recordId };
+ *                   вместо teacherMessage — teacherAction (id из js/teacher-actions.js): ответ на действие
+ *   kind: 'event' — спонтанное событие (event из EVENT_KINDS): { text, recordId }
+ *   kind: 'peer'  — реплика однокласснику (peer: { name, text }, brief — короткая реакция): { text, recordId };
+ *                   на встрече (student.participantId, js/meetings.js) — реплика другому участнику
+ *   student.colleagueId — коллега или представитель администрации (js/colleagues.js): только reply
+ *   lesson.board — что сейчас на доске учителя: ученики видят её во всех трёх видах хода
+ *   knowledge (только reply) — модель знаний ученика (id из js/knowledge.js): ученик ошибается по своим
+ *                   заблуждениям и отмечает в turn, какое проявил (misconception_shown) и какое учитель исправил
+ *                   (misconception_fixed)
+ *   stream: true (только для reply) — SSE: { delta }..., затем { done, turn, recordId, content }
+ *
+ * Ответ учителю короче MIN_REPLY_WORDS слов сервер заменяет репликой замешательства (_roleplay.ensureReplyLength).
+ * Есть серверная копия урока (X-Session-Id) — готовая реплика откладывается в ней (_sessions.stageTurn), в ответе
+ * recordId: браузер подтверждает его, когда показал реплику. Текст реплик учеников клиент в транскрипт не присылает.
+ */
+
+import { rateLimited } from './_ratelimit.js';
+import { budgetGuard } from './_ledger.js';
+import { complete, completeStream } from './_llm.js';
+import { completeStructured, validate, S } from './_structured.js';
+import { openEventStream, sseSend } from './_sse.js';
+import { stageTurn } from './_sessions.js';
+import {
+    EVENT_KINDS, ROLEPLAY_SYSTEM,
+    resolveStudent, buildReplyPrompt, buildEventPrompt, buildPeerPrompt, stripSpeakerPrefix, ensureReplyLength
+} from './_roleplay.js';
+import '../js/teacher-actions.js';
+import '../js/whiteboard.js';
+import '../js/knowledge.js';
+
+const TeacherActions = globalThis.TeacherActions;
+const Whiteboard = globalThis.Whiteboard;
+const Knowledge = globalThis.Knowledge;
+
+const INPUT_SCHEMA = S.object({
+    kind: S.enum(['reply', 'event', 'peer']),
+    event: S.enum(EVENT_KINDS, { optional: true }),
+    student: S.object({
+        name: S.string({ maxLength: 40, optional: true }),
+        types: S.array(S.string({ maxLength: 30 }), { maxItems: 3, optional: true }),
+        gender: S.enum(['f', 'm'], { nullable: true }),
+        parentId: S.int(0, 9999, { optional: true }),
+        participantId: S.int(0, 9999, { optional: true }), // участник встречи (js/meetings.js)
+        colleagueId: S.int(0, 9999, { optional: true }) // коллега (js/colleagues.js)
+    }),
+    state: S.object({
+        mood: S.int(0, 10),
+        understanding: S.int(0, 10),
+        engagement: S.int(0, 10)
+    }, { optional: true }),
+    lesson: S.object({
+        grade: S.int(1, 11),
+        subject: S.string({ maxLength: 60 }),
+        topic: S.string({ maxLength: 200, optional: true }),
+        difficulty: S.int(1, 5),
+        // Атмосфера класса (js/class-dynamics.js): шум, сплочённость, авторитет учителя
+        climate: S.object({
+            noise: S.int(0, 10),
+            cohesion: S.int(0, 10),
+            authority: S.int(0, 10)
+        }, { optional: true }),
+        // Текущий снимок доски учителя (js/whiteboard.js)
+        board: S.string({ maxLength: Whiteboard.MAX_CHARS, optional: true })
+    }),
+    recentTurns: S.array(S.object({
+        role: S.enum(['teacher', 'student', 'action']),
+        text: S.string({ maxLength: 500 })
+    }), { maxItems: 6, optional: true }),
+    teacherMessage: S.string({ maxLength: 1000, optional: true }),
+    teacherAction: S.enum(TeacherActions.IDS, { optional: true }),
+    peer: S.object({
+        name: S.string({ maxLength: 40 }),
+        text: S.string({ maxLength: 500 })
+    }, { optional: true }),
+    knowledge: S.object({
+        mastered: S.array(S.string({ maxLength: 60 }), { maxItems: 4 }),
+        misconceptions: S.array(S.object({
+            id: S.string({ maxLength: 60 }),
+            fixed: S.bool()
+        }), { maxItems: 3 })
+    }, { optional: true }),
+    brief: S.bool({ optional: true })
+});
+
+// delta_* и reason — оценка модели, как реплика учителя подействовала на героя: она держит тон ответа,
+// но состояние ученика меняет только js/student-state.js (браузер дельты модели не применяет)
+const TURN_SCHEMA = S.object({
+    reply: S.string({ maxLength: 1000 }),
+    delta_understanding: S.int(-2, 2),
+    delta_mood: S.int(-2, 2),
+    delta_engagement: S.int(-2, 2),
+    reason: S.string({ maxLength: 300, optional: true }),
+    // Только при модели знаний: id заблуждения из промпта или null
+    misconception_shown: S.string({ maxLength: 60, nullable: true }),
+    misconception_fixed: S.string({ maxLength: 60, nullable: true })
+});
+
+const DEFAULT_STATE = { mood: 5, understanding: 5, engagement: 5 };
+const EVENT_MAX_TOKENS = 80;
+
+function withSystem(prompt) {
+    return [
+        { role: 'system', content: ROLEPLAY_SYSTEM },
+        { role: 'user', content: prompt }
+    ];
+}
+
+// Реплика из итогового JSON; имя в начале срезаем, слишком короткую заменяем. Отметки заблуждений — только id из модели
+// знаний этого ученика и только ещё не исправленные
+function finalizeTurn(turn, knowledge) {
+    if (!turn) return null;
+    const open = new Set(knowledge ? knowledge.misconceptions.filter(m => !m.fixed).map(m => m.id) : []);
+    const mark = (id) => {
+        const key = typeof id === 'string' ? id.replace(/[[\]]/g, '').trim() : '';
+        return open.has(key) ? key : null;
+    };
+    return {
+        ...turn,
+        reply: ensureReplyLength(stripSpeakerPrefix(turn.reply)),
+        misconception_shown: mark(turn.misconception_shown),
+        misconception_fixed: mark(turn.misconception_fixed)
+    };
+}
+
+// Реплика — в серверную копию урока до подтверждения браузером; recordId (null — не отложена).
+// Закрытая или переполненная сессия не мешает ответить ученику
+function stageReply(ledger, student, text) {
+    if (!ledger.sessionId || !text || !text.trim()) return null;
+    try {
+        return stageTurn(ledger.sessionId, { role: 'student', content: `${student.name}: ${text}`, speaker: student.name });
+    } catch (e) {
+        console.warn('[AI] Student turn not recorded:', e.message);
+        return null;
+    }
+}
+
+async function streamTurn(res, messages, student, knowledge, ledger) {
+    const signal = openEventStream(res);
+    try {
+        const completion = await completeStream('student-turn', {
+            messages,
+            json: true,
+            ledger,
+            signal,
+            onDelta: (delta) => sseSend(res, { delta })
+        });
+        // Ремонтный раунд после стрима невозможен (текст уже показан) — невалидный JSON = degraded
+        let parsed;
+        try { parsed = JSON.parse(completion.content); } catch { parsed = undefined; }
+        const { value, errors } = validate(TURN_SCHEMA, parsed);
+        const turn = errors.length ? null : finalizeTurn(value, knowledge);
+        const recordId = turn ? stageReply(ledger, student, turn.reply) : null;
+        sseSend(res, {
+            done: true,
+            success: true,
+            turn,
+            recordId,
+            degraded: errors.length > 0,
+            content: completion.content,
+            tokensUsed: completion.usage.total_tokens,
+            cost: completion.cost
+        });
+    } catch (error) {
+        if (signal.aborted) return;
+        console.error('[AI] Student turn stream error:', error);
+        sseSend(res, { error: 'Student turn failed', message: error.message });
+    }
+    res.end();
+}
+
+export default async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Org-Id, X-User-Id, X-Session-Id');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+    if (rateLimited(req, res)) return;
+    const ledger = budgetGuard(req, res);
+    if (!ledger) return;
+
+    try {
+        const body = req.body || {};
+        const { value: input, errors } = validate(INPUT_SCHEMA, body);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid student turn', details: errors.slice(0, 10) });
+        }
+
+        const student = resolveStudent(input.student);
+        if (!student) return res.status(400).json({ error: 'Unknown parent, meeting participant or colleague' });
+        // Родитель, участник встречи и коллега — не ученики на уроке: без событий, действий учителя и модели знаний
+        const adult = student.parent || student.participant || student.colleague;
+        // Профиль школы: normalizeProfile в _roleplay оставит только ключи каталога
+        const school = body.school && typeof body.school === 'object' && !Array.isArray(body.school) ? body.school : {};
+
+        if (input.kind === 'event') {
+            if (!input.event) return res.status(400).json({ error: 'event is required' });
+            if (adult) return res.status(400).json({ error: 'Events are not supported in conversations with adults' });
+            const completion = await complete('student-turn', {
+                messages: withSystem(buildEventPrompt({ event: input.event, student, lesson: input.lesson })),
+                maxTokens: EVENT_MAX_TOKENS,
+                ledger
+            });
+            const text = stripSpeakerPrefix(completion.content);
+            return res.json({
+                success: true,
+                text,
+                recordId: stageReply(ledger, student, text),
+                tokensUsed: completion.usage.total_tokens,
+                cost: completion.cost
+            });
+        }
+
+        if (input.kind === 'peer') {
+            if (!input.peer || !input.peer.text.trim()) return res.status(400).json({ error: 'peer is required' });
+            if (student.parent || student.colleague) {
+                return res.status(400).json({ error: 'Peer turns are not supported in one-to-one conversations' });
+            }
+            const completion = await complete('student-turn', {
+                messages: withSystem(buildPeerPrompt({
+                    student,
+                    state: input.state || DEFAULT_STATE,
+                    lesson: input.lesson,
+                    recentTurns: input.recentTurns,
+                    peer: input.peer,
+                    brief: input.brief
+                })),
+                maxTokens: EVENT_MAX_TOKENS,
+                ledger
+            });
+            const text = stripSpeakerPrefix(completion.content);
+            return res.json({
+                success: true,
+                text,
+                recordId: stageReply(ledger, student, text),
+                tokensUsed: completion.usage.total_tokens,
+                cost: completion.cost
+            });
+        }
+
+        if (input.teacherAction) {
+            if (adult) return res.status(400).json({ error: 'Teacher actions are not supported in conversations with adults' });
+        } else if (!input.teacherMessage || !input.teacherMessage.trim()) {
+            return res.status(400).json({ error: 'teacherMessage or teacherAction is required' });
+        }
+        // Модель знаний — только у учеников: тексты заблуждений подставляются из каталога по id
+        const knowledge = adult ? null : Knowledge.resolve(input.knowledge);
+        const messages = withSystem(buildReplyPrompt({
+            student,
+            state: input.state || DEFAULT_STATE,
+            lesson: input.lesson,
+            school,
+            recentTurns: input.recentTurns,
+            teacherMessage: input.teacherAction ? '' : input.teacherMessage,
+            teacherAction: input.teacherAction,
+            knowledge
+        }));
+
+        if (body.stream === true) return await streamTurn(res, messages, student, knowledge, ledger);
+
+        const completion = await completeStructured('student-turn', { messages, schema: TURN_SCHEMA, ledger });
+        const turn = finalizeTurn(completion.data, knowledge);
+        res.json({
+            success: true,
+            turn, // null, если модель дважды нарушила формат
+            recordId: turn ? stageReply(ledger, student, turn.reply) : null,
+            degraded: completion.degraded,
+            tokensUsed: completion.usage.total_tokens,
+            cost: completion.cost
+        });
+
+    } catch (error) {
+        console.error('[AI] Student turn error:', error);
+        res.status(500).json({ error: 'Student turn failed', message: error.message });
+    }
+}
@@ -0,0 +1,43 @@
+/**
+ * Vercel Serverless Function - Verify Director Report Signature
+ * Endpoint: /api/verify-report
+ * POST { reports: [report, ...] } -> { results: [{ status: 'verified'|'unverified'|'tampered'|'unsigned', signedAt, session }] }
+ * Дашборд руководителя проверяет отчёты, которые кандидаты сохранили по ссылке-приглашению.
+ */
+
+import { rateLimited } from './_ratelimit.js';
+import { signingEnabled, verifyReport } from './_signing.js';
+
+const MAX_REPORTS = 50; // за один запрос; дашборд шлёт пачками
+
+export default async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') return res.status(200).end();
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+    if (rateLimited(req, res)) return;
+
+    const { reports } = req.body || {};
+    if (!Array.isArray(reports) || reports.length === 0 || reports.length > MAX_REPORTS) {
+        return res.status(400).json({ error: `reports must be an array of 1..${MAX_REPORTS}` });
+    }
+
+    // Без ключа проверять нечем: честно говорим, а не помечаем всё подделкой
+    if (!signingEnabled()) {
+        return res.status(503).json({ error: 'Report signing is not configured', message: 'Проверка подписи недоступна: на сервере не задан REPORT_SIGNING_SECRET.' });
+    }
+
+    const results = reports.map(report => {
+        const status = verifyReport(report);
+        const sig = status === 'verified' || status === 'unverified' ? report.signature : null;
+        return {
+            status,
+            signedAt: sig ? sig.signedAt : null,
+            session: sig ? sig.session : null // источник транскрипта: server — записан сервером по ходу урока
+        };
+    });
+
+    res.json({ success: true, results });
+}
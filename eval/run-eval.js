@@ -26,6 +26,7 @@ async function scoreOnce(t) {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
             conversationHistory: t.history,
+            clientTranscript: true, // эталонный транскрипт, а не серверная копия урока
             scenarioId: `eval-${t.id}`,
             duration: t.duration,
             hintsHistory: []
@@ -33,6 +34,7 @@ async function scoreOnce(t) {
     });
     if (!res.ok) throw new Error(`HTTP ${res.status}: ${(await res.text()).slice(0, 200)}`);
     const data = await res.json();
+    if (data.degraded) throw new Error(`анализ деградировал (схема не прошла и после ремонта): ${(data.validation_errors || []).slice(0, 2).join('; ')}`);
     if (typeof data.overall_score !== 'number') throw new Error(`overall_score отсутствует: ${JSON.stringify(data).slice(0, 200)}`);
     return { score: data.overall_score, skills: data.skills || {} };
 }
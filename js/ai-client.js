@@ -3,15 +3,17 @@
  * Connects to AI backend for psychological co-pilot features.
  *
  * Error model:
- *   - Throws AIError with `.kind` field: 'rate_limit' | 'server' | 'network' | 'unknown'
+ *   - Throws AIError with `.kind` field: 'rate_limit' | 'budget' | 'server' | 'network' | 'unknown'
  *   - Auto-retries 429 once after Retry-After (or 1s) before throwing
+ *   - 402 = месячный бюджет организации исчерпан ('budget'); при мягком превышении
+ *     сервер шлёт X-Budget-Warning, клиент один раз вызывает onBudgetWarning(percent)
  */
 
 class AIError extends Error {
     constructor(message, kind, status) {
         super(message);
         this.name = 'AIError';
-        this.kind = kind; // 'rate_limit' | 'server' | 'network' | 'unknown'
+        this.kind = kind; // 'rate_limit' | 'budget' | 'server' | 'network' | 'unknown'
         this.status = status;
     }
 }
@@ -29,6 +31,41 @@ class AIClient {
         this.conversationHistory = [];
         this.totalCost = 0;
         this.debugMode = true;
+        // Серверная копия урока: id + очередь запросов (реплики уходят строго по порядку)
+        this._session = { id: null, turns: 0, queue: Promise.resolve() };
+        // Метки учёта расходов (api/_ledger.js): организация и пользователь
+        this.ledgerTags = { orgId: null, userId: null };
+        this.onBudgetWarning = null;
+        this._budgetWarned = false;
+    }
+
+    /**
+     * Задать организацию и пользователя для учёта расходов и бюджета организации.
+     * @param {{orgId?: string|null, userId?: string|null}} tags
+     */
+    setLedgerTags({ orgId = null, userId = null } = {}) {
+        this.ledgerTags = { orgId, userId };
+    }
+
+    /**
+     * Заголовки JSON-запроса к API с метками учёта (X-Org-Id, X-User-Id, X-Session-Id).
+     */
+    headers() {
+        const h = { 'Content-Type': 'application/json' };
+        if (this.ledgerTags.orgId) h['X-Org-Id'] = this.ledgerTags.orgId;
+        if (this.ledgerTags.userId) h['X-User-Id'] = this.ledgerTags.userId;
+        if (this._session.id) h['X-Session-Id'] = this._session.id;
+        return h;
+    }
+
+    /**
+     * Мягкое предупреждение о бюджете: показываем один раз за урок.
+     */
+    noteBudgetWarning(response) {
+        const percent = parseInt(response.headers.get('X-Budget-Warning'), 10);
+        if (!Number.isFinite(percent) || this._budgetWarned) return;
+        this._budgetWarned = true;
+        if (typeof this.onBudgetWarning === 'function') this.onBudgetWarning(percent);
     }
 
     /**
@@ -59,6 +96,12 @@ class AIClient {
             }
         }
 
+        if (response.status === 402) {
+            let message = 'Месячный бюджет организации на AI исчерпан.';
+            try { message = (await response.json()).message || message; } catch { /* не JSON */ }
+            throw new AIError(message, 'budget', 402);
+        }
+
         if (!response.ok) {
             const kind = response.status >= 500 ? 'server' : 'unknown';
             const msg = response.status >= 500
@@ -67,6 +110,7 @@ class AIClient {
             throw new AIError(msg, kind, response.status);
         }
 
+        this.noteBudgetWarning(response);
         return response;
     }
 
@@ -83,7 +127,7 @@ class AIClient {
 
         const response = await this._fetchWithRetry(`${this.apiUrl}/analyze-message`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: this.headers(),
             body: JSON.stringify({
                 teacherMessage,
                 studentType,
@@ -112,7 +156,7 @@ class AIClient {
 
         const response = await this._fetchWithRetry(`${this.apiUrl}/generate-hint`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: this.headers(),
             body: JSON.stringify({
                 situation,
                 studentType,
@@ -134,19 +178,24 @@ class AIClient {
      * @param {number} duration — ms
      * @param {Array} [hintsHistory] — hints that were issued during the session
      * @param {string|null} [drillId] — id микро-дрилла (цель хранится на сервере, allowlist)
+     * @param {{force?: boolean}} [opts] — force: переоценить, не брать результат из кэша сервера.
+     *   Пункты цели дрилла сервер отмечает по транскрипту сам — итог живого трекера не отправляется
      */
-    async getSessionAnalysis(scenarioId, duration, hintsHistory, drillId) {
+    async getSessionAnalysis(scenarioId, duration, hintsHistory, drillId, opts = {}) {
         this.log('Getting session analysis...');
 
         const response = await this._fetchWithRetry(`${this.apiUrl}/session-analysis`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: this.headers(),
             body: JSON.stringify({
+                sessionId: this._session.id, // сервер оценит свою копию транскрипта
+                clientTranscript: !this._session.id, // копии нет — явно просим оценить локальную историю
                 conversationHistory: this.conversationHistory,
                 scenarioId,
                 duration,
                 hintsHistory: hintsHistory || [],
-                drillId: drillId || null
+                drillId: drillId || null,
+                force: opts.force === true
             })
         });
 
@@ -162,16 +211,19 @@ class AIClient {
     /**
      * Get director hiring report (структурированные наблюдения методиста).
      * @param {Object} ctx — { duration(ms), grade, subject, topic, students, schoolName, schoolRules }
+     *   force: true — переоценить урок заново; иначе тот же урок с тем же контекстом вернёт отчёт из кэша сервера
      */
     async getDirectorReport(ctx) {
         this.log('Getting director report...');
 
         const response = await this._fetchWithRetry(`${this.apiUrl}/director-report`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: this.headers(),
             body: JSON.stringify({
                 conversationHistory: this.conversationHistory,
-                ...ctx
+                ...ctx,
+                sessionId: this._session.id, // сервер оценит свою копию транскрипта
+                clientTranscript: !this._session.id // копии нет — явно просим оценить локальную историю
             })
         });
 
@@ -183,23 +235,260 @@ class AIClient {
         return data;
     }
 
+    /**
+     * Проверить подписи отчётов директору (результаты по ссылке-приглашению).
+     * @param {Array<Object>} reports
+     * @returns {Promise<Array<{status: 'verified'|'unverified'|'tampered'|'unsigned', signedAt: string|null, session: Object|null}>>}
+     */
+    async verifyReports(reports) {
+        const BATCH = 50; // лимит сервера на запрос
+        const results = [];
+        for (let i = 0; i < reports.length; i += BATCH) {
+            const response = await this._fetchWithRetry(`${this.apiUrl}/verify-report`, {
+                method: 'POST',
+                headers: this.headers(),
+                body: JSON.stringify({ reports: reports.slice(i, i + BATCH) })
+            });
+            const data = await response.json();
+            results.push(...data.results);
+        }
+        return results;
+    }
+
+    /**
+     * Свои дриллы организации (организация — X-Org-Id из setLedgerTags).
+     * @returns {Promise<Array<Object>>} дриллы в каталожном формате js/scenarios.js
+     */
+    async listOrgDrills() {
+        const response = await this._fetchWithRetry(`${this.apiUrl}/drills`, { headers: this.headers() });
+        const data = await response.json();
+        return data.drills || [];
+    }
+
+    /**
+     * Сохранить свой дрилл организации.
+     * @param {Object} spec — форма Scenarios.customDrill; без id — новый дрилл (id выдаёт сервер)
+     * @param {string} token — DRILLS_ADMIN_TOKEN сервера (401 — неверный, 503 — не задан)
+     * @returns {Promise<Object>} сохранённый дрилл
+     */
+    async saveOrgDrill(spec, token) {
+        const response = await this._fetchWithRetry(`${this.apiUrl}/drills`, {
+            method: 'POST',
+            headers: { ...this.headers(), Authorization: `Bearer ${token}` },
+            body: JSON.stringify({ drill: spec })
+        });
+        const data = await response.json();
+        return data.drill;
+    }
+
+    async deleteOrgDrill(id, token) {
+        await this._fetchWithRetry(`${this.apiUrl}/drills?id=${encodeURIComponent(id)}`, {
+            method: 'DELETE',
+            headers: { ...this.headers(), Authorization: `Bearer ${token}` }
+        });
+    }
+
+    /**
+     * Настройки организации на сервере (организация — X-Org-Id из setLedgerTags).
+     * @returns {Promise<{certThreshold: number, registered: boolean}>}
+     */
+    async getOrgSettings() {
+        const response = await this._fetchWithRetry(`${this.apiUrl}/orgs`, { headers: this.headers() });
+        const data = await response.json();
+        return data.settings;
+    }
+
+    /**
+     * Задать проходной балл кандидата: его сравнивает с готовностью подписанный отчёт директору.
+     * @param {number} certThreshold — 0..100, 0 — не использовать
+     * @param {string} token — ORG_ADMIN_TOKEN сервера (401 — неверный, 503 — не задан)
+     */
+    async saveOrgSettings(certThreshold, token) {
+        const response = await this._fetchWithRetry(`${this.apiUrl}/orgs`, {
+            method: 'POST',
+            headers: { ...this.headers(), Authorization: `Bearer ${token}` },
+            body: JSON.stringify({ certThreshold })
+        });
+        const data = await response.json();
+        return data.settings;
+    }
+
+    /**
+     * Начать серверную запись урока. Все реплики после этого дописываются на сервер,
+     * и отчёты оценивают серверную копию. Если сервер недоступен — урок идёт дальше,
+     * отчёты строятся по локальной истории (явно, clientTranscript, и помечаются transcriptSource: 'client').
+     * @param {Object} meta — { mode, scenarioId, drillId, parentId, meetingId, colleagueId, grade, subject, topic, assessment, difficulty }
+     *   (организация и пользователь для учёта расходов берутся из setLedgerTags; номер попытки сцены считает сервер)
+     */
+    startSession(meta) {
+        const session = { id: null, turns: 0, queue: Promise.resolve() };
+        this._session = session;
+        this._budgetWarned = false;
+        session.queue = this._postSession('/sessions', { ...meta, ...this.ledgerTags })
+            .then(data => { session.id = data.sessionId; this.log('Session started:', session.id); })
+            .catch(e => this.log('Session start failed, using local history:', e.message));
+        return session.queue;
+    }
+
+    /**
+     * Закрыть серверную сессию: дождаться отправки всех реплик и зафиксировать конец урока.
+     */
+    finishSession() {
+        const session = this._session;
+        session.queue = session.queue.then(() => {
+            if (!session.id) return;
+            return this._postSession(`/sessions/${session.id}`, { action: 'finish' })
+                .catch(e => { this.log('Session finish failed:', e.message); session.id = null; });
+        });
+        return session.queue;
+    }
+
+    _appendTurn(turn) {
+        const session = this._session;
+        session.queue = session.queue.then(() => {
+            if (!session.id) return;
+            return this._postSession(`/sessions/${session.id}`, { action: 'turn', ...turn })
+                // Сервер возвращает длину копии после записи — по ней ставятся отметки перемотки (sessionMark)
+                .then(data => { session.turns = Number.isInteger(data.turns) ? data.turns : null; })
+                // Серверная копия неполная — оценивать её нельзя, дальше работаем по локальной
+                .catch(e => { this.log('Session turn failed, dropping server copy:', e.message); session.id = null; });
+        });
+    }
+
+    async _postSession(path, body) {
+        const response = await this._fetchWithRetry(`${this.apiUrl}${path}`, {
+            method: 'POST',
+            headers: this.headers(),
+            body: JSON.stringify(body)
+        });
+        return response.json();
+    }
+
+    /**
+     * Дождаться, пока уйдут на сервер все записи учителя и откроется сессия: реплику ученика сервер
+     * откладывает в копии урока (/api/student-turn) по X-Session-Id.
+     */
+    sessionSettled() {
+        return this._session.queue;
+    }
+
     addStudentResponse(studentMessage) {
         this.conversationHistory.push({ role: 'student', content: studentMessage });
     }
 
-    recordMessage(type, text) {
+    /**
+     * Реплика в историю для анализа. На сервер уходят только реплики учителя: реплики учеников
+     * браузер подтверждает по recordId (confirmRecord), заготовленные — отмечает ссылкой (recordScripted).
+     */
+    recordMessage(type, text, speaker = null) {
         // Системные сообщения UI («Урок начался», цель дрилла) — не реплики участников,
         // в историю для анализа не попадают
         if (type === 'system') return;
-        this.conversationHistory.push({
-            role: type === 'teacher' ? 'teacher' : 'student',
-            content: text
+        const role = type === 'teacher' ? 'teacher' : 'student';
+        this.conversationHistory.push({ role, content: text });
+        if (role === 'teacher') this._appendTurn({ role, content: text, speaker });
+    }
+
+    /**
+     * Реплика ученика показана — записать её в серверную копию. /api/student-turn и /api/class-poll только
+     * откладывают готовый текст под recordId: непоказанная реплика (урок завершён, учитель перебил) в копию
+     * урока не попадает, а текст записи сервер берёт свой.
+     * @param {string|null} recordId — из ответа /api/student-turn или /api/class-poll (null — не отложена)
+     */
+    confirmRecord(recordId) {
+        if (recordId) this._appendTurn({ recordId });
+    }
+
+    /**
+     * Заготовленная реплика каталога уже показана (recordMessage) — отметить её в серверной копии.
+     * Текст сервер берёт из каталога по meta сессии.
+     * @param {'opening'|'incident'} scripted — первая реплика сцены или вброс сценария
+     * @param {string} [incidentId] — id вброса (js/scenarios.js)
+     */
+    recordScripted(scripted, incidentId) {
+        this._appendTurn({ role: 'student', scripted, incidentId });
+    }
+
+    /**
+     * Невербальное действие учителя (js/teacher-actions.js) — отдельная запись с role 'action'.
+     * На сервер уходят только id действия и имя адресата: текст записи сервер собирает из каталога.
+     * @param {string} actionId
+     * @param {string|null} targetName — имя ученика-адресата (для действий с target 'student')
+     */
+    recordAction(actionId, targetName = null) {
+        const text = TeacherActions.describe(actionId, targetName);
+        if (!text) return;
+        this.conversationHistory.push({ role: 'action', content: text });
+        this._appendTurn({ role: 'action', teacherAction: actionId, speaker: targetName });
+    }
+
+    /**
+     * Снимок доски учителя (js/whiteboard.js) — отдельная запись с role 'board'.
+     * Стёртая доска тоже записывается, чтобы в транскрипте не оставался старый снимок.
+     * @param {string} text — текст доски ('' — доска стёрта)
+     */
+    recordBoard(text) {
+        const content = Whiteboard.snapshot(text);
+        this.conversationHistory.push({ role: 'board', content });
+        this._appendTurn({ role: 'board', content });
+    }
+
+    /**
+     * Опрос класса или выходной билет (js/class-poll.js) — отдельная запись с role 'poll':
+     * вопрос, варианты и ответы учеников одной строкой (ClassPoll.summarize).
+     * @param {Object} poll — ClassPoll.normalize()
+     * @param {Array<{name: string, choice: number|null, text: string}>} answers
+     * @param {string|null} recordId — сводка, отложенная /api/class-poll (confirmRecord)
+     */
+    recordPoll(poll, answers, recordId) {
+        this.conversationHistory.push({ role: 'poll', content: ClassPoll.summarize(poll, answers) });
+        this.confirmRecord(recordId);
+    }
+
+    /**
+     * Отметка для точки возврата (js/lesson-timeline.js): сколько записей в серверной копии на этот момент.
+     * Локальная история и серверная копия не совпадают запись в запись (реплику ученика сервер мог не записать,
+     * запасной ответ без модели есть только в браузере), поэтому перемотка идёт по отметке, а не по длине истории.
+     * Число приходит позже — через очередь записей: длина копии из ответа на последнюю запись до отметки,
+     * без отдельного запроса к серверу; снимок хранит сам объект.
+     * @returns {{turns: number|null}}
+     */
+    sessionMark() {
+        const mark = { turns: null };
+        const session = this._session;
+        session.queue = session.queue.then(() => {
+            if (session.id) mark.turns = session.turns;
+        });
+        return mark;
+    }
+
+    /**
+     * Перемотка урока (js/lesson-timeline.js): история для анализа возвращается к снимку,
+     * серверная копия — к отметке снимка (sessionMark). Отмотанный хвост сервер хранит веткой.
+     * @param {Array<{role: string, content: string}>} conversationHistory — снимок истории в точке возврата
+     * @param {{turns: number|null}|null} mark — sessionMark() того же снимка
+     */
+    rewind(conversationHistory, mark) {
+        this.conversationHistory = conversationHistory.map(m => ({ ...m }));
+        const session = this._session;
+        session.queue = session.queue.then(() => {
+            if (!session.id) return;
+            // Место в серверной копии неизвестно — оценивать её нельзя, дальше работаем по локальной истории
+            if (!mark || !Number.isInteger(mark.turns)) {
+                this.log('Session rewind without a mark, dropping server copy');
+                session.id = null;
+                return;
+            }
+            return this._postSession(`/sessions/${session.id}`, { action: 'rewind', turns: mark.turns })
+                .then(() => { session.turns = mark.turns; })
+                .catch(e => { this.log('Session rewind failed, dropping server copy:', e.message); session.id = null; });
         });
     }
 
     reset() {
         this.conversationHistory = [];
         this.totalCost = 0;
+        this._session = { id: null, turns: 0, queue: Promise.resolve() };
     }
 
     async checkHealth() {
@@ -0,0 +1,203 @@
+/**
+ * Динамика класса целиком: шум, сплочённость, авторитет учителя (шкалы 0–10).
+ *
+ * Ученики в studentStates меняются по отдельности (js/student-state.js), а класс живёт общей
+ * атмосферой: выходка «Клоуна» поднимает шум, шум подхватывают «Провокатор» и «Хулиган»,
+ * тишина успокаивает «Мечтателя» и «Тревожного». Модель:
+ *   studentEvent — реплика/выходка ученика: шум растёт по «заразности» психотипа (DISRUPT),
+ *                  тем слабее, чем выше авторитет учителя;
+ *   teacherTurn  — реплика учителя по разбору Ко-Пилота: дисциплина гасит шум, тёплый тон
+ *                  сплачивает, грубость гасит шум ценой авторитета;
+ *   teacherAction — невербальное действие учителя (js/teacher-actions.js): пауза и взгляд гасят шум
+ *                  без потери авторитета, пересадка — ценой сплочённости;
+ *   contagion    — сдвиг состояния ученика от атмосферы (SUSCEPTIBILITY: joins — подхватывает
+ *                  шум, settles — успокаивается в тишине);
+ *   eventWeights / intervalFactor / extraPending — кто и как часто выдаёт спонтанные события.
+ */
+(function (global) {
+    const MIN = 0, MAX = 10;
+
+    // Стартовый шум по сложности класса (1 — спокойный, 5 — стресс-тест)
+    const START_NOISE = { 1: 1.5, 2: 2.5, 3: 3.5, 4: 5, 5: 6 };
+
+    // Насколько выходки ученика добавляют шума (1 — обычный ученик)
+    const DISRUPT = {
+        'Клоун': 1.8, 'Хулиган': 1.6, 'Провокатор': 1.5, 'Сплетник': 1.3, 'Спортсмен': 1.2,
+        'Популярный': 1.1, 'Лидер': 1, 'Активист': 0.8, 'Телефонщик': 0.6, 'Мечтатель': 0.5,
+        'Апатичный': 0.4, 'Тревожный': 0.3, 'Отличник': 0.3, 'Перфекционист': 0.3, 'Ботаник': 0.3, 'Тихоня': 0.2
+    };
+
+    // Восприимчивость к атмосфере: joins — втягивается в шум, settles — успокаивается в тишине
+    const SUSCEPTIBILITY = {
+        'Провокатор':    { joins: 1.2, settles: 0.3 },
+        'Клоун':         { joins: 1.3, settles: 0.2 },
+        'Хулиган':       { joins: 1.1, settles: 0.2 },
+        'Сплетник':      { joins: 1,   settles: 0.5 },
+        'Спортсмен':     { joins: 0.9, settles: 0.5 },
+        'Популярный':    { joins: 0.8, settles: 0.4 },
+        'Лидер':         { joins: 0.5, settles: 0.6 },
+        'Активист':      { joins: 0.4, settles: 0.7 },
+        'Телефонщик':    { joins: 0.4, settles: 0.3 },
+        'Апатичный':     { joins: 0.3, settles: 0.3 },
+        'Мечтатель':     { joins: 0.6, settles: 1.2 },
+        'Тихоня':        { joins: 0.2, settles: 1 },
+        'Тревожный':     { joins: 0.3, settles: 1.2 },
+        'Отличник':      { joins: 0.2, settles: 0.8 },
+        'Перфекционист': { joins: 0.2, settles: 0.9 },
+        'Ботаник':       { joins: 0.1, settles: 0.8 }
+    };
+
+    // Событие ученика → { n: шум, c: сплочённость, a: авторитет } (шум умножается на DISRUPT)
+    const EVENT_EFFECTS = {
+        spontaneous: { n: 0.6,  c: 0,    a: -0.1 },
+        distraction: { n: 0.5,  c: 0,    a: -0.1 },
+        conflict:    { n: 1,    c: -0.4, a: -0.3 },
+        bored:       { n: 0.3,  c: -0.1, a: 0 },
+        silence:     { n: 0.4,  c: 0,    a: -0.2 },
+        question:    { n: -0.1, c: 0.1,  a: 0 },
+        reply:       { n: 0,    c: 0.1,  a: 0 },
+        peer:        { n: 0.3,  c: 0.1,  a: -0.1 }  // ученики переговариваются между собой (js/turn-planner.js)
+    };
+
+    // Реплика учителя по типу (разбор Ко-Пилота)
+    const TEACHER_TYPE_EFFECTS = {
+        open_question:   { n: -0.2, c: 0.4,  a: 0.1 },
+        closed_question: { n: -0.2, c: 0.1,  a: 0.1 },
+        clarifying:      { n: -0.1, c: 0.3,  a: 0.1 },
+        maieutic:        { n: -0.2, c: 0.5,  a: 0.2 },
+        explanation:     { n: -0.1, c: 0.1,  a: 0.2 },
+        directive:       { n: -0.5, c: 0,    a: 0.3 },
+        discipline:      { n: -1,   c: -0.1, a: 0.4 },
+        other:           { n: 0,    c: 0,    a: 0 }
+    };
+    const TEACHER_TONE_EFFECTS = {
+        positive: { n: 0,    c: 0.4,  a: 0.1 },
+        neutral:  { n: 0,    c: 0,    a: 0 },
+        negative: { n: -0.3, c: -0.6, a: -0.6 }
+    };
+    // Невербальное действие учителя
+    const ACTION_EFFECTS = {
+        approach:  { n: -0.4, c: 0,    a: 0.2 },
+        look:      { n: -0.3, c: 0,    a: 0.2 },
+        pause:     { n: -0.8, c: 0,    a: 0.2 },
+        board:     { n: -0.2, c: 0.1,  a: 0.1 },
+        reseat:    { n: -0.6, c: -0.3, a: 0.3 },
+        worksheet: { n: -0.3, c: 0.3,  a: 0.1 }
+    };
+    const RISK_AUTHORITY = -0.8;   // грубость и крик: класс притихнет, но уважения меньше
+    const LOUD_ROOM = 7;           // объяснять поверх такого шума — терять авторитет
+
+    const clamp = (n) => Math.max(MIN, Math.min(MAX, n));
+    const round1 = (n) => Math.round(n * 10) / 10;
+
+    function create(difficulty = 3) {
+        return { noise: START_NOISE[difficulty] ?? START_NOISE[3], cohesion: 5, authority: 5 };
+    }
+
+    // Средний коэффициент по психотипам ученика; неизвестные — 1 / нейтральная восприимчивость
+    function disruptOf(types) {
+        const list = (types || []).map(t => DISRUPT[t]).filter(v => v !== undefined);
+        return list.length ? list.reduce((s, v) => s + v, 0) / list.length : 1;
+    }
+    function susceptibilityOf(types) {
+        const list = (types || []).map(t => SUSCEPTIBILITY[t]).filter(Boolean);
+        if (!list.length) return { joins: 0.5, settles: 0.5 };
+        const avg = (k) => list.reduce((s, p) => s + p[k], 0) / list.length;
+        return { joins: avg('joins'), settles: avg('settles') };
+    }
+
+    function shift(cls, d) {
+        cls.noise = clamp(round1(cls.noise + d.n));
+        cls.cohesion = clamp(round1(cls.cohesion + d.c));
+        cls.authority = clamp(round1(cls.authority + d.a));
+    }
+
+    /**
+     * Реплика или выходка ученика (мутирует cls).
+     * @param {string} kind — ключ EVENT_EFFECTS ('spontaneous', 'conflict', 'reply'...)
+     * @param {string[]} types — психотипы ученика
+     * @param {number} [engagement] — вовлечённость ученика: увлечённый ответ сплачивает, вялый — нет
+     */
+    function studentEvent(cls, kind, types, engagement = 5) {
+        const fx = EVENT_EFFECTS[kind] || EVENT_EFFECTS.spontaneous;
+        const damp = 1.3 - cls.authority * 0.06; // авторитет 10 → ×0.7, 0 → ×1.3
+        const noise = fx.n > 0 ? fx.n * disruptOf(types) * damp : fx.n;
+        const cohesion = kind === 'reply' ? fx.c * (engagement >= 5 ? 1 : -1) : fx.c;
+        shift(cls, { n: noise, c: cohesion, a: fx.a });
+    }
+
+    /**
+     * Реплика учителя (мутирует cls).
+     * @param {{type?: string, tone?: string, risk?: string}|null} analysis — разбор Ко-Пилота
+     */
+    function teacherTurn(cls, analysis) {
+        const a = analysis || {};
+        const t = TEACHER_TYPE_EFFECTS[a.type] || TEACHER_TYPE_EFFECTS.other;
+        const tone = TEACHER_TONE_EFFECTS[a.tone] || TEACHER_TONE_EFFECTS.neutral;
+        const d = { n: t.n + tone.n, c: t.c + tone.c, a: t.a + tone.a };
+        if (a.tone === 'negative' && typeof a.risk === 'string' && a.risk.trim()) d.a += RISK_AUTHORITY;
+        // Объяснение в шумном классе не слышат — шум растёт, авторитет тает
+        if (a.type === 'explanation' && cls.noise >= LOUD_ROOM) { d.n = 0.3; d.a = -0.2; }
+        shift(cls, d);
+    }
+
+    // Невербальное действие учителя (мутирует cls); неизвестное действие атмосферу не меняет
+    function teacherAction(cls, actionId) {
+        const d = ACTION_EFFECTS[actionId];
+        if (d) shift(cls, d);
+    }
+
+    /**
+     * Заражение атмосферой: сдвиг состояния ученика от шума класса (применяется StudentState.applyDeltas).
+     * Автора выходки вызывающий пропускает — своей же выходкой он не заражается.
+     * @returns {{understanding: number, mood: number, engagement: number}}
+     */
+    function contagion(cls, types) {
+        const s = susceptibilityOf(types);
+        const d = { understanding: 0, mood: 0, engagement: 0 };
+        if (cls.noise > 6) {
+            const loud = (cls.noise - 6) / 4;                           // 0..1
+            const cohesive = 1.2 - cls.cohesion * 0.04;                 // сплочённый класс держится лучше
+            d.engagement = round1(-0.5 * loud * s.joins * cohesive);
+            d.mood = round1(-0.3 * loud * s.settles);                   // тревожным в шуме плохо
+        } else if (cls.noise < 4) {
+            const calm = (4 - cls.noise) / 4;                           // 0..1
+            d.engagement = round1(0.3 * calm * s.settles);
+            d.mood = round1(0.2 * calm * s.settles);
+        }
+        return d;
+    }
+
+    /**
+     * Веса выбора ученика для спонтанного события: шумный класс даёт слово «заразным»,
+     * невовлечённые отвлекаются чаще.
+     * @param {Array<{types: string[], engagement: number}>} list
+     * @returns {number[]}
+     */
+    function eventWeights(cls, list) {
+        return list.map(({ types, engagement = 5 }) => {
+            const joins = susceptibilityOf(types).joins;
+            return round1(0.5 + disruptOf(types) * (0.5 + cls.noise / 10) + joins * cls.noise / 10 + (10 - engagement) / 10);
+        });
+    }
+
+    // Множитель интервала между событиями: шум ускоряет, авторитет замедляет (0.5..1.5)
+    function intervalFactor(cls) {
+        return Math.max(0.5, Math.min(1.5, 1.2 - cls.noise * 0.06 + (cls.authority - 5) * 0.04));
+    }
+
+    // Сколько ещё неотвеченных событий допускает шумный класс сверх базового порога
+    function extraPending(cls) {
+        return cls.noise >= LOUD_ROOM ? 1 : 0;
+    }
+
+    // Целые значения для промпта ученика (lesson.climate в /api/student-turn)
+    function forPrompt(cls) {
+        return { noise: Math.round(cls.noise), cohesion: Math.round(cls.cohesion), authority: Math.round(cls.authority) };
+    }
+
+    global.ClassDynamics = {
+        DISRUPT, SUSCEPTIBILITY, EVENT_EFFECTS, TEACHER_TYPE_EFFECTS, TEACHER_TONE_EFFECTS, ACTION_EFFECTS,
+        create, studentEvent, teacherTurn, teacherAction, contagion, eventWeights, intervalFactor, extraPending, forPrompt
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
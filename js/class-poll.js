@@ -0,0 +1,92 @@
+/**
+ * Проверка понимания: опрос класса и выходной билет.
+ *
+ * Вместо «Понятно?» учитель задаёт классу вопрос — с вариантами ответа или на короткий ответ —
+ * и все ученики отвечают разом (/api/class-poll): по своему пониманию, вовлечённости и заблуждениям
+ * (js/knowledge.js). Учитель видит распределение ответов.
+ * Опрос с ответами — отдельная запись урока (role 'poll') в истории симулятора, conversationHistory
+ * и серверной копии (api/_sessions.js): session-analysis и director-report засчитывают опрос и то,
+ * что учитель сделал с его итогом, в критерии explanation и engagement.
+ * Выходной билет (kind 'exit') — тот же опрос в конце урока: что ученики унесли с урока.
+ * normalize() держит лимиты одинаковыми в браузере и на сервере.
+ */
+(function (global) {
+    const KINDS = {
+        poll: { emoji: '📊', label: 'Опрос класса' },
+        exit: { emoji: '🎟️', label: 'Выходной билет' }
+    };
+    const MAX_QUESTION = 300;
+    const MAX_OPTIONS = 4;
+    const MAX_OPTION = 120;
+    const MAX_ANSWER = 200;
+    // Опрос спрашивает каждого: никто не «выпадает», вовлечённость чуть растёт (StudentState.applyDeltas)
+    const EFFECT = { understanding: 0, mood: 0, engagement: 0.5 };
+
+    function clean(s, max) {
+        return typeof s === 'string'
+            ? s.replace(/[\u0000-\u001f\u007f]+/g, ' ').replace(/\s+/g, ' ').trim().slice(0, max).trim()
+            : '';
+    }
+
+    /**
+     * Привести опрос к лимитам. Меньше двух непустых вариантов — вопрос на короткий ответ.
+     * correct — индекс верного варианта (его отмечает учитель; ученикам он не уходит).
+     * @param {{kind?, question, options?, correct?}} poll
+     * @returns {{kind: string, question: string, options: string[], correct: number|null}|null} null — нет вопроса
+     */
+    function normalize(poll) {
+        if (!poll || typeof poll !== 'object') return null;
+        const question = clean(poll.question, MAX_QUESTION);
+        if (!question) return null;
+        const raw = Array.isArray(poll.options) ? poll.options.slice(0, MAX_OPTIONS) : [];
+        // Индекс верного варианта считается по исходным полям — пустые поля между вариантами не сдвигают его
+        const kept = raw.map((o, i) => ({ text: clean(o, MAX_OPTION), i })).filter(o => o.text);
+        const options = kept.length >= 2 ? kept.map(o => o.text) : [];
+        const correctIdx = Number.isInteger(poll.correct) ? kept.findIndex(o => o.i === poll.correct) : -1;
+        return {
+            kind: Object.hasOwn(KINDS, poll.kind) ? poll.kind : 'poll',
+            question,
+            options,
+            correct: options.length && correctIdx >= 0 ? correctIdx : null
+        };
+    }
+
+    /**
+     * Распределение ответов: по вариантам — имена ответивших, отдельно — не выбравшие вариант.
+     * @param {Object} poll — результат normalize()
+     * @param {Array<{name: string, choice: number|null, text: string}>} answers
+     * @returns {{options: Array<{text, correct, names}>, none: string[], correctShare: number|null}}
+     */
+    function distribution(poll, answers) {
+        const options = poll.options.map((text, i) => ({ text, correct: poll.correct === i, names: [] }));
+        const none = [];
+        for (const a of answers || []) {
+            if (options[a.choice]) options[a.choice].names.push(a.name);
+            else none.push(a.name);
+        }
+        const total = (answers || []).length;
+        const correctShare = poll.correct !== null && total
+            ? Math.round(options[poll.correct].names.length / total * 100)
+            : null;
+        return { options, none, correctShare };
+    }
+
+    /**
+     * Текст записи урока одной строкой — её читают отчёты:
+     * «Опрос класса: «вопрос» — 1) А: Петя, Маша; 2) Б (верный): Вася; без ответа: Коля».
+     */
+    function summarize(poll, answers) {
+        const head = `${KINDS[poll.kind].label}: «${poll.question}»`;
+        if (!poll.options.length) {
+            const list = (answers || []).map(a => `${a.name} — «${clean(a.text, MAX_ANSWER) || '…'}»`);
+            return `${head} (короткий ответ) — ${list.join('; ') || 'нет ответов'}`;
+        }
+        const d = distribution(poll, answers);
+        const parts = d.options.map((o, i) =>
+            `${i + 1}) ${o.text}${o.correct ? ' (верный)' : ''}: ${o.names.join(', ') || '—'}`);
+        if (d.none.length) parts.push(`без ответа: ${d.none.join(', ')}`);
+        return `${head} — ${parts.join('; ')}`;
+    }
+
+    global.ClassPoll = { KINDS, MAX_QUESTION, MAX_OPTIONS, MAX_OPTION, MAX_ANSWER, EFFECT, normalize, distribution, summarize };
+})(typeof window !== 'undefined' ? window : globalThis);
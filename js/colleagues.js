@@ -0,0 +1,62 @@
+/**
+ * Разговоры с коллегами и администрацией — общий каталог для симулятора и сервера.
+ *
+ * Молодому учителю трудно не только с классом и родителями, но и со взрослыми в школе: завуч разбирает
+ * посещённый урок, коллега раз за разом занимает кабинет, руководитель МО навязывает лишнюю нагрузку.
+ * Это режим 'colleague' симулятора: разговор один на один, у собеседника свой характер и своя цель (agenda),
+ * у учителя — своя задача в разговоре (goal), её видит кандидат. Сервер собирает промпт собеседника по id
+ * (/api/student-turn, student.colleagueId) — характер и цель клиент не присылает. Ко-Пилот в этом режиме
+ * оценивает деловую коммуникацию, /api/director-report — по критериям профессионального общения
+ * со взрослыми (colleagueId в серверной копии урока).
+ *
+ * Формат собеседника:
+ *   id, role, name, emoji, label, gender — role: ключ ROLES; id не пересекаются с учениками, PARENT_TYPES
+ *       и участниками встреч (js/meetings.js)
+ *   title, topic — заголовок карточки и повод разговора (подставляется, если учитель не задал свой)
+ *   desc — характер (в промпт собеседника), agenda — чего собеседник добивается
+ *   goal — задача учителя в этом разговоре (для кандидата и отчёта)
+ *   opening — с чего собеседник начинает разговор
+ */
+(function (global) {
+    const ROLES = { deputy: 'завуч', colleague: 'коллега', head: 'руководитель методобъединения' };
+
+    const CATALOG = [
+        {
+            id: 951, role: 'deputy', name: 'Елена Викторовна', emoji: '📋', label: 'Завуч после посещения', gender: 'f',
+            title: 'Разбор посещённого урока', topic: 'итоги посещения урока',
+            desc: 'опытный завуч: посетила урок и пришла с длинным списком замечаний; говорит сухо и по пунктам, обобщает («у вас всегда»), перебивает оправдания; уважает тех, кто слушает, уточняет и сам предлагает, что изменит',
+            agenda: 'чтобы учитель признал слабые места урока и согласился на повторное посещение через месяц',
+            goal: 'Выслушать критику без оправданий, отделить факты от обобщений, признать справедливое и договориться о конкретных шагах и поддержке.',
+            opening: 'Присаживайтесь. Я была у вас на третьем уроке, давайте разберём. Скажу прямо: урок не получился. Цели никто не понял, половина класса занималась своим, а на объяснение вы потратили двадцать минут. Вы сами как считаете, что пошло не так?'
+        },
+        {
+            id: 952, role: 'colleague', name: 'Лариса Николаевна', emoji: '🗝️', label: 'Коллега занимает кабинет', gender: 'f',
+            title: 'Коллега снова в вашем кабинете', topic: 'кабинет занят в ваши часы',
+            desc: 'старшая коллега со стажем тридцать лет: третий раз за неделю проводит в кабинете учителя дополнительные занятия в его часы, считает это мелочью; обижается на прямоту, давит стажем и дружбой с администрацией, но ценит вежливую твёрдость и готовое решение',
+            agenda: 'и дальше занимать этот кабинет, когда удобно, без графика и без ссор',
+            goal: 'Спокойно и без обвинений обозначить проблему, удержать границу и договориться о понятном правиле пользования кабинетом.',
+            opening: '(заходит с пачкой тетрадей) Ой, вы уже здесь? А у меня тут девятый класс на консультацию, мы ненадолго, минут на сорок. Вы же можете пока в библиотеке посидеть? Вам, молодым, всё равно где.'
+        },
+        {
+            id: 953, role: 'head', name: 'Сергей Владимирович', emoji: '📚', label: 'Руководитель МО', gender: 'm',
+            title: 'Лишняя нагрузка от руководителя МО', topic: 'дополнительная нагрузка',
+            desc: 'руководитель методобъединения: энергичный и напористый, раздаёт поручения на ходу, говорит «это всего на пару часов» и «все через это проходили», ссылается на директора; отступает перед аргументами про качество и сроки, но не перед жалобами',
+            agenda: 'чтобы учитель взял подготовку к олимпиаде, открытый урок и отчёт по МО до конца месяца',
+            goal: 'Не соглашаться на всё сразу: уточнить объём и сроки, назвать свои приоритеты и договориться о реальной части нагрузки.',
+            opening: 'Отлично, что поймал вас! Значит, так: на вас школьный тур олимпиады, открытый урок для методдня и отчёт по МО до конца месяца. Директор в курсе, я сказал, что вы справитесь. Это всего на пару часов в неделю. Договорились?'
+        }
+    ];
+
+    const BY_ID = new Map(CATALOG.map(c => [c.id, c]));
+
+    function list() {
+        return CATALOG;
+    }
+
+    // Собеседник по id — для сервера: промпт собирается только из каталога
+    function get(id) {
+        return BY_ID.get(id) || null;
+    }
+
+    global.Colleagues = { ROLES, list, get };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,372 @@
+/**
+ * Модель знаний ученика по теме урока: что он уже усвоил и в чём заблуждается.
+ *
+ * Понимание в js/student-state.js — одно число; здесь — содержание: у каждого AI-ученика на урок
+ * есть усвоенные понятия (mastered) и конкретные заблуждения (misconceptions) из каталога предмета —
+ * «складывает проценты от разных величин», «переносит слагаемое без смены знака». На вопросы по
+ * содержанию ученик отвечает неверно именно так, как велит заблуждение, пока учитель его не вскроет
+ * и не разберёт.
+ *
+ * Каталог (CATALOG) — по предметам симулятора; topics — основы слов темы урока (lessonTopic),
+ * grades — классы [с, по]. Модель подбирается по предмету, классу и теме (create): сначала заблуждения
+ * по теме, иначе — по предмету и классу. Сколько заблуждений — зависит от психотипа; выбор
+ * детерминирован по ученику и теме (та же попытка — тот же класс).
+ *
+ * Клиент присылает только id (forPrompt), тексты в промпт ученика подставляет сервер (resolve).
+ * Ученик в ответе отмечает, проявил ли он заблуждение (shown) и исправил ли его учитель (fixed) —
+ * из этих отметок (markTurn) складывается раздел отчёта «Заблуждения учеников» (summary / sanitizeSummary).
+ */
+(function (global) {
+    const CATALOG = {
+        'Математика': {
+            concepts: [
+                { id: 'math.fraction-add', text: 'сложение дробей с одинаковым знаменателем', topics: ['дроб'], grades: [5, 7] },
+                { id: 'math.percent-of', text: 'процент как сотая часть числа', topics: ['процент'], grades: [5, 9] },
+                { id: 'math.linear-equation', text: 'решение линейного уравнения', topics: ['уравнен'], grades: [6, 9] },
+                { id: 'math.negative-compare', text: 'сравнение отрицательных чисел на координатной прямой', topics: ['отрицат', 'рациональн', 'модул', 'координатн'], grades: [6, 8] },
+                { id: 'math.rect-area', text: 'площадь прямоугольника', topics: ['площад', 'периметр'], grades: [3, 6] },
+                { id: 'math.times-table', text: 'таблица умножения', topics: ['умножен', 'таблиц'], grades: [2, 5] },
+                { id: 'math.pythagoras', text: 'теорема Пифагора для прямоугольного треугольника', topics: ['пифагор', 'треугольн'], grades: [8, 9] },
+                { id: 'math.graph-reading', text: 'чтение графика функции по точкам', topics: ['функц', 'график'], grades: [7, 11] }
+            ],
+            misconceptions: [
+                { id: 'math.percent-bases', text: 'складывает и вычитает проценты от разных величин', wrong: 'цена выросла на 20%, потом упала на 20% — значит, стала как раньше', topics: ['процент'], grades: [5, 11] },
+                { id: 'math.fraction-add-across', text: 'складывает дроби «числитель с числителем, знаменатель со знаменателем»', wrong: '1/2 + 1/3 = 2/5', topics: ['дроб'], grades: [5, 8] },
+                { id: 'math.decimal-length', text: 'считает десятичную дробь тем больше, чем больше в ней цифр', wrong: '0,25 больше 0,3, потому что 25 больше 3', topics: ['десятичн', 'дроб'], grades: [5, 7] },
+                { id: 'math.transfer-sign', text: 'переносит слагаемое через знак «=» без смены знака', wrong: 'x + 5 = 12, значит x = 12 + 5 = 17', topics: ['уравнен'], grades: [6, 9] },
+                { id: 'math.minus-minus', text: 'переносит правило «минус на минус даёт плюс» на сложение', wrong: '−3 + (−5) = 8', topics: ['отрицат', 'рациональн', 'целы', 'модул'], grades: [6, 8] },
+                { id: 'math.multiply-bigger', text: 'уверен, что умножение всегда увеличивает число', wrong: '0,5 · 8 больше 8 — мы же умножаем', topics: ['умножен', 'дроб', 'десятичн'], grades: [3, 7] },
+                { id: 'math.area-perimeter', text: 'путает площадь и периметр', wrong: 'площадь квадрата со стороной 3 — это 12', topics: ['площад', 'периметр'], grades: [3, 6] },
+                { id: 'math.square-of-sum', text: 'раскрывает квадрат суммы как сумму квадратов', wrong: '(a + b)² = a² + b²', topics: ['формул', 'сокращ', 'квадрат', 'многочлен'], grades: [7, 9] },
+                { id: 'math.pythagoras-any', text: 'применяет теорему Пифагора к любому треугольнику', wrong: 'у треугольника со сторонами 4 и 5 третья сторона всегда √41', topics: ['пифагор', 'треугольн'], grades: [8, 9] },
+                { id: 'math.graph-as-picture', text: 'читает график функции как рисунок пути', wrong: 'график идёт вверх — значит, велосипедист поднимается в гору', topics: ['функц', 'график'], grades: [7, 9] }
+            ]
+        },
+        'Русский язык': {
+            concepts: [
+                { id: 'rus.stress-check', text: 'проверка безударной гласной ударением', topics: ['безудар', 'гласн', 'орфограм', 'корн'], grades: [2, 5] },
+                { id: 'rus.parts-of-speech', text: 'части речи и их вопросы', topics: ['част', 'существ', 'прилагат', 'глагол', 'морфолог'], grades: [3, 7] },
+                { id: 'rus.tsya-question', text: '-тся/-ться по вопросу к глаголу', topics: ['тся', 'ться', 'глагол'], grades: [4, 7] },
+                { id: 'rus.compound-comma', text: 'запятая между частями сложного предложения', topics: ['сложн', 'предложен', 'запят', 'пунктуац'], grades: [5, 9] }
+            ],
+            misconceptions: [
+                { id: 'rus.tsya-by-ear', text: 'пишет -тся/-ться «на слух», не задавая вопрос', wrong: '«он учиться в школе» — так же слышится', topics: ['тся', 'ться', 'глагол'], grades: [4, 7] },
+                { id: 'rus.unstressed-check', text: 'проверяет безударную гласную словом, где она тоже безударная', wrong: 'проверочное слово к «зимá» — «зимóвка»', topics: ['безудар', 'гласн', 'орфограм', 'корн'], grades: [2, 5] },
+                { id: 'rus.comma-before-and', text: 'ставит запятую перед каждым «и»', wrong: 'мама купила хлеб, и молоко', topics: ['запят', 'пунктуац', 'однородн', 'союз', 'предложен'], grades: [5, 9] },
+                { id: 'rus.ne-with-verbs', text: 'пишет «не» с глаголами слитно', wrong: 'я нехочу, он незнает', topics: ['глагол', 'частиц', 'не с'], grades: [3, 6] },
+                { id: 'rus.first-word-subject', text: 'считает подлежащим первое слово в предложении', wrong: 'в «Книгу читает Петя» подлежащее — «книгу»', topics: ['подлежащ', 'сказуем', 'член', 'синтаксис', 'предложен'], grades: [4, 8] },
+                { id: 'rus.action-is-verb', text: 'считает глаголом любое слово, которое называет действие', wrong: '«бег» — глагол, это же действие', topics: ['существ', 'глагол', 'част', 'морфолог'], grades: [3, 6] }
+            ]
+        },
+        'Литература': {
+            concepts: [
+                { id: 'lit.theme-idea', text: 'тема и идея произведения', topics: ['тем', 'иде', 'анализ', 'произведен'], grades: [5, 11] },
+                { id: 'lit.tropes', text: 'эпитет, метафора, сравнение', topics: ['эпитет', 'метафор', 'троп', 'выразит', 'сравнен'], grades: [5, 9] },
+                { id: 'lit.plot', text: 'сюжет и композиция', topics: ['сюжет', 'композиц'], grades: [5, 9] }
+            ],
+            misconceptions: [
+                { id: 'lit.author-narrator', text: 'отождествляет автора с рассказчиком или лирическим героем', wrong: 'Лермонтов и есть Печорин — он же пишет «я»', topics: ['рассказчик', 'автор', 'лирическ', 'геро', 'повествов'], grades: [5, 11] },
+                { id: 'lit.any-adjective-epithet', text: 'считает эпитетом любое прилагательное', wrong: '«деревянный стол» — это эпитет', topics: ['эпитет', 'троп', 'выразит'], grades: [5, 9] },
+                { id: 'lit.retell-for-analysis', text: 'пересказывает сюжет вместо анализа', wrong: 'идея рассказа — что Герасим утопил Муму', topics: ['иде', 'анализ', 'смысл', 'тем'], grades: [5, 11] },
+                { id: 'lit.one-right-moral', text: 'ищет одну «правильную мораль», которую надо выучить', wrong: 'у басни один смысл, и его надо запомнить как в учебнике', topics: ['мораль', 'басн', 'иде', 'смысл'], grades: [5, 9] }
+            ]
+        },
+        'Физика': {
+            concepts: [
+                { id: 'phys.speed', text: 'скорость как путь за единицу времени', topics: ['скорост', 'движен', 'механ'], grades: [7, 9] },
+                { id: 'phys.inertia', text: 'первый закон Ньютона, инерция', topics: ['ньютон', 'инерц', 'сил'], grades: [7, 10] },
+                { id: 'phys.ohm', text: 'закон Ома для участка цепи', topics: ['закон ома', 'сопротивлен', 'ток', 'напряжен', 'цеп', 'электр'], grades: [8, 10] },
+                { id: 'phys.density', text: 'плотность вещества', topics: ['плотност', 'масс', 'объём'], grades: [7, 8] }
+            ],
+            misconceptions: [
+                { id: 'phys.force-keeps-motion', text: 'считает, что без силы движущееся тело останавливается', wrong: 'шайба скользит, пока в ней действует сила броска', topics: ['сил', 'ньютон', 'инерц', 'движен', 'механ'], grades: [7, 10] },
+                { id: 'phys.heavy-falls-faster', text: 'считает, что тяжёлые тела падают быстрее лёгких', wrong: 'кирпич упадёт раньше мяча того же размера', topics: ['паден', 'тяжест', 'ускорен', 'гравитац', 'свободн'], grades: [7, 10] },
+                { id: 'phys.current-used-up', text: 'думает, что ток «расходуется» в лампочке', wrong: 'после лампочки ток в проводе меньше, чем до неё', topics: ['ток', 'цеп', 'электр', 'закон ома'], grades: [8, 10] },
+                { id: 'phys.mass-weight', text: 'путает массу и вес', wrong: 'на Луне масса космонавта меньше, чем на Земле', topics: ['вес', 'масс', 'тяжест', 'сил'], grades: [7, 9] },
+                { id: 'phys.heat-temperature', text: 'путает количество теплоты и температуру', wrong: 'в стакане и в ванне воды при 40° тепла одинаково', topics: ['тепл', 'температур'], grades: [8, 8] }
+            ]
+        },
+        'Химия': {
+            concepts: [
+                { id: 'chem.valence', text: 'валентность и составление формул', topics: ['валентн', 'формул'], grades: [8, 8] },
+                { id: 'chem.balancing', text: 'уравнивание реакций коэффициентами', topics: ['реакц', 'уравнен', 'коэффициент'], grades: [8, 9] },
+                { id: 'chem.mole', text: 'количество вещества, моль', topics: ['моль', 'количеств'], grades: [8, 9] }
+            ],
+            misconceptions: [
+                { id: 'chem.mass-vanishes', text: 'считает, что при горении масса вещества исчезает', wrong: 'дрова сгорели — масса пропала', topics: ['горен', 'сохранен', 'масс', 'реакц'], grades: [8, 9] },
+                { id: 'chem.index-for-coefficient', text: 'уравнивает реакцию, меняя индексы вместо коэффициентов', wrong: 'H₂ + O₂ = H₂O₂ — уравнял', topics: ['реакц', 'уравн', 'коэффициент'], grades: [8, 9] },
+                { id: 'chem.dissolved-gone', text: 'думает, что растворённое вещество исчезает', wrong: 'сахар растворился — его в воде больше нет', topics: ['раствор'], grades: [8, 9] },
+                { id: 'chem.atoms-have-color', text: 'приписывает отдельным атомам свойства вещества', wrong: 'атомы меди рыжие и блестят', topics: ['атом', 'строен', 'веществ'], grades: [8, 9] }
+            ]
+        },
+        'Биология': {
+            concepts: [
+                { id: 'bio.photosynthesis', text: 'фотосинтез: свет, углекислый газ и вода дают органику и кислород', topics: ['фотосинт', 'растен', 'лист'], grades: [5, 9] },
+                { id: 'bio.cell', text: 'строение клетки', topics: ['клетк'], grades: [5, 9] },
+                { id: 'bio.dominance', text: 'доминантные и рецессивные признаки', topics: ['генет', 'наследств', 'признак', 'мендел'], grades: [9, 11] }
+            ],
+            misconceptions: [
+                { id: 'bio.plants-eat-soil', text: 'считает, что растение набирает массу из почвы', wrong: 'дерево выросло из земли, которую «съело»', topics: ['фотосинт', 'растен', 'питан'], grades: [5, 9] },
+                { id: 'bio.plants-dont-breathe', text: 'думает, что растения не дышат, а только выделяют кислород', wrong: 'ночью растения ничего не делают, дышат только животные', topics: ['дыхан', 'фотосинт', 'растен'], grades: [5, 9] },
+                { id: 'bio.evolution-by-effort', text: 'объясняет эволюцию стараниями самого организма', wrong: 'жираф тянул шею, и у его детей она стала длиннее', topics: ['эволюц', 'отбор', 'дарвин', 'приспособ'], grades: [9, 11] },
+                { id: 'bio.dominant-means-common', text: 'считает доминантный признак самым частым', wrong: 'шестипалость доминантна — значит, она встречается чаще', topics: ['генет', 'наследств', 'признак', 'доминант'], grades: [9, 11] },
+                { id: 'bio.habitat-classification', text: 'относит животное к группе по среде обитания', wrong: 'кит — рыба, он же живёт в море', topics: ['млекопит', 'класс', 'животн', 'систематик'], grades: [5, 8] }
+            ]
+        },
+        'История': {
+            concepts: [
+                { id: 'hist.centuries', text: 'лента времени и счёт веков', topics: [' век', 'веков', 'хронолог', 'летоисчисл'], grades: [5, 6] },
+                { id: 'hist.causes', text: 'причины и последствия событий', topics: ['причин', 'последств', 'реформ', 'войн', 'революц'], grades: [6, 11] },
+                { id: 'hist.sources', text: 'работа с историческим источником', topics: ['источник', 'документ'], grades: [5, 11] }
+            ],
+            misconceptions: [
+                { id: 'hist.century-from-year', text: 'определяет век по первым цифрам года', wrong: '1812 год — это XVIII век', topics: [' век', 'веков', 'хронолог', 'летоисчисл'], grades: [5, 7] },
+                { id: 'hist.bc-order', text: 'считает годы до нашей эры в прямом порядке', wrong: '300 год до н. э. был раньше, чем 500 год до н. э.', topics: ['до н', 'древн', 'эры', 'хронолог'], grades: [5, 6] },
+                { id: 'hist.presentism', text: 'судит людей прошлого по сегодняшним меркам', wrong: 'крестьяне были неграмотными, потому что просто не хотели учиться', topics: ['крестьян', 'общест', 'быт', 'повседнев'], grades: [6, 11] },
+                { id: 'hist.single-cause', text: 'сводит событие к одной причине или одному человеку', wrong: 'войну начал один плохой правитель, других причин не было', topics: ['причин', 'войн', 'революц', 'реформ'], grades: [6, 11] }
+            ]
+        },
+        'Обществознание': {
+            concepts: [
+                { id: 'soc.separation-of-powers', text: 'разделение властей', topics: ['власт', 'государств', 'конституц'], grades: [9, 11] },
+                { id: 'soc.supply-demand', text: 'спрос и предложение', topics: ['рын', 'спрос', 'предложен', 'экономик'], grades: [8, 11] },
+                { id: 'soc.rights-duties', text: 'права и обязанности гражданина', topics: ['прав', 'гражданин', 'обязанност'], grades: [7, 11] }
+            ],
+            misconceptions: [
+                { id: 'soc.president-makes-laws', text: 'считает, что законы принимает президент', wrong: 'закон — это указ президента', topics: ['власт', 'закон', 'государств', 'конституц'], grades: [7, 11] },
+                { id: 'soc.print-money', text: 'думает, что бедность решается печатанием денег', wrong: 'пусть государство напечатает всем побольше денег', topics: ['деньг', 'инфляц', 'экономик'], grades: [8, 11] },
+                { id: 'soc.price-is-cost', text: 'считает, что цену определяет только себестоимость', wrong: 'цена — это сколько стоило сделать товар', topics: ['рын', 'цен', 'спрос', 'экономик'], grades: [8, 11] },
+                { id: 'soc.unlimited-rights', text: 'считает права безграничными', wrong: 'свобода слова — значит, можно говорить что угодно о ком угодно', topics: ['прав', 'свобод'], grades: [7, 11] }
+            ]
+        },
+        'География': {
+            concepts: [
+                { id: 'geo.coordinates', text: 'географические координаты', topics: ['координат', 'широт', 'долгот'], grades: [5, 7] },
+                { id: 'geo.seasons', text: 'смена времён года из-за наклона земной оси', topics: ['времен', 'сезон', 'орбит'], grades: [5, 6] },
+                { id: 'geo.climate-zones', text: 'климатические пояса', topics: ['климат', 'пояс'], grades: [6, 8] }
+            ],
+            misconceptions: [
+                { id: 'geo.seasons-distance', text: 'объясняет времена года расстоянием до Солнца', wrong: 'летом Земля ближе к Солнцу', topics: ['времен', 'сезон', 'орбит', 'солнц'], grades: [5, 7] },
+                { id: 'geo.rivers-flow-south', text: 'считает, что реки текут «вниз по карте» — на юг', wrong: 'все реки текут на юг, вниз по карте', topics: ['рек', 'карт', 'рельеф', 'вод'], grades: [5, 8] },
+                { id: 'geo.latitude-longitude', text: 'путает широту и долготу', wrong: 'широта — это сколько градусов к востоку', topics: ['координат', 'широт', 'долгот'], grades: [5, 7] },
+                { id: 'geo.latitude-only', text: 'считает, что температура зависит только от широты', wrong: 'на вершине Килиманджаро жарко — это же экватор', topics: ['климат', 'пояс', 'высот', 'горн'], grades: [6, 8] }
+            ]
+        },
+        'Английский язык': {
+            concepts: [
+                { id: 'eng.present-simple', text: 'Present Simple для регулярных действий', topics: ['present', 'simple', 'настоящ'], grades: [3, 7] },
+                { id: 'eng.past-simple', text: 'Past Simple и неправильные глаголы', topics: ['past', 'прошедш', 'неправильн'], grades: [4, 8] },
+                { id: 'eng.articles', text: 'артикли a/an и the', topics: ['артикл', 'article'], grades: [3, 7] }
+            ],
+            misconceptions: [
+                { id: 'eng.third-person-s', text: 'забывает окончание -s в третьем лице единственного числа', wrong: 'He play football every day', topics: ['present', 'simple', 'настоящ'], grades: [3, 7] },
+                { id: 'eng.ed-for-all', text: 'добавляет -ed к любому глаголу в прошедшем времени', wrong: 'Yesterday I goed to school', topics: ['past', 'прошедш', 'неправильн'], grades: [4, 8] },
+                { id: 'eng.word-for-word', text: 'переводит фразы дословно с русского', wrong: 'I have 12 years', topics: ['перевод', 'лексик', 'возраст', 'знакомств', 'о себе'], grades: [3, 9] },
+                { id: 'eng.perfect-with-past-time', text: 'ставит Present Perfect с указанием прошедшего времени', wrong: 'I have seen him yesterday', topics: ['perfect'], grades: [6, 9] },
+                { id: 'eng.article-everywhere', text: 'ставит the перед названиями городов и понятиями в общем смысле', wrong: 'The Moscow is big. I like the music', topics: ['артикл', 'article'], grades: [3, 7] }
+            ]
+        },
+        'Информатика': {
+            concepts: [
+                { id: 'cs.binary', text: 'двоичная система счисления', topics: ['двоичн', 'счислен'], grades: [7, 9] },
+                { id: 'cs.algorithm', text: 'алгоритм и его свойства', topics: ['алгоритм', 'исполнител'], grades: [6, 9] },
+                { id: 'cs.loops', text: 'циклы в программе', topics: ['цикл', 'программ', 'python', 'питон'], grades: [8, 11] },
+                { id: 'cs.variables', text: 'переменная и присваивание', topics: ['переменн', 'присваиван', 'программ'], grades: [8, 9] }
+            ],
+            misconceptions: [
+                { id: 'cs.assignment-is-equality', text: 'понимает присваивание как математическое равенство', wrong: 'x = x + 1 — ошибка, так не бывает', topics: ['переменн', 'присваиван', 'программ', 'python', 'питон'], grades: [8, 10] },
+                { id: 'cs.binary-as-decimal', text: 'читает двоичную запись как десятичную', wrong: '10₂ — это десять', topics: ['двоичн', 'счислен'], grades: [7, 9] },
+                { id: 'cs.range-inclusive', text: 'ошибается на единицу в границах цикла', wrong: 'range(1, 5) даст числа от 1 до 5', topics: ['цикл', 'range', 'python', 'питон'], grades: [8, 11] },
+                { id: 'cs.computer-guesses', text: 'считает, что компьютер «догадается, что имелось в виду»', wrong: 'компьютер сам поймёт, что я хотел, даже если в команде ошибка', topics: ['алгоритм', 'исполнител', 'программ'], grades: [6, 9] },
+                { id: 'cs.bit-byte', text: 'путает бит и байт', wrong: 'в байте 10 бит', topics: ['информац', 'бит', 'байт', 'измерен'], grades: [7, 8] }
+            ]
+        },
+        'Физкультура': {
+            concepts: [
+                { id: 'pe.warmup', text: 'разминка перед нагрузкой', topics: ['разминк', 'нагрузк'], grades: [1, 11] },
+                { id: 'pe.pulse', text: 'контроль пульса на тренировке', topics: ['пульс', 'нагрузк', 'выносливост'], grades: [5, 11] },
+                { id: 'pe.technique', text: 'техника выполнения упражнения', topics: ['техник', 'упражнен'], grades: [1, 11] }
+            ],
+            misconceptions: [
+                { id: 'pe.warmup-useless', text: 'считает разминку потерей времени', wrong: 'разминка не нужна, я и так быстрый', topics: ['разминк', 'травм', 'нагрузк'], grades: [1, 11] },
+                { id: 'pe.sweat-is-fat', text: 'думает, что количество пота показывает сожжённый жир', wrong: 'чем больше вспотел, тем больше сжёг жира', topics: ['жир', 'выносливост', 'нагрузк', 'похуден'], grades: [5, 11] },
+                { id: 'pe.no-pain-no-gain', text: 'уверен, что тренироваться надо через боль', wrong: 'если не болит, тренировка не работает', topics: ['нагрузк', 'сил', 'трениров', 'травм'], grades: [5, 11] },
+                { id: 'pe.cold-stretching', text: 'тянется рывками и без разогрева', wrong: 'растяжка — это резкие рывки, сразу с порога', topics: ['растяжк', 'гибкост'], grades: [1, 11] }
+            ]
+        },
+        'ОБЖ': {
+            concepts: [
+                { id: 'obzh.bleeding', text: 'первая помощь при кровотечении', topics: ['помощ', 'кровотечен', 'ранен'], grades: [5, 11] },
+                { id: 'obzh.fire', text: 'действия при пожаре', topics: ['пожар', 'огн', 'эвакуац'], grades: [1, 11] },
+                { id: 'obzh.emergency-call', text: 'вызов экстренных служб по 112', topics: ['112', 'экстрен', 'служб', 'вызов'], grades: [1, 11] }
+            ],
+            misconceptions: [
+                { id: 'obzh.oil-on-burn', text: 'мажет ожог маслом', wrong: 'на ожог надо сразу намазать масло', topics: ['ожог', 'помощ'], grades: [5, 11] },
+                { id: 'obzh.elevator-in-fire', text: 'при пожаре спускается на лифте или прячется', wrong: 'при пожаре быстрее уехать на лифте', topics: ['пожар', 'эвакуац'], grades: [1, 11] },
+                { id: 'obzh.tourniquet-always', text: 'накладывает жгут при любом кровотечении', wrong: 'порезал палец — нужен жгут', topics: ['кровотечен', 'жгут', 'помощ', 'ранен'], grades: [7, 11] },
+                { id: 'obzh.nosebleed-head-back', text: 'при кровотечении из носа запрокидывает голову', wrong: 'голову назад — и кровь остановится', topics: ['кровотечен', 'нос', 'помощ'], grades: [5, 11] }
+            ]
+        }
+    };
+
+    // Сколько заблуждений у ученика: сильные ученики ошибаются реже, рассеянные — чаще
+    const STRONG = ['Отличник', 'Ботаник', 'Перфекционист'];
+    const WEAK = ['Апатичный', 'Телефонщик', 'Мечтатель', 'Клоун', 'Хулиган', 'Спортсмен'];
+    const MAX_MASTERED = 4;
+    const MAX_MISCONCEPTIONS = 3;
+
+    // Плоские индексы id → запись (с предметом)
+    const CONCEPTS = {};
+    const MISCONCEPTIONS = {};
+    for (const [subject, entry] of Object.entries(CATALOG)) {
+        entry.concepts.forEach(c => { CONCEPTS[c.id] = { ...c, subject }; });
+        entry.misconceptions.forEach(m => { MISCONCEPTIONS[m.id] = { ...m, subject }; });
+    }
+
+    const getConcept = (id) => (Object.hasOwn(CONCEPTS, id) ? CONCEPTS[id] : null);
+    const getMisconception = (id) => (Object.hasOwn(MISCONCEPTIONS, id) ? MISCONCEPTIONS[id] : null);
+
+    function topicNorm(topic) {
+        return ` ${String(topic || '').toLowerCase().replace(/ё/g, 'е')}`;
+    }
+
+    // Записи каталога по классу (если таких нет — весь предмет)
+    function gradePool(list, grade) {
+        const g = parseInt(grade, 10);
+        const inGrade = list.filter(x => !g || (g >= x.grades[0] && g <= x.grades[1]));
+        return inGrade.length ? inGrade : list;
+    }
+
+    // Записи каталога для урока: по теме, если совпала; иначе — по классу
+    function pool(list, grade, topic) {
+        const t = topicNorm(topic);
+        const byTopic = t.trim() ? list.filter(x => x.topics.some(stem => t.includes(stem.replace(/ё/g, 'е')))) : [];
+        return byTopic.length ? byTopic : gradePool(list, grade);
+    }
+
+    // Детерминированный генератор: один ученик и одна тема — одна модель
+    function seeded(key) {
+        let h = 2166136261;
+        for (let i = 0; i < key.length; i++) h = Math.imul(h ^ key.charCodeAt(i), 16777619);
+        return () => {
+            h = Math.imul(h ^ (h >>> 15), 2246822507);
+            h = Math.imul(h ^ (h >>> 13), 3266489909);
+            return ((h ^= h >>> 16) >>> 0) / 4294967296;
+        };
+    }
+
+    function take(list, n, rand) {
+        const rest = list.slice();
+        const out = [];
+        while (out.length < n && rest.length) out.push(rest.splice(Math.floor(rand() * rest.length), 1)[0]);
+        return out;
+    }
+
+    /**
+     * Модель знаний ученика на урок.
+     * @param {{subject: string, grade: string|number, topic: string}} lesson
+     * @param {number|string} studentId
+     * @param {string[]} types — психотипы ученика
+     * @returns {{mastered: string[], misconceptions: Array<{id, surfaced, fixed}>}|null} null — предмета нет в каталоге
+     */
+    function create(lesson, studentId, types) {
+        const entry = CATALOG[lesson && lesson.subject];
+        if (!entry) return null;
+        const rand = seeded(`${studentId}|${lesson.subject}|${lesson.grade}|${topicNorm(lesson.topic)}`);
+        const list = types || [];
+        const strong = list.some(t => STRONG.includes(t));
+        const weak = !strong && list.some(t => WEAK.includes(t));
+        const nMisc = strong ? 1 : weak ? 2 : 1 + (rand() < 0.5 ? 1 : 0);
+        const nMastered = strong ? 3 : weak ? 1 : 2;
+        const misconceptions = take(pool(entry.misconceptions, lesson.grade, lesson.topic), nMisc, rand);
+        // Усвоенное не противоречит заблуждениям: понятия с общими основами темы не берём
+        const stems = new Set(misconceptions.flatMap(m => m.topics));
+        const free = (list) => list.filter(c => !c.topics.some(t => stems.has(t)));
+        const concepts = free(pool(entry.concepts, lesson.grade, lesson.topic));
+        return {
+            mastered: take(concepts.length ? concepts : free(gradePool(entry.concepts, lesson.grade)), nMastered, rand).map(c => c.id),
+            misconceptions: misconceptions.map(m => ({ id: m.id, surfaced: false, fixed: false }))
+        };
+    }
+
+    // Что уходит на сервер с репликой ученика: только id и отметка «уже исправлено»
+    function forPrompt(model) {
+        if (!model) return undefined;
+        return {
+            mastered: model.mastered.slice(0, MAX_MASTERED),
+            misconceptions: model.misconceptions.slice(0, MAX_MISCONCEPTIONS).map(m => ({ id: m.id, fixed: m.fixed }))
+        };
+    }
+
+    /**
+     * Серверная сторона: id из запроса → тексты каталога (неизвестные id отбрасываются).
+     * @returns {{mastered: string[], misconceptions: Array<{id, text, wrong, fixed}>}|null}
+     */
+    function resolve(knowledge) {
+        if (!knowledge || typeof knowledge !== 'object') return null;
+        const mastered = (Array.isArray(knowledge.mastered) ? knowledge.mastered : [])
+            .map(getConcept).filter(Boolean).slice(0, MAX_MASTERED).map(c => c.text);
+        const seen = new Set();
+        const misconceptions = (Array.isArray(knowledge.misconceptions) ? knowledge.misconceptions : [])
+            .map(m => ({ item: m && getMisconception(m.id), fixed: !!(m && m.fixed === true) }))
+            .filter(({ item }) => item && !seen.has(item.id) && seen.add(item.id))
+            .slice(0, MAX_MISCONCEPTIONS)
+            .map(({ item, fixed }) => ({ id: item.id, text: item.text, wrong: item.wrong, fixed }));
+        return mastered.length || misconceptions.length ? { mastered, misconceptions } : null;
+    }
+
+    /**
+     * Отметки ученика после реплики (мутирует model). Исправить можно только ещё не исправленное;
+     * исправленное считается и вскрытым.
+     * @param {{shown: string|null, fixed: string|null}} marks — id из ответа ученика
+     * @returns {{shown: Object|null, fixed: Object|null}} записи каталога, которые изменились
+     */
+    function markTurn(model, marks) {
+        const out = { shown: null, fixed: null };
+        if (!model || !marks) return out;
+        const find = (id) => model.misconceptions.find(m => m.id === id && !m.fixed);
+        const fixed = marks.fixed ? find(marks.fixed) : null;
+        const shown = marks.shown ? find(marks.shown) : null;
+        if (shown && !shown.surfaced) { shown.surfaced = true; out.shown = getMisconception(shown.id); }
+        if (fixed) { fixed.surfaced = true; fixed.fixed = true; out.fixed = getMisconception(fixed.id); }
+        return out;
+    }
+
+    /**
+     * Итог урока по заблуждениям: [{ student, id, text, surfaced, fixed }].
+     * @param {Array<{name: string, model: Object}>} entries
+     */
+    function summary(entries) {
+        const out = [];
+        for (const { name, model } of entries || []) {
+            if (!model) continue;
+            for (const m of model.misconceptions) {
+                const item = getMisconception(m.id);
+                if (item) out.push({ student: name, id: m.id, text: item.text, surfaced: !!m.surfaced, fixed: !!m.fixed });
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Проверить присланный клиентом итог: только заблуждения каталога, тексты — из каталога.
+     * @returns {Array<{student, id, text, surfaced, fixed}>|null} null — итога нет
+     */
+    function sanitizeSummary(list) {
+        if (!Array.isArray(list)) return null;
+        const out = [];
+        for (const x of list.slice(0, 60)) {
+            const item = x && getMisconception(x.id);
+            if (!item) continue;
+            const student = typeof x.student === 'string' ? x.student.replace(/\s+/g, ' ').trim().slice(0, 40) : '';
+            const fixed = x.fixed === true;
+            out.push({ student: student || 'Ученик', id: item.id, text: item.text, surfaced: fixed || x.surfaced === true, fixed });
+        }
+        return out.length ? out : null;
+    }
+
+    global.Knowledge = {
+        CATALOG, CONCEPTS, MISCONCEPTIONS,
+        getConcept, getMisconception, create, forPrompt, resolve, markTurn, summary, sanitizeSummary
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
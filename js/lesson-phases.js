@@ -0,0 +1,139 @@
+/**
+ * Полный урок: 45 минут по фазам со сжатием времени.
+ *
+ * Урок идёт по шести фазам (PHASES) — оргмомент, целеполагание, объяснение, практика, проверка
+ * понимания, рефлексия; у каждой — плановые минуты из типовой технологической карты. Фазы
+ * переключает учитель, модуль только ведёт хронометраж: отрезки { id, from } в секундах реального
+ * времени, минуты урока = реальные секунды × COMPRESSION / 60 (1 реальная минута = 5 минут урока,
+ * весь урок — 9 реальных минут).
+ *
+ * Внимание класса к концу урока тает: раз в DECAY_STEP_MIN минут урока вовлечённость каждого
+ * ученика снижается на DECAY[фаза] за минуту — быстрее во время объяснения (особенно затянутого,
+ * дольше MONOLOGUE_MIN), медленнее на практике; после FATIGUE_FROM минуты — в FATIGUE_K раз
+ * быстрее. Психотип задаёт множитель (ATTENTION): мечтатель «уплывает» раньше отличника.
+ * Вовлекающие реплики учителя (js/student-state.js) этот спад перекрывают.
+ *
+ * Тот же модуль на сервере (api/director-report.js) проверяет присланный хронометраж по каталогу фаз.
+ */
+(function (global) {
+    const LESSON_MIN = 45;
+    const COMPRESSION = 5;
+
+    const PHASES = [
+        { id: 'org',      emoji: '🔔', title: 'Оргмомент',          plannedMin: 3 },
+        { id: 'goal',     emoji: '🎯', title: 'Целеполагание',      plannedMin: 4 },
+        { id: 'explain',  emoji: '📖', title: 'Объяснение',         plannedMin: 12 },
+        { id: 'practice', emoji: '✍️', title: 'Практика',           plannedMin: 14 },
+        { id: 'check',    emoji: '❓', title: 'Проверка понимания', plannedMin: 7 },
+        { id: 'reflect',  emoji: '🪞', title: 'Рефлексия',          plannedMin: 5 }
+    ];
+
+    // Спад вовлечённости за минуту урока по фазе
+    const DECAY = { org: 0.02, goal: 0.02, explain: 0.06, practice: 0.02, check: 0.04, reflect: 0.03 };
+    const DECAY_STEP_MIN = 5;    // спад применяется шагами — раз в 5 минут урока (1 реальная минута)
+    const FATIGUE_FROM = 25;     // с 25-й минуты класс устаёт
+    const FATIGUE_K = 1.5;
+    const MONOLOGUE_MIN = 10;    // объяснение дольше 10 минут подряд — внимание тает вдвое быстрее
+    const OVERRUN_MIN = 3;       // фаза дольше плана на 3 минуты — подсказка учителю
+
+    // Устойчивость внимания психотипов (1 — обычный ученик, больше — теряет внимание быстрее)
+    const ATTENTION = {
+        'Мечтатель': 1.6, 'Телефонщик': 1.6, 'Апатичный': 1.4, 'Клоун': 1.3, 'Хулиган': 1.3,
+        'Сплетник': 1.2, 'Спортсмен': 1.1, 'Провокатор': 1.1,
+        'Отличник': 0.6, 'Ботаник': 0.6, 'Перфекционист': 0.7, 'Активист': 0.8, 'Лидер': 0.9
+    };
+
+    const byId = (id) => PHASES.find(p => p.id === id) || null;
+    const round1 = (n) => Math.round(n * 10) / 10;
+
+    // Минуты урока по реальным секундам
+    function minuteAt(realSec) {
+        return Math.max(0, realSec) * COMPRESSION / 60;
+    }
+
+    // Сколько реальных секунд длится весь урок
+    function durationSec() {
+        return Math.round(LESSON_MIN * 60 / COMPRESSION);
+    }
+
+    // Новый урок начинается с оргмомента
+    function create() {
+        return { phase: PHASES[0].id, segments: [{ id: PHASES[0].id, from: 0 }], warned: {} };
+    }
+
+    /**
+     * Перейти к фазе (мутирует lesson). К пройденной фазе можно вернуться — её минуты суммируются.
+     * @returns {boolean} false — фаза неизвестна или уже идёт
+     */
+    function setPhase(lesson, id, realSec) {
+        if (!byId(id) || lesson.phase === id) return false;
+        lesson.phase = id;
+        lesson.segments.push({ id, from: realSec });
+        return true;
+    }
+
+    // Минуты урока в текущей фазе с последнего переключения
+    function phaseMinutes(lesson, realSec) {
+        const last = lesson.segments[lesson.segments.length - 1];
+        return minuteAt(realSec - last.from);
+    }
+
+    /**
+     * Хронометраж: сколько минут урока ушло на каждую фазу (по каталогу, включая пропущенные).
+     * @returns {Array<{id, emoji, title, plannedMin, minutes}>}
+     */
+    function split(lesson, realSec) {
+        const spent = {};
+        lesson.segments.forEach((seg, i) => {
+            const to = i + 1 < lesson.segments.length ? lesson.segments[i + 1].from : realSec;
+            spent[seg.id] = (spent[seg.id] || 0) + minuteAt(to - seg.from);
+        });
+        return PHASES.map(p => ({ ...p, minutes: round1(spent[p.id] || 0) }));
+    }
+
+    /**
+     * Спад вовлечённости ученика за шаг DECAY_STEP_MIN.
+     * @param {{phase: string, minute: number, inPhase: number}} at — фаза, минута урока, минут в фазе
+     * @param {string[]} types — психотипы ученика
+     * @returns {{engagement: number}} сдвиг для StudentState.applyDeltas
+     */
+    function attentionDelta(at, types) {
+        let rate = DECAY[at.phase] ?? DECAY.org;
+        if (at.phase === 'explain' && at.inPhase > MONOLOGUE_MIN) rate *= 2;
+        if (at.minute >= FATIGUE_FROM) rate *= FATIGUE_K;
+        const list = (types || []).map(t => ATTENTION[t]).filter(v => v !== undefined);
+        const k = list.length ? list.reduce((s, v) => s + v, 0) / list.length : 1;
+        return { engagement: -round1(rate * k * DECAY_STEP_MIN) };
+    }
+
+    // Фаза затянулась сверх плана — вернуть её один раз за урок (мутирует lesson.warned)
+    function overrun(lesson, realSec) {
+        const p = byId(lesson.phase);
+        if (!p || lesson.warned[p.id] || phaseMinutes(lesson, realSec) < p.plannedMin + OVERRUN_MIN) return null;
+        lesson.warned[p.id] = true;
+        return p;
+    }
+
+    /**
+     * Проверить присланный клиентом хронометраж: только фазы каталога, минуты в пределах урока.
+     * @param {*} list — [{ id, minutes }]
+     * @returns {Array<{id, title, plannedMin, minutes}>|null} null — хронометража нет
+     */
+    function sanitizeSplit(list) {
+        if (!Array.isArray(list)) return null;
+        const spent = {};
+        for (const item of list) {
+            const p = item && byId(item.id);
+            const m = Number(item && item.minutes);
+            if (!p || !Number.isFinite(m) || m < 0) continue;
+            spent[p.id] = Math.min(LESSON_MIN, round1(m));
+        }
+        if (!Object.values(spent).some(m => m > 0)) return null;
+        return PHASES.map(p => ({ id: p.id, title: p.title, plannedMin: p.plannedMin, minutes: spent[p.id] || 0 }));
+    }
+
+    global.LessonPhases = {
+        LESSON_MIN, COMPRESSION, PHASES, DECAY, DECAY_STEP_MIN, ATTENTION,
+        byId, minuteAt, durationSec, create, setPhase, phaseMinutes, split, attentionDelta, overrun, sanitizeSplit
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
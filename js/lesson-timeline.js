@@ -0,0 +1,115 @@
+/**
+ * Таймлайн урока: точка возврата на каждый ход учителя и ветки переигровки.
+ *
+ * Перед каждым ходом учителя (реплика, действие, опрос, доска) симулятор кладёт сюда снимок урока —
+ * history, studentStates, sessionScore, speechStats, conversationHistory AI-клиента и остальное, от чего
+ * зависят ответы учеников. Что внутри снимка, решает симулятор: здесь он непрозрачен.
+ * Возврат к ходу N отдаёт снимок перед этим ходом. Прежнее продолжение не теряется — оно закрывается
+ * веткой со своим итогом (summary, его тоже считает симулятор), и экран результатов сравнивает ветки.
+ * Серверная копия урока перематывается вместе с историей (aiClient.rewind → api/_sessions.js):
+ * отчёты оценивают активную ветку.
+ */
+(function (global) {
+    const MAX_BRANCHES = 20; // как у серверной копии урока
+    const MAX_LABEL = 80;
+    const KIND_EMOJI = { reply: '💬', action: '🎬', poll: '📊', board: '🖊️' };
+
+    function clip(text, max) {
+        const s = String(text == null ? '' : text).replace(/\s+/g, ' ').trim();
+        return s.length > max ? s.slice(0, max - 1) + '…' : s;
+    }
+
+    function branch(id, parentId, fromTurn, checkpoints) {
+        return { id, parentId, fromTurn, checkpoints, summary: null };
+    }
+
+    function create() {
+        return { seq: 1, active: 1, branches: [branch(1, null, 0, [])] };
+    }
+
+    function activeBranch(tl) {
+        return tl.branches.find(b => b.id === tl.active);
+    }
+
+    /**
+     * Точка возврата перед ходом учителя.
+     * @param {{kind: 'reply'|'action'|'poll'|'board', text: string, snapshot: Object}} turn
+     * @returns {number} номер хода в активной ветке (с 1)
+     */
+    function checkpoint(tl, { kind, text, snapshot }) {
+        const b = activeBranch(tl);
+        b.checkpoints.push({ turn: b.checkpoints.length + 1, kind, text: String(text || ''), at: Date.now(), snapshot });
+        return b.checkpoints.length;
+    }
+
+    /**
+     * Вернуться к ходу turn активной ветки. Текущая ветка закрывается итогом summary,
+     * новая наследует ходы до turn и становится активной.
+     * @returns {{turn, kind, text, snapshot}|null} точка возврата; null — хода нет или веток уже MAX_BRANCHES
+     */
+    function rewind(tl, turn, summary) {
+        const b = activeBranch(tl);
+        const cp = b.checkpoints[turn - 1];
+        if (!cp || tl.branches.length >= MAX_BRANCHES) return null;
+        const id = ++tl.seq;
+        tl.branches.push(branch(id, b.id, turn, b.checkpoints.slice(0, turn - 1)));
+        tl.active = id;
+        // Закрытая ветка нужна только для сравнения: снимки держит лишь общая с новой веткой часть
+        b.summary = summary;
+        b.checkpoints = b.checkpoints.map(c => (c.turn < turn ? c : { ...c, snapshot: null }));
+        return cp;
+    }
+
+    /**
+     * Последний ход вида kind в активной ветке — со снимком перед ним («Сказать лучше» берёт из него контекст).
+     * @returns {{turn, kind, text, snapshot}|null}
+     */
+    function lastTurn(tl, kind) {
+        const list = activeBranch(tl).checkpoints;
+        for (let i = list.length - 1; i >= 0; i--) {
+            if (list[i].kind === kind && list[i].snapshot) return list[i];
+        }
+        return null;
+    }
+
+    // Ходы активной ветки для полосы таймлайна
+    function turns(tl) {
+        return activeBranch(tl).checkpoints.map(c => ({
+            turn: c.turn, kind: c.kind, emoji: KIND_EMOJI[c.kind] || '•', label: clip(c.text, MAX_LABEL)
+        }));
+    }
+
+    function title(b) {
+        return b.parentId === null ? 'Исходная версия' : `Ветка ${b.id}: с хода ${b.fromTurn}`;
+    }
+
+    /**
+     * Сравнение веток для экрана результатов. Итог активной ветки — activeSummary (урок только что закончен).
+     * @returns {Array<{id, title, fromTurn, divergedAt: string|null, active: boolean, summary: Object|null}>|null}
+     *   null — перемоток не было; divergedAt — ход, которым ветка разошлась с исходной
+     */
+    function compare(tl, activeSummary) {
+        if (tl.branches.length < 2) return null;
+        return tl.branches.map(b => {
+            const first = b.fromTurn ? b.checkpoints[b.fromTurn - 1] : null;
+            return {
+                id: b.id,
+                title: title(b),
+                fromTurn: b.fromTurn,
+                divergedAt: first ? clip(first.text, MAX_LABEL) : null,
+                active: b.id === tl.active,
+                summary: b.id === tl.active ? activeSummary : b.summary
+            };
+        });
+    }
+
+    function branchCount(tl) {
+        return tl.branches.length;
+    }
+
+    function activeTitle(tl) {
+        return title(activeBranch(tl));
+    }
+
+    global.LessonTimeline = { MAX_BRANCHES, KIND_EMOJI, create, checkpoint, rewind, lastTurn, turns, compare, branchCount, activeTitle };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,102 @@
+/**
+ * Встречи на несколько участников — общий каталог для симулятора и сервера.
+ *
+ * Трудная встреча в школе редко бывает один на один: родитель приходит с ребёнком, к разговору
+ * подключается завуч, двое родителей спорят между собой. Встреча — режим 'parent' симулятора,
+ * но вместо одного родителя из PARENT_TYPES — состав из каталога: у каждого участника свой характер
+ * и своя цель (agenda), и участники отвечают не только учителю, но и друг другу (js/turn-planner.js).
+ * Сервер собирает промпт участника по id (/api/student-turn, student.participantId) — характер, цель
+ * и состав встречи клиент не присылает. /api/director-report оценивает такую встречу по критериям
+ * ведения встречи (meetingId в серверной копии урока).
+ *
+ * Формат встречи:
+ *   id, emoji, title, desc, topic — повод встречи (подставляется, если учитель не задал свой)
+ *   participants — [{ id, role, name, emoji, label, gender, desc, agenda, interject }]
+ *       role      — ключ ROLES; id уникальны по каталогу и не пересекаются с учениками и PARENT_TYPES
+ *       desc      — характер (в промпт участника), agenda — чего участник добивается на встрече
+ *       interject — 0..1: насколько охотно участник вступает в разговор без обращения к нему
+ *   opening — { participant: id, text } — с чего начинается встреча
+ * Имена участников одной встречи различаются первыми тремя буквами: так симулятор узнаёт адресата.
+ */
+(function (global) {
+    const ROLES = { parent: 'родитель', student: 'ученик', deputy: 'завуч' };
+
+    const CATALOG = [
+        {
+            id: 'grade-dispute', emoji: '📝', title: 'Отец и сын: спорная двойка',
+            desc: 'Отец пришёл с сыном оспаривать двойку за контрольную. Сын при отце молчит, что списал.',
+            topic: 'двойка за контрольную',
+            participants: [
+                { id: 921, role: 'parent', name: 'Геннадий Павлович', emoji: '😤', label: 'Отец', gender: 'm',
+                  desc: 'напористый отец: говорит громко и с нажимом, перебивает, уверен, что сына «валят»; при сыне не может признать, что ошибся; уважает факты и спокойную уверенность',
+                  agenda: 'добиться, чтобы двойку исправили, а учитель признал, что был несправедлив',
+                  interject: 0.6 },
+                { id: 922, role: 'student', name: 'Артём', emoji: '🧢', label: 'Сын', gender: 'm',
+                  desc: 'подросток: при отце замыкается и отвечает односложно, смотрит в пол; на самом деле списал и боится, что отец узнает; раскрывается, если к нему обращаются прямо и без обвинений',
+                  agenda: 'чтобы история со списыванием не всплыла при отце',
+                  interject: 0.2 }
+            ],
+            opening: { participant: 921, text: 'Добрый день. Мы по поводу контрольной. Артём говорит, что решил всё правильно, а у него двойка. Я хочу понять, по каким критериям вы оцениваете, и почему у других за то же самое четвёрки.' }
+        },
+        {
+            id: 'deputy-complaint', emoji: '🏛️', title: 'Жалоба при завуче',
+            desc: 'Мама написала жалобу на замечание сыну при классе. Встречу собрала завуч, сын тоже пришёл.',
+            topic: 'жалоба на замечание при классе',
+            participants: [
+                { id: 931, role: 'parent', name: 'Марина Олеговна', emoji: '👑', label: 'Мама', gender: 'f',
+                  desc: 'мама «особенного ребёнка»: уверена, что сын одарён и правила не для него, любое замечание считает травлей; апеллирует к завучу как к арбитру',
+                  agenda: 'чтобы учитель извинился перед сыном при классе и больше не делал ему замечаний',
+                  interject: 0.6 },
+                { id: 932, role: 'student', name: 'Тимофей', emoji: '🎨', label: 'Сын', gender: 'm',
+                  desc: 'мальчик с характером: при маме держится обиженно и поддакивает ей, но сам понимает, что сорвал урок; смягчается, если учитель говорит с ним уважительно и по делу',
+                  agenda: 'не выглядеть виноватым перед мамой',
+                  interject: 0.25 },
+                { id: 933, role: 'deputy', name: 'Ирина Петровна', emoji: '📋', label: 'Завуч', gender: 'f',
+                  desc: 'завуч: хочет закрыть жалобу быстро и без шума, склонна успокоить родителя за счёт учителя; поддержит учителя, только если у него есть факты и понятный план',
+                  agenda: 'закрыть жалобу на этой встрече, чтобы она не ушла выше',
+                  interject: 0.35 }
+            ],
+            opening: { participant: 933, text: 'Коллеги, давайте спокойно. Марина Олеговна написала жалобу: Тимофею сделали замечание при всём классе, он расстроен. Я хочу, чтобы мы сегодня здесь всё и решили. Марина Олеговна, начните.' }
+        },
+        {
+            id: 'parents-disagree', emoji: '⚡', title: 'Родители не согласны',
+            desc: 'Ребёнок отстаёт и пропускает уроки. Мама и папа видят причину и выход по-разному и спорят при учителе.',
+            topic: 'отставание и пропуски уроков',
+            participants: [
+                { id: 941, role: 'parent', name: 'Светлана Игоревна', emoji: '😰', label: 'Мама', gender: 'f',
+                  desc: 'тревожная мама: считает, что дочь перегружена и боится отца, просит щадящий режим и понимания; при резкости мужа расстраивается и замолкает',
+                  agenda: 'добиться щадящего режима и чтобы на дочь не давили',
+                  interject: 0.45 },
+                { id: 942, role: 'parent', name: 'Андрей Викторович', emoji: '🧱', label: 'Папа', gender: 'm',
+                  desc: 'строгий отец: уверен, что жена дочь балует, а школа распустила детей; требует строгости, контроля и наказаний; перебивает жену',
+                  agenda: 'чтобы школа ужесточила контроль, а жена перестала «жалеть»',
+                  interject: 0.55 }
+            ],
+            opening: { participant: 942, text: 'Скажу прямо: Вика прогуливает, потому что её все жалеют. Дома мать, здесь вы. Я хочу, чтобы с ней наконец начали разговаривать строго.' }
+        }
+    ];
+
+    const BY_ID = new Map(CATALOG.map(m => [m.id, m]));
+    const PARTICIPANTS = new Map(CATALOG.flatMap(m => m.participants.map(p => [p.id, { ...p, meetingId: m.id }])));
+
+    function list() {
+        return CATALOG;
+    }
+
+    function get(id) {
+        return BY_ID.get(id) || null;
+    }
+
+    // Участник по id (с meetingId своей встречи) — для сервера: промпт собирается только из каталога
+    function participant(id) {
+        return PARTICIPANTS.get(id) || null;
+    }
+
+    // Остальные участники той же встречи
+    function others(p) {
+        const meeting = p && get(p.meetingId);
+        return meeting ? meeting.participants.filter(o => o.id !== p.id) : [];
+    }
+
+    global.Meetings = { ROLES, list, get, participant, others };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -103,10 +103,11 @@
             ? `<div class="mode-badge assess">🎓 АТТЕСТАЦИЯ — одна попытка, без переигровок</div>`
             : `<div class="mode-badge train">🏋️ Тренировочный режим · попытка №${attempt}${attempt > 1 ? ` (переигровок: ${attempt - 1})` : ''}</div>`;
 
-        // Самооценка кандидата vs AI
+        // Самооценка кандидата vs AI (звёзды ставит кандидат — подпись сервера за них не ручается)
         const sa = r.self_assessment;
         const saSection = sa ? `
 <h2>Самооценка кандидата</h2>
+<div class="dr-comment">Заявлена кандидатом в браузере и не входит в подпись отчёта.</div>
 <table>
  <tr><td class="dr-crit">Сам оценил урок</td><td><b>${'★'.repeat(num(sa.stars, 0, 5) || 0)}${'☆'.repeat(5 - (num(sa.stars, 0, 5) || 0))}</b> (${num(sa.selfPercent, 0, 100)}%)</td></tr>
  <tr><td class="dr-crit">Оценка AI</td><td><b>${num(sa.aiPercent, 0, 100)}%</b></td></tr>
@@ -130,6 +131,36 @@
  <tr><td class="dr-crit">Объяснения / директивы</td><td><b>${num(sp.explanations, 0, 10000)}</b> / <b>${num(sp.directives, 0, 10000)}</b></td></tr>
 </table>` : '';
 
+        // Хронометраж полного урока: факт против плана по фазам (минуты урока из 45)
+        const phases = Array.isArray(r.phase_split) ? r.phase_split : [];
+        const phaseSection = phases.length ? `
+<h2>Распределение времени по фазам</h2>
+<table>
+ ${phases.map(p => {
+        const fact = num(p.minutes, 0, 45) || 0;
+        const plan = num(p.plannedMin, 0, 45) || 0;
+        const note = fact === 0 ? 'фаза пропущена' : fact > plan + 3 ? 'затянута' : fact < plan / 2 ? 'скомкана' : 'в плане';
+        return `<tr><td class="dr-crit">${esc(p.title)}</td><td>
+   <div class="tr-bar"><div class="tr-fill" style="width:${Math.round(fact / 45 * 100)}%"></div><span>${fact} / ${plan} мин</span></div>
+   <div class="dr-comment">${note}</div>
+ </td></tr>`;
+    }).join('')}
+</table>` : '';
+
+        // Заблуждения учеников (js/knowledge.js): вскрыл ли кандидат и исправил ли
+        const misc = Array.isArray(r.misconceptions) ? r.misconceptions : [];
+        const miscFixed = misc.filter(m => m.fixed).length;
+        const miscSurfaced = misc.filter(m => m.surfaced).length;
+        const miscSection = misc.length ? `
+<h2>Заблуждения учеников</h2>
+<p class="dr-comment">Вскрыто ${miscSurfaced} из ${misc.length}, исправлено ${miscFixed}</p>
+<table>
+ ${misc.map(m => {
+        const status = m.fixed ? '✅ вскрыто и исправлено' : m.surfaced ? '👀 вскрыто, не исправлено' : '— не всплыло';
+        return `<tr><td class="dr-crit">${esc(m.student)}</td><td>${esc(m.text)}<div class="dr-comment">${status}</div></td></tr>`;
+    }).join('')}
+</table>` : '';
+
         // Голосовые метрики (если кандидат говорил голосом)
         const vm = r.voice;
         const wpm = vm ? (num(vm.wordsPerMin, 0, 1000) || 0) : 0;
@@ -145,6 +176,10 @@
 </table>` : '';
 
         const m = r.meta || {};
+        // Версии промптов, по которым собран отчёт: отчёты разных версий рубрики не сравнивают напрямую
+        const promptLine = m.prompts && typeof m.prompts === 'object'
+            ? '<br>Версия рубрики: ' + Object.entries(m.prompts).map(([id, v]) => esc(id) + ' ' + esc(v)).join(', ')
+            : '';
         const html = `<!doctype html><html lang="ru"><head><meta charset="utf-8">
 <title>Отчёт для директора — Виртуальный класс</title>
 <style>
@@ -182,7 +217,7 @@
  @media print{.toolbar{display:none;}}
 </style></head><body>
 <div class="toolbar"><button onclick="window.print()">🖨 Печать / PDF</button></div>
-<h1>Отчёт для директора · ${r.mode === 'parent' ? 'встреча с трудным родителем' : 'наблюдения методиста'}</h1>
+<h1>Отчёт для директора · ${r.meeting ? `встреча: ${esc(r.meeting.title)}` : r.colleague ? `разговор с коллегой: ${esc(r.colleague.title)}` : r.mode === 'parent' ? 'встреча с трудным родителем' : r.mode === 'colleague' ? 'разговор с коллегой' : 'наблюдения методиста'}</h1>
 <div class="sub">${m.schoolName ? esc(m.schoolName) + ' · ' : ''}${esc(m.subject || '')}, ${esc(String(m.grade || ''))} класс${m.topic ? ' · тема: ' + esc(m.topic) : ''} · ${num(m.durationSeconds, 0, 100000) != null ? Math.round(num(m.durationSeconds, 0, 100000) / 60) : 0} мин · сложность класса ${num(r.difficulty, 1, 5) || 3}/5 · ${esc(new Date(m.generatedAt || Date.now()).toLocaleString('ru-RU'))}</div>
 <div class="verdict"><span>${v.icon}</span> ${v.label} <span class="pct">${num(r.readiness_percent, 0, 100) != null ? num(r.readiness_percent, 0, 100) + '%' : ''}</span></div>
 ${modeBadge}
@@ -199,10 +234,12 @@ ${prioSection}
 ${devSection}
 ${saSection}
 ${speechSection}
+${phaseSection}
+${miscSection}
 ${voiceSection}
 <h2>Что проверить дальше (симулятор этого не измеряет)</h2>
 <ul>${artifacts}</ul>
-<div class="disclaimer">${esc(r.disclaimer || '')}</div>
+<div class="disclaimer">${esc(r.disclaimer || '')}${promptLine}</div>
 </body></html>`;
 
         const w = window.open('', '_blank');
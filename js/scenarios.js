@@ -0,0 +1,881 @@
+/**
+ * Сценарии и микро-дриллы в едином декларативном формате — общий каталог для симулятора
+ * (прогон сцены) и сервера (цель дрилла и фокус Ко-Пилота по id — текст в промпты клиент не шлёт).
+ * Сценарий — JSON-совместимые данные без функций и регулярок: его можно хранить и присылать как JSON.
+ *
+ * Формат сценария:
+ *   id, kind      — 'scenario' (урок из библиотеки) | 'drill' (короткая сцена с одной целью)
+ *   emoji, title, desc
+ *   mode          — 'class' | 'parent' (parentId — id из PARENT_TYPES симулятора)
+ *   grade, subject, topic — null: берутся из формы настройки урока
+ *   difficulty    — 1–5
+ *   durationSec   — жёсткий тайм-бокс (дриллы — 180 с), null — без ограничения
+ *   goal          — одна измеримая цель дрилла (текст для учителя и анализа сессии)
+ *   trains        — ключи критериев отчёта директору (REPORT_CRITERIA), которые дрилл тренирует: по ним
+ *                   /api/director-report подбирает дриллы в план развития
+ *   checklist     — та же цель по пунктам: [{ id, label, when, sticky? }]; sticky — выполненный пункт
+ *                   остаётся выполненным (сказал — засчитано), иначе пункт отражает текущее состояние
+ *   violations    — [{ id, label, when }]: нарушения цели (крик, угрозы) — случившись, не снимаются.
+ *                   Цель достигнута, когда выполнены все пункты и нарушений нет (goalVerdict) — по этому
+ *                   же правилу живой трекер двигает шкалу прогресса, а /api/session-analysis выносит итог
+ *   students      — [{ id, name, types }]; id уникальны по каталогу (состояние ученика хранится по id)
+ *   opening       — { student: id, text } — первая реплика сцены (родитель начинает своей opening)
+ *   stages        — этапы, первый — стартовый:
+ *       { id, title, focus, branches?, exit?, next?, incidents? }
+ *       focus     — на что смотрит Ко-Пилот на этом этапе
+ *       branches  — [{ when, to }]: переход в этап to, как только условие истинно (первое по порядку)
+ *       exit      — условие перехода в next (по умолчанию — следующий этап по списку)
+ *       incidents — [{ id, when?, student, text | event }]: вброс готовой реплики или события ученика
+ *                   (event из INCIDENT_EVENTS, текст генерирует /api/student-turn); каждый — один раз;
+ *                   без when — вброс при входе на этап, до проверки переходов
+ *   win, lose     — условия исхода (сцена завершается), winText / loseText — что сказать учителю
+ *
+ * Условия (when / exit / win / lose):
+ *   { student: id | 'any' | 'all', metric: 'mood' | 'understanding' | 'engagement', lt|lte|gt|gte: n }
+ *   { metric: 'noise' | 'cohesion' | 'authority', ... }          — атмосфера класса (js/class-dynamics.js)
+ *   { metric: 'elapsedSec' | 'stageSec' | 'turns' | 'stageTurns', ... } — время и реплики учителя
+ *   { cue: 'lesson_goal', ever?: true }  — учитель сказал это на текущем этапе (ever — за всю сцену), TEACHER_CUES
+ *   { turn: { type?, tone? } }           — разбор последней реплики Ко-Пилотом (значение или список)
+ *   { stage: id }                        — текущий этап
+ *   { checklist: true }                  — цель достигнута (по последней оценке evaluateGoal)
+ *   { all: [...] }, { any: [...] }, { not: cond }
+ *
+ * Свои дриллы организации методист собирает в кабинете из короткой формы (customDrill): состав класса,
+ * первая реплика, цель, тайм-бокс и тренируемый критерий. Хранит и отдаёт их сервер (/api/drills),
+ * симулятор подключает их через useOrgDrills.
+ */
+(function (global) {
+    const STUDENT_METRICS = ['mood', 'understanding', 'engagement'];
+    const CLIMATE_METRICS = ['noise', 'cohesion', 'authority'];
+    const RUN_METRICS = ['elapsedSec', 'stageSec', 'turns', 'stageTurns'];
+    const COMPARATORS = ['lt', 'lte', 'gt', 'gte'];
+    const INCIDENT_EVENTS = ['distraction', 'question', 'conflict', 'bored'];
+    // Критерии отчёта директору (/api/director-report, CRITERIA)
+    const REPORT_CRITERIA = ['explanation', 'feedback', 'error_handling', 'communication', 'lesson_structure', 'engagement', 'school_fit'];
+
+    // Что учитель сказал — по тексту реплики, без обращения к модели
+    const TEACHER_CUES = {
+        lesson_goal: /цел[ьи] (нашего |сегодняшнего )?(урока|занятия)|сегодня (мы )?(узнаем|научимся|разбер[её]м|будем|изучим|поговорим)|задача (урока|на сегодня)/i,
+        acknowledge: /понима(ю|ем)|вижу, что|слышу (вас|тебя)|(вы|ты) (расстроен|пережива|волну)|это (обидно|неприятно|тяжело)/i,
+        private_talk: /после урока|наедине|подойди(те)? ко мне|поговорим (отдельно|потом|позже)/i,
+        plan: /договоримся|предлагаю|план|следующ(ий|ие) шаг|созвонимся|встретимся/i,
+        rules: /правил[аоу]|мы договаривались|у нас (принято|так)/i,
+        threat: /директор|вызову родителей|двойк|выгоню|за дверь|пожалуюсь/i,
+        praise: /молодец|отлично|умниц|здорово|правильно|хорошая мысль/i,
+        confiscate: /(отда|сда|положи)(й|йте|те)? (мне |сюда )?телефон|забира(ю|ем) телефон|конфиск/i
+    };
+
+    const CATALOG = [
+        // ── Микро-дриллы: короткая сцена (3 мин) с ОДНОЙ измеримой целью ──
+        {
+            id: 'drill-meltdown', kind: 'drill', emoji: '🔥', title: 'Срыв урока', mode: 'class',
+            grade: null, subject: null, topic: null, difficulty: 4, durationSec: 180,
+            goal: 'Остановить срыв урока и вернуть класс к работе — без крика и угроз',
+            desc: 'Двое раскачивают класс, остальные подхватывают.',
+            trains: ['error_handling'],
+            students: [
+                { id: 801, name: 'Кирилл', types: ['Провокатор', 'Хулиган'] },
+                { id: 802, name: 'Артём', types: ['Клоун'] },
+                { id: 803, name: 'Лена', types: ['Тихоня'] }
+            ],
+            opening: { student: 801, text: '(встаёт с места, громко) Да кому вообще нужен этот урок?! Давайте лучше поржём! (Артём кидает бумажный самолётик, класс начинает гудеть)' },
+            stages: [
+                {
+                    id: 'chaos', title: 'Класс раскачивают',
+                    focus: 'Остановить зачинщиков спокойно и коротко: без крика, угроз и долгих нотаций; не втягиваться в спор с Кириллом.',
+                    branches: [{ when: { turn: { tone: 'negative' } }, to: 'escalation' }],
+                    exit: { metric: 'noise', lte: 4 },
+                    next: 'work',
+                    incidents: [
+                        { id: 'plane', when: { metric: 'stageSec', gte: 45 }, student: 802, text: '(запускает второй самолётик) Лена, лови! (класс хохочет)' }
+                    ]
+                },
+                {
+                    id: 'escalation', title: 'Класс завёлся после окрика',
+                    focus: 'Вернуть спокойный тон после резкости: не продолжать давление, переключить класс на дело.',
+                    exit: { all: [{ metric: 'stageTurns', gte: 1 }, { metric: 'noise', lte: 4 }] },
+                    next: 'work',
+                    incidents: [
+                        { id: 'mock', student: 801, text: 'О-о-о, нас пугают! (передразнивает учителя, класс гудит сильнее)' }
+                    ]
+                },
+                {
+                    id: 'work', title: 'Возврат к работе',
+                    focus: 'Закрепить порядок: дать классу понятное задание и вовлечь зачинщиков в работу, а не наказание.'
+                }
+            ],
+            checklist: [
+                { id: 'quiet', label: 'Шум в классе снизился до рабочего', when: { metric: 'noise', lte: 4 } },
+                { id: 'authority', label: 'Авторитет учителя сохранён', when: { metric: 'authority', gte: 5 } },
+                { id: 'work', label: 'Класс вернулся к заданию', when: { all: [{ stage: 'work' }, { metric: 'stageTurns', gte: 1 }] }, sticky: true }
+            ],
+            violations: [
+                { id: 'shouting', label: 'Крик или грубость', when: { turn: { tone: 'negative' } } },
+                { id: 'threats', label: 'Угрозы (директор, двойки, «выгоню»)', when: { cue: 'threat' } }
+            ],
+            win: { all: [{ checklist: true }, { metric: 'elapsedSec', gte: 60 }] },
+            winText: 'Класс вернулся к работе.',
+            lose: { metric: 'authority', lte: 1 },
+            loseText: 'Класс перестал вас слушать.'
+        },
+        {
+            id: 'drill-phone', kind: 'drill', emoji: '📱', title: 'Телефонщик', mode: 'class',
+            grade: null, subject: null, topic: null, difficulty: 4, durationSec: 180,
+            goal: 'Добиться, чтобы ученик убрал телефон и включился в урок — без унижения и силовой конфискации',
+            desc: 'Ученик в телефоне и игнорирует обращения.',
+            trains: ['engagement'],
+            students: [
+                { id: 811, name: 'Макс', types: ['Апатичный', 'Хулиган'] },
+                { id: 812, name: 'Соня', types: ['Отличник'] },
+                { id: 813, name: 'Тимур', types: ['Спортсмен'] }
+            ],
+            opening: { student: 811, text: '(не поднимая глаз от телефона) Ага... щас... (продолжает листать ленту, посмеиваясь над видео)' },
+            stages: [
+                {
+                    id: 'ignore', title: 'Ученик в телефоне',
+                    focus: 'Вернуть ученика в урок без публичного унижения и силовой конфискации: короткое личное обращение, выбор, интерес к задаче.',
+                    branches: [{ when: { turn: { tone: 'negative' } }, to: 'standoff' }],
+                    exit: { student: 811, metric: 'engagement', gte: 6 },
+                    next: 'engaged',
+                    incidents: [
+                        { id: 'share', when: { metric: 'stageSec', gte: 40 }, student: 811, text: '(показывает экран соседу) Тимур, зацени! (Тимур тянется посмотреть)' }
+                    ]
+                },
+                {
+                    id: 'standoff', title: 'Противостояние',
+                    focus: 'Выйти из противостояния: снизить градус, не требовать телефон «сюда, немедленно», дать ученику сохранить лицо.',
+                    exit: { all: [{ metric: 'stageTurns', gte: 1 }, { student: 811, metric: 'mood', gte: 4 }] },
+                    next: 'ignore',
+                    incidents: [
+                        { id: 'refuse', student: 811, text: '(прячет телефон в карман) Не отдам. Это моя вещь, вы не имеете права.' }
+                    ]
+                },
+                {
+                    id: 'engaged', title: 'Ученик включился',
+                    focus: 'Удержать включённость: сразу дать ученику посильное дело и отметить участие.'
+                }
+            ],
+            checklist: [
+                { id: 'engaged', label: 'Макс включился в урок', when: { student: 811, metric: 'engagement', gte: 6 } },
+                { id: 'calm', label: 'Макс не озлоблен', when: { student: 811, metric: 'mood', gte: 4 } },
+                { id: 'class', label: 'Класс не превратил это в шоу', when: { metric: 'authority', gte: 5 } }
+            ],
+            violations: [
+                { id: 'humiliation', label: 'Унижение или резкость', when: { turn: { tone: 'negative' } } },
+                { id: 'confiscation', label: 'Требование отдать телефон', when: { cue: 'confiscate' } }
+            ],
+            win: { all: [{ checklist: true }, { metric: 'elapsedSec', gte: 60 }] },
+            winText: 'Телефон убран, ученик работает.',
+            lose: { student: 811, metric: 'mood', lte: 1 },
+            loseText: 'Ученик закрылся и демонстративно ушёл в телефон.'
+        },
+        {
+            id: 'drill-rude', kind: 'drill', emoji: '🗯️', title: 'Грубость в лицо', mode: 'class',
+            grade: null, subject: null, topic: null, difficulty: 4, durationSec: 180,
+            goal: 'Удержать личную границу при грубости: спокойно, без ответной агрессии и без игнорирования выпада',
+            desc: 'Ученица грубит лично вам при всём классе.',
+            trains: ['error_handling', 'communication'],
+            students: [
+                { id: 821, name: 'Настя', types: ['Хулиган', 'Провокатор'] },
+                { id: 822, name: 'Влад', types: ['Сплетник'] },
+                { id: 823, name: 'Оля', types: ['Тревожный'] }
+            ],
+            opening: { student: 821, text: 'Да что вы вообще понимаете? Вы даже объяснить нормально не можете. И вообще, кто вас учил так одеваться? (класс замирает и смотрит на вас)' },
+            stages: [
+                {
+                    id: 'insult', title: 'Выпад при всём классе',
+                    focus: 'Обозначить границу спокойно и твёрдо: назвать недопустимое, не оправдываться, не отвечать оскорблением и не делать вид, что ничего не было.',
+                    branches: [{ when: { turn: { tone: 'negative' } }, to: 'escalation' }],
+                    exit: { metric: 'authority', gte: 6 },
+                    next: 'lesson',
+                    incidents: [
+                        { id: 'audience', when: { metric: 'stageSec', gte: 30 }, student: 822, text: '(громким шёпотом) Щас она ей ответит... спорим, будет орать?' }
+                    ]
+                },
+                {
+                    id: 'escalation', title: 'Перепалка',
+                    focus: 'Остановить перепалку: вернуть спокойный тон и перенести разговор с ученицей на после урока.',
+                    exit: { all: [{ metric: 'stageTurns', gte: 1 }, { metric: 'authority', gte: 5 }] },
+                    next: 'lesson',
+                    incidents: [
+                        { id: 'film', student: 821, text: 'Ой, обиделись? (Влад достаёт телефон и снимает)' }
+                    ]
+                },
+                {
+                    id: 'lesson', title: 'Возврат к уроку',
+                    focus: 'Вернуться к уроку без мести и затаённой обиды; договориться о разговоре после урока.'
+                }
+            ],
+            checklist: [
+                {
+                    id: 'boundary', label: 'Граница обозначена: выпад не проигнорирован', sticky: true,
+                    when: { all: [{ turn: { type: ['discipline', 'directive'] } }, { not: { turn: { tone: 'negative' } } }] }
+                },
+                { id: 'authority', label: 'Авторитет сохранён', when: { metric: 'authority', gte: 6 } },
+                { id: 'lesson', label: 'Урок продолжился', when: { stage: 'lesson' }, sticky: true }
+            ],
+            violations: [
+                { id: 'aggression', label: 'Ответная агрессия или грубость', when: { turn: { tone: 'negative' } } },
+                { id: 'threats', label: 'Угрозы (директор, двойки, «выгоню»)', when: { cue: 'threat' } }
+            ],
+            win: { all: [{ checklist: true }, { metric: 'elapsedSec', gte: 60 }] },
+            winText: 'Граница удержана, класс снова на уроке.',
+            lose: { metric: 'authority', lte: 1 },
+            loseText: 'Класс встал на сторону ученицы.'
+        },
+        {
+            id: 'drill-tears', kind: 'drill', emoji: '😢', title: 'Слёзы на уроке', mode: 'class',
+            grade: null, subject: null, topic: null, difficulty: 4, durationSec: 180,
+            goal: 'Поддержать плачущего ученика, не выставляя его напоказ перед классом, и вернуть ощущение безопасности',
+            desc: 'Ученица расплакалась прямо на уроке.',
+            trains: ['feedback'],
+            students: [
+                { id: 831, name: 'Даша', types: ['Тревожный', 'Тихоня'] },
+                { id: 832, name: 'Егор', types: ['Клоун'] },
+                { id: 833, name: 'Марина', types: ['Активист'] }
+            ],
+            opening: { student: 831, text: '(закрывает лицо руками и плачет) Я не могу... у меня опять ничего не получается... я самая тупая в классе... (Егор хихикает на задней парте)' },
+            stages: [
+                {
+                    id: 'crisis', title: 'Ученица плачет',
+                    focus: 'Поддержать тихо и лично, не разбирать слёзы при всех; предложить паузу или разговор наедине; пресечь насмешки без нотаций.',
+                    exit: { student: 831, metric: 'mood', gte: 4 },
+                    next: 'recovery',
+                    incidents: [
+                        { id: 'tease', when: { metric: 'stageSec', gte: 20 }, student: 832, text: '(громко) Опять ревёт... (несколько человек оборачиваются)' }
+                    ]
+                },
+                {
+                    id: 'recovery', title: 'Возвращение безопасности',
+                    focus: 'Вернуть классу ощущение безопасности: спокойно продолжить урок, дать Даше посильный шаг, не возвращаться к слезам публично.'
+                }
+            ],
+            checklist: [
+                { id: 'support', label: 'Даша получила поддержку', when: { any: [{ cue: 'acknowledge' }, { cue: 'private_talk' }] }, sticky: true },
+                { id: 'calm', label: 'Даша успокоилась', when: { student: 831, metric: 'mood', gte: 5 } },
+                { id: 'safe', label: 'Насмешки пресечены, класс спокоен', when: { metric: 'noise', lte: 4 } }
+            ],
+            violations: [
+                { id: 'harsh', label: 'Резкость вместо поддержки', when: { turn: { tone: 'negative' } } }
+            ],
+            win: { all: [{ checklist: true }, { metric: 'elapsedSec', gte: 60 }] },
+            winText: 'Даша успокоилась и вернулась к работе.',
+            lose: { student: 831, metric: 'mood', lte: 1 },
+            loseText: 'Даше стало только хуже.'
+        },
+        {
+            id: 'drill-parent', kind: 'drill', emoji: '⚖️', title: 'Родитель-прокурор', mode: 'parent', parentId: 901,
+            grade: null, subject: null, topic: null, difficulty: 4, durationSec: 180,
+            goal: 'Снять эскалацию с агрессивным родителем: перевести разговор от обвинений к фактам и совместному плану, не оправдываясь и не нападая',
+            desc: 'Родитель обвиняет и грозит жалобой директору.',
+            trains: ['communication'],
+            students: [],
+            opening: null,
+            stages: [
+                {
+                    id: 'accusation', title: 'Обвинения',
+                    focus: 'Признать эмоцию родителя, не оправдываясь и не нападая в ответ.',
+                    exit: { any: [{ cue: 'acknowledge' }, { student: 901, metric: 'mood', gte: 6 }] },
+                    next: 'facts',
+                    incidents: [
+                        { id: 'complaint', when: { metric: 'stageSec', gte: 50 }, student: 901, text: '(достаёт телефон) Я сейчас же пишу директору. Или вы мне всё-таки объясните, что происходит?' }
+                    ]
+                },
+                {
+                    id: 'facts', title: 'Факты',
+                    focus: 'Перейти от обвинений к фактам: конкретные ситуации, оценки, наблюдения — без ярлыков.',
+                    exit: { cue: 'plan' },
+                    next: 'plan'
+                },
+                {
+                    id: 'plan', title: 'Совместный план',
+                    focus: 'Договориться о конкретных шагах: кто, что и когда делает; назначить следующий контакт.'
+                }
+            ],
+            checklist: [
+                { id: 'acknowledge', label: 'Эмоция родителя признана', when: { cue: 'acknowledge', ever: true }, sticky: true },
+                { id: 'plan', label: 'Предложен совместный план', when: { cue: 'plan', ever: true }, sticky: true },
+                { id: 'heard', label: 'Родитель чувствует, что его слышат', when: { student: 901, metric: 'understanding', gte: 6 } }
+            ],
+            violations: [
+                { id: 'attack', label: 'Ответное нападение или грубость', when: { turn: { tone: 'negative' } } }
+            ],
+            win: { all: [{ checklist: true }, { metric: 'elapsedSec', gte: 60 }] },
+            winText: 'Родитель согласился на совместный план.',
+            lose: { student: 901, metric: 'mood', lte: 1 },
+            loseText: 'Родитель ушёл писать жалобу директору.'
+        },
+
+        // ── Готовые сценарии из библиотеки: фиксированный класс, старт без настройки ──
+        // Состав повторяет карточки scenarios.html
+        {
+            id: 'first-day', kind: 'scenario', emoji: '🌱', title: 'Первый День', mode: 'class',
+            grade: '8', subject: 'Математика', topic: '', difficulty: 2, durationSec: null,
+            students: [
+                { id: 701, name: 'Лиза', types: ['Тревожный'] },
+                { id: 702, name: 'Анна', types: ['Перфекционист'] },
+                { id: 703, name: 'Катя', types: ['Отличник'] }
+            ],
+            opening: { student: 703, text: 'Здравствуйте! А вы теперь будете у нас вести? А что мы будем проходить?' },
+            stages: [
+                {
+                    id: 'intro', title: 'Знакомство',
+                    focus: 'Представиться, назвать цель урока и правила работы, снизить тревогу новеньких.',
+                    exit: { cue: 'lesson_goal' },
+                    next: 'lesson',
+                    incidents: [
+                        { id: 'board', when: { metric: 'stageSec', gte: 25 }, student: 701, text: '(тихо) А вы будете вызывать к доске?..' }
+                    ]
+                },
+                {
+                    id: 'lesson', title: 'Урок',
+                    focus: 'Вовлечь тревожных учеников без давления, поддерживать попытки и ошибки.',
+                    incidents: [
+                        { id: 'erase', when: { student: 702, metric: 'mood', lt: 4 }, student: 702, text: '(зачёркивает всё в тетради) У меня всё неправильно...' }
+                    ]
+                }
+            ]
+        },
+        {
+            id: 'difficult-class', kind: 'scenario', emoji: '⚡', title: 'Трудный Класс', mode: 'class',
+            grade: '8', subject: 'Математика', topic: '', difficulty: 4, durationSec: null,
+            students: [
+                { id: 711, name: 'Петров', types: ['Провокатор'] },
+                { id: 712, name: 'Игорь', types: ['Хулиган', 'Провокатор'] },
+                { id: 713, name: 'Соня', types: ['Апатичный'] },
+                { id: 714, name: 'Максим', types: ['Лидер'] }
+            ],
+            opening: { student: 711, text: 'О, новый учитель! Спорим, вы у нас и месяца не продержитесь? (класс смеётся)' },
+            stages: [
+                {
+                    id: 'takeover', title: 'Проверка на прочность',
+                    focus: 'Не вестись на провокацию, спокойно установить правила и взять урок в свои руки.',
+                    branches: [{ when: { turn: { tone: 'negative' } }, to: 'standoff' }],
+                    exit: { metric: 'authority', gte: 6 },
+                    next: 'lesson'
+                },
+                {
+                    id: 'standoff', title: 'Противостояние',
+                    focus: 'Снизить градус после резкости: не давить дальше, вернуть разговор к делу.',
+                    exit: { all: [{ metric: 'stageTurns', gte: 1 }, { metric: 'authority', gte: 5 }] },
+                    next: 'lesson',
+                    incidents: [
+                        { id: 'stand', student: 712, text: '(встаёт) А чё вы орёте? Мы тоже так можем.' }
+                    ]
+                },
+                {
+                    id: 'lesson', title: 'Урок',
+                    focus: 'Опереться на Лидера, вовлечь апатичных, держать темп.',
+                    incidents: [
+                        { id: 'sleep', when: { student: 713, metric: 'engagement', lt: 3 }, student: 713, text: '(кладёт голову на парту)' }
+                    ]
+                }
+            ],
+            lose: { metric: 'authority', lte: 1 },
+            loseText: 'Класс перестал вас слушать.'
+        },
+        {
+            id: 'phone-incident', kind: 'scenario', emoji: '📱', title: 'Ученик с Телефоном', mode: 'class',
+            grade: '8', subject: 'Математика', topic: '', difficulty: 3, durationSec: null,
+            students: [
+                { id: 721, name: 'Кирилл', types: ['Телефонщик'] },
+                { id: 722, name: 'Катя', types: ['Отличник'] },
+                { id: 723, name: 'Саша', types: ['Тихоня'] }
+            ],
+            opening: { student: 721, text: '(под партой светится экран, Кирилл хихикает)' },
+            stages: [
+                {
+                    id: 'phone', title: 'Телефон на уроке',
+                    focus: 'Вернуть ученика в урок без унижения и силовой конфискации.',
+                    exit: { student: 721, metric: 'engagement', gte: 6 },
+                    next: 'lesson',
+                    incidents: [
+                        { id: 'complain', when: { metric: 'stageSec', gte: 40 }, student: 722, text: 'Можно Кирилл не будет мешать? Мне ничего не слышно.' }
+                    ]
+                },
+                {
+                    id: 'lesson', title: 'Урок',
+                    focus: 'Удержать включённость всего класса, не забывая про тихих.'
+                }
+            ]
+        },
+        {
+            id: 'exam-stress', kind: 'scenario', emoji: '📝', title: 'Стресс Перед Экзаменом', mode: 'class',
+            grade: '9', subject: 'Математика', topic: 'Подготовка к контрольной', difficulty: 3, durationSec: null,
+            students: [
+                { id: 731, name: 'Анна', types: ['Перфекционист'] },
+                { id: 732, name: 'Лиза', types: ['Тревожный'] },
+                { id: 733, name: 'Оля', types: ['Активист'] }
+            ],
+            opening: { student: 732, text: 'А если я завалю контрольную, меня оставят на второй год?' },
+            stages: [
+                {
+                    id: 'anxiety', title: 'Тревога',
+                    focus: 'Снизить тревогу: признать волнение, дать опору и понятный план подготовки.',
+                    exit: { all: [{ student: 'all', metric: 'mood', gte: 5 }, { metric: 'stageTurns', gte: 2 }] },
+                    next: 'prep',
+                    incidents: [
+                        { id: 'perfect', when: { student: 731, metric: 'mood', lt: 4 }, student: 731, text: 'Я всё равно не успею повторить всё идеально...' }
+                    ]
+                },
+                {
+                    id: 'prep', title: 'Подготовка',
+                    focus: 'Структурировать подготовку и проверять понимание, а не только успокаивать.'
+                }
+            ]
+        },
+        {
+            id: 'after-holidays', kind: 'scenario', emoji: '🏖️', title: 'После Каникул', mode: 'class',
+            grade: '7', subject: 'Математика', topic: '', difficulty: 2, durationSec: null,
+            students: [
+                { id: 741, name: 'Соня', types: ['Апатичный'] },
+                { id: 742, name: 'Максим', types: ['Лидер'] },
+                { id: 743, name: 'Артём', types: ['Клоун'] }
+            ],
+            opening: { student: 743, text: '(потягивается) Может, ещё денёк каникул, а? Мы ж отвыкли!' },
+            stages: [
+                {
+                    id: 'warmup', title: 'Включение после каникул',
+                    focus: 'Переключить класс на учёбу через интерес, назвать цель урока.',
+                    exit: { cue: 'lesson_goal' },
+                    next: 'lesson',
+                    incidents: [
+                        { id: 'yawn', when: { all: [{ metric: 'stageSec', gte: 40 }, { student: 741, metric: 'engagement', lt: 5 }] }, student: 741, text: '(зевает) Ещё и домашку зададут...' }
+                    ]
+                },
+                {
+                    id: 'lesson', title: 'Урок',
+                    focus: 'Держать темп и вовлекать апатичных через посильные задания.'
+                }
+            ]
+        },
+        {
+            id: 'leader-conflict', kind: 'scenario', emoji: '👑', title: 'Конфликт Лидеров', mode: 'class',
+            grade: '8', subject: 'Математика', topic: '', difficulty: 4, durationSec: null,
+            students: [
+                { id: 751, name: 'Максим', types: ['Лидер'] },
+                { id: 752, name: 'Даша', types: ['Популярный', 'Лидер'] },
+                { id: 753, name: 'Петров', types: ['Провокатор'] }
+            ],
+            opening: { student: 752, text: 'Максим, вообще-то сегодня проект веду я. Не лезь.' },
+            stages: [
+                {
+                    id: 'rivalry', title: 'Соперничество',
+                    focus: 'Не вставать ни на чью сторону; дать обоим лидерам роли в общем деле.',
+                    branches: [{ when: { metric: 'noise', gte: 8 }, to: 'split' }],
+                    exit: { metric: 'cohesion', gte: 6 },
+                    next: 'collab',
+                    incidents: [
+                        { id: 'retort', when: { metric: 'stageSec', gte: 30 }, student: 751, text: 'С чего это? Ты в прошлый раз всё завалила. (Петров: «О-о-о, сейчас будет»)' }
+                    ]
+                },
+                {
+                    id: 'split', title: 'Класс делится на лагеря',
+                    focus: 'Остановить перепалку и вернуть класс к общей задаче без публичного разбора «кто прав».',
+                    exit: { metric: 'noise', lte: 5 },
+                    next: 'rivalry',
+                    incidents: [
+                        { id: 'bets', student: 753, text: 'Ставлю на Дашу! Кто за Максима? (класс делится на два лагеря)' }
+                    ]
+                },
+                {
+                    id: 'collab', title: 'Совместная работа',
+                    focus: 'Закрепить сотрудничество: распределить роли и отметить вклад обоих.'
+                }
+            ],
+            lose: { metric: 'cohesion', lte: 1 },
+            loseText: 'Класс раскололся на два лагеря.'
+        }
+    ];
+
+    // Свои дриллы организации (только в браузере: сервер ищет их в хранилище организации, см. api/_scenarios.js)
+    let orgDrills = [];
+
+    function get(id) {
+        return CATALOG.find(s => s.id === id) || orgDrills.find(s => s.id === id) || null;
+    }
+
+    function list(kind) {
+        const all = [...CATALOG, ...orgDrills];
+        return kind ? all.filter(s => s.kind === kind) : all;
+    }
+
+    /** Подключить дриллы организации (ответ /api/drills); некорректные отбрасываются. */
+    function useOrgDrills(drills) {
+        orgDrills = (Array.isArray(drills) ? drills : [])
+            .filter(d => d && d.custom === true && !validateScenario(d).length && !CATALOG.some(s => s.id === d.id));
+        return orgDrills.slice();
+    }
+
+    // ── Свой дрилл организации ──
+
+    const CUSTOM_LIMITS = { title: 60, goal: 300, focus: 300, desc: 160, name: 40, opening: 400, students: 6, types: 3 };
+    const CUSTOM_STUDENT_BASE = 1001; // id учеников своих дриллов — вне диапазонов каталога (801…, родители 901…)
+
+    const clip = (v, max) => String(v == null ? '' : v).replace(/\s+/g, ' ').trim().slice(0, max);
+
+    /**
+     * Дрилл каталожного формата из формы методиста.
+     * Свой дрилл — один этап без условий перехода и исхода: сцену завершает тайм-бокс, цель оценивает
+     * анализ сессии (живого трекера по пунктам у своих дриллов нет).
+     * @param {Object} spec
+     * @param {string} spec.id — 'org-…' (выдаёт сервер)
+     * @param {string} spec.title
+     * @param {string} spec.goal
+     * @param {string} [spec.emoji]
+     * @param {string} [spec.desc]
+     * @param {string} [spec.focus] — на что смотрит Ко-Пилот (по умолчанию — цель)
+     * @param {number} spec.durationSec — 60–600
+     * @param {number} spec.difficulty — 1–5
+     * @param {string[]} spec.trains — ключи REPORT_CRITERIA
+     * @param {Array<{name, types: string[], gender?: 'f'|'m'}>} spec.students
+     * @param {{student: number, text: string}|null} [spec.opening] — student — индекс в spec.students
+     * @returns {{drill: Object|null, errors: string[]}}
+     */
+    function customDrill(spec) {
+        const s = spec && typeof spec === 'object' ? spec : {};
+        const errors = [];
+        const title = clip(s.title, CUSTOM_LIMITS.title);
+        const goal = clip(s.goal, CUSTOM_LIMITS.goal);
+        if (!title) errors.push('Название обязательно');
+        if (!goal) errors.push('Цель обязательна');
+        if (!Number.isInteger(s.durationSec) || s.durationSec < 60 || s.durationSec > 600) errors.push('Длительность: 1–10 минут');
+        const trains = [...new Set(Array.isArray(s.trains) ? s.trains : [])].filter(k => REPORT_CRITERIA.includes(k));
+        if (!trains.length) errors.push('Выберите критерий, который тренирует дрилл');
+
+        const cast = (Array.isArray(s.students) ? s.students : []).slice(0, CUSTOM_LIMITS.students);
+        const students = cast.map((st, i) => ({
+            id: CUSTOM_STUDENT_BASE + i,
+            name: clip(st && st.name, CUSTOM_LIMITS.name) || `Ученик ${i + 1}`,
+            types: [...new Set(Array.isArray(st && st.types) ? st.types : [])].slice(0, CUSTOM_LIMITS.types),
+            ...(st && (st.gender === 'f' || st.gender === 'm') ? { gender: st.gender } : {})
+        }));
+        if (!students.length) errors.push('Добавьте хотя бы одного ученика');
+        if (students.some(st => !st.types.length)) errors.push('У каждого ученика должен быть психотип');
+
+        const openingText = s.opening ? clip(s.opening.text, CUSTOM_LIMITS.opening) : '';
+        const openingStudent = s.opening ? students[s.opening.student] : null;
+        if (openingText && !openingStudent) errors.push('Первую реплику должен говорить ученик из состава');
+
+        const drill = {
+            id: s.id, kind: 'drill', custom: true,
+            emoji: clip(s.emoji, 4) || '🎯', title, mode: 'class',
+            grade: null, subject: null, topic: null,
+            difficulty: Number.isInteger(s.difficulty) ? s.difficulty : 3,
+            durationSec: s.durationSec,
+            goal,
+            desc: clip(s.desc, CUSTOM_LIMITS.desc) || goal.slice(0, CUSTOM_LIMITS.desc),
+            trains,
+            students,
+            opening: openingText && openingStudent ? { student: openingStudent.id, text: openingText } : null,
+            stages: [{ id: 'main', title, focus: clip(s.focus, CUSTOM_LIMITS.focus) || `Цель дрилла: ${goal}` }]
+        };
+        if (!errors.length) errors.push(...validateScenario(drill));
+        return errors.length ? { drill: null, errors } : { drill, errors };
+    }
+
+    /** Обратно к форме методиста: редактирование в кабинете и хранение на сервере. */
+    function customSpec(drill) {
+        const students = drill.students || [];
+        return {
+            id: drill.id, title: drill.title, emoji: drill.emoji, goal: drill.goal, desc: drill.desc,
+            focus: drill.stages[0].focus, durationSec: drill.durationSec, difficulty: drill.difficulty, trains: drill.trains.slice(),
+            students: students.map(({ name, types, gender }) => ({ name, types: types.slice(), ...(gender ? { gender } : {}) })),
+            opening: drill.opening ? { student: students.findIndex(st => st.id === drill.opening.student), text: drill.opening.text } : null
+        };
+    }
+
+    function stageOf(sc, stageId) {
+        return (sc && sc.stages || []).find(st => st.id === stageId) || null;
+    }
+
+    // Фокус Ко-Пилота этапа ('' — нет такого сценария или этапа)
+    function stageFocus(sc, stageId) {
+        const st = stageOf(sc, stageId);
+        return st && st.focus ? st.focus : '';
+    }
+
+    // ── Проверка формата (каталог, присланный JSON) ──
+
+    function conditionErrors(cond, ids, stageIds, path) {
+        if (!cond || typeof cond !== 'object' || Array.isArray(cond)) return [`${path}: условие должно быть объектом`];
+        if (cond.all || cond.any) {
+            const items = cond.all || cond.any;
+            if (!Array.isArray(items) || !items.length) return [`${path}: all/any — непустой список`];
+            return items.flatMap((c, i) => conditionErrors(c, ids, stageIds, `${path}.${cond.all ? 'all' : 'any'}[${i}]`));
+        }
+        if (cond.not) return conditionErrors(cond.not, ids, stageIds, `${path}.not`);
+        if (cond.stage !== undefined) return stageIds.includes(cond.stage) ? [] : [`${path}: неизвестный этап «${cond.stage}»`];
+        if (cond.checklist !== undefined) return cond.checklist === true ? [] : [`${path}: checklist — только true`];
+        if (cond.cue !== undefined) return TEACHER_CUES[cond.cue] ? [] : [`${path}: неизвестная реплика-маркер «${cond.cue}»`];
+        if (cond.turn !== undefined) {
+            return cond.turn && typeof cond.turn === 'object' && (cond.turn.type || cond.turn.tone) ? [] : [`${path}: turn — { type?, tone? }`];
+        }
+        const errors = [];
+        if (!COMPARATORS.some(k => typeof cond[k] === 'number')) errors.push(`${path}: нужен числовой lt/lte/gt/gte`);
+        if (cond.student !== undefined) {
+            if (!STUDENT_METRICS.includes(cond.metric)) errors.push(`${path}: метрика ученика — ${STUDENT_METRICS.join(' / ')}`);
+            if (cond.student !== 'any' && cond.student !== 'all' && !ids.includes(cond.student)) errors.push(`${path}: неизвестный ученик ${cond.student}`);
+        } else if (![...CLIMATE_METRICS, ...RUN_METRICS].includes(cond.metric)) {
+            errors.push(`${path}: неизвестная метрика «${cond.metric}»`);
+        }
+        return errors;
+    }
+
+    /**
+     * Ошибки формата сценария (пустой список — сценарий корректен).
+     * @returns {string[]}
+     */
+    function validateScenario(sc) {
+        if (!sc || typeof sc !== 'object') return ['сценарий должен быть объектом'];
+        const errors = [];
+        if (typeof sc.id !== 'string' || !/^[a-z0-9-]{2,60}$/.test(sc.id)) errors.push('id: латиница, цифры и дефис (2–60)');
+        if (!['scenario', 'drill'].includes(sc.kind)) errors.push('kind: scenario | drill');
+        if (typeof sc.title !== 'string' || !sc.title.trim()) errors.push('title обязателен');
+        if (!['class', 'parent'].includes(sc.mode)) errors.push('mode: class | parent');
+        if (!Number.isInteger(sc.difficulty) || sc.difficulty < 1 || sc.difficulty > 5) errors.push('difficulty: 1–5');
+        if (sc.trains !== undefined && (!Array.isArray(sc.trains) || sc.trains.some(k => !REPORT_CRITERIA.includes(k)))) {
+            errors.push(`trains: ключи ${REPORT_CRITERIA.join(' / ')}`);
+        }
+        if (sc.durationSec != null && (!Number.isInteger(sc.durationSec) || sc.durationSec < 60)) errors.push('durationSec: не меньше 60 с');
+
+        const students = Array.isArray(sc.students) ? sc.students : [];
+        const ids = students.map(s => s && s.id);
+        if (sc.mode === 'class' && !students.length) errors.push('students: нужен хотя бы один ученик');
+        if (new Set(ids).size !== ids.length || ids.some(id => !Number.isInteger(id))) errors.push('students: id — уникальные целые числа');
+        students.forEach((s, i) => {
+            if (!s || typeof s.name !== 'string' || !Array.isArray(s.types) || !s.types.length) errors.push(`students[${i}]: нужны name и types`);
+        });
+        if (sc.mode === 'parent') {
+            if (!Number.isInteger(sc.parentId)) errors.push('parentId обязателен для mode: parent');
+            else ids.push(sc.parentId);
+        }
+        if (sc.opening && !ids.includes(sc.opening.student)) errors.push('opening.student: неизвестный ученик');
+
+        const stages = Array.isArray(sc.stages) ? sc.stages : [];
+        if (!stages.length) errors.push('stages: нужен хотя бы один этап');
+        const stageIds = stages.map(st => st && st.id);
+        if (new Set(stageIds).size !== stageIds.length) errors.push('stages: id этапов должны быть уникальны');
+        stages.forEach((st, i) => {
+            const at = `stages[${i}]`;
+            if (!st || typeof st.id !== 'string' || typeof st.title !== 'string') { errors.push(`${at}: нужны id и title`); return; }
+            if (st.next !== undefined && !stageIds.includes(st.next)) errors.push(`${at}.next: неизвестный этап «${st.next}»`);
+            if (st.exit) errors.push(...conditionErrors(st.exit, ids, stageIds, `${at}.exit`));
+            (st.branches || []).forEach((b, j) => {
+                if (!stageIds.includes(b && b.to)) errors.push(`${at}.branches[${j}].to: неизвестный этап`);
+                errors.push(...conditionErrors(b && b.when, ids, stageIds, `${at}.branches[${j}].when`));
+            });
+            const incidentIds = new Set();
+            (st.incidents || []).forEach((inc, j) => {
+                const ip = `${at}.incidents[${j}]`;
+                if (!inc || typeof inc.id !== 'string' || incidentIds.has(inc.id)) errors.push(`${ip}: нужен уникальный id`);
+                else incidentIds.add(inc.id);
+                if (!inc || !ids.includes(inc.student)) errors.push(`${ip}.student: неизвестный ученик`);
+                if (!inc || (typeof inc.text === 'string') === INCIDENT_EVENTS.includes(inc.event)) {
+                    errors.push(`${ip}: нужен либо text, либо event (${INCIDENT_EVENTS.join(' / ')})`);
+                }
+                if (inc && inc.when) errors.push(...conditionErrors(inc.when, ids, stageIds, `${ip}.when`));
+            });
+        });
+        for (const key of ['checklist', 'violations']) {
+            if (sc[key] === undefined) continue;
+            if (!Array.isArray(sc[key])) { errors.push(`${key}: список`); continue; }
+            const seen = new Set();
+            sc[key].forEach((c, i) => {
+                if (!c || typeof c.id !== 'string' || seen.has(c.id)) errors.push(`${key}[${i}]: нужен уникальный id`);
+                else seen.add(c.id);
+                if (!c || typeof c.label !== 'string' || !c.label.trim()) errors.push(`${key}[${i}]: нужен label`);
+                errors.push(...conditionErrors(c && c.when, ids, stageIds, `${key}[${i}].when`));
+            });
+        }
+        const usesChecklist = JSON.stringify([sc.win, sc.lose, stages]).includes('"checklist":true');
+        if (usesChecklist && !(sc.checklist || []).length) errors.push('условие { checklist: true } без checklist');
+        if (sc.win) errors.push(...conditionErrors(sc.win, ids, stageIds, 'win'));
+        if (sc.lose) errors.push(...conditionErrors(sc.lose, ids, stageIds, 'lose'));
+        return errors;
+    }
+
+    // ── Прогон сцены ──
+
+    /**
+     * Новый прогон сценария. Состояние прогона — обычный объект: симулятор хранит его до конца сцены.
+     */
+    function createRun(sc, now = Date.now()) {
+        const first = sc.stages[0].id;
+        return {
+            scenarioId: sc.id,
+            scenario: sc,
+            stage: first,
+            path: [first],          // пройденные этапы (для отчёта)
+            startedAt: now,
+            stageStartedAt: now,
+            turns: 0,
+            stageTurns: 0,
+            cues: [],               // маркеры реплик учителя за всю сцену
+            stageCues: [],          // ...и на текущем этапе
+            lastTurn: null,         // { type, tone } разбора последней реплики — до смены этапа
+            fired: [],              // сработавшие инциденты ('этап:id')
+            goal: goalVerdict(sc),  // прогресс к цели (evaluateGoal), null — у сценария нет checklist
+            outcome: null           // { result: 'win' | 'lose', at }
+        };
+    }
+
+    /**
+     * Вердикт по цели — общий для живого трекера (evaluateGoal) и итоговой оценки (/api/session-analysis).
+     * @param {string[]} met — id выполненных пунктов checklist (неизвестные отбрасываются)
+     * @param {string[]} violated — id случившихся нарушений
+     * @returns {{achieved: boolean, progress: number, met: string[], violated: string[],
+     *            items: Array<{id, label, met}>, violations: Array<{id, label}>}|null} null — у сценария нет checklist
+     */
+    function goalVerdict(sc, met = [], violated = []) {
+        const checklist = (sc && sc.checklist) || [];
+        if (!checklist.length) return null;
+        const done = checklist.filter(c => met.includes(c.id));
+        const hit = (sc.violations || []).filter(v => violated.includes(v.id));
+        return {
+            achieved: done.length === checklist.length && !hit.length,
+            progress: Math.round(done.length / checklist.length * 100), // 0–100
+            met: done.map(c => c.id),
+            violated: hit.map(v => v.id),
+            items: checklist.map(c => ({ id: c.id, label: c.label, met: done.includes(c) })),
+            violations: hit.map(v => ({ id: v.id, label: v.label }))
+        };
+    }
+
+    // Реплика учителя: маркеры по тексту + разбор Ко-Пилота (мутирует run)
+    function teacherTurn(run, text, analysis) {
+        if (!run || run.outcome) return;
+        run.turns++;
+        run.stageTurns++;
+        const said = String(text || '');
+        for (const [cue, re] of Object.entries(TEACHER_CUES)) {
+            if (!re.test(said)) continue;
+            if (!run.cues.includes(cue)) run.cues.push(cue);
+            if (!run.stageCues.includes(cue)) run.stageCues.push(cue);
+        }
+        run.lastTurn = analysis ? { type: analysis.type, tone: analysis.tone } : null;
+    }
+
+    function compare(value, cond) {
+        if (typeof value !== 'number') return false;
+        if (typeof cond.lt === 'number' && !(value < cond.lt)) return false;
+        if (typeof cond.lte === 'number' && !(value <= cond.lte)) return false;
+        if (typeof cond.gt === 'number' && !(value > cond.gt)) return false;
+        if (typeof cond.gte === 'number' && !(value >= cond.gte)) return false;
+        return true;
+    }
+
+    const oneOf = (want, value) => want === undefined || (Array.isArray(want) ? want.includes(value) : want === value);
+
+    function test(cond, env) {
+        if (!cond) return false;
+        if (cond.all) return cond.all.every(c => test(c, env));
+        if (cond.any) return cond.any.some(c => test(c, env));
+        if (cond.not) return !test(cond.not, env);
+        if (cond.stage !== undefined) return env.run.stage === cond.stage;
+        if (cond.checklist !== undefined) return !!(env.run.goal && env.run.goal.achieved);
+        if (cond.cue !== undefined) return (cond.ever ? env.run.cues : env.run.stageCues).includes(cond.cue);
+        if (cond.turn !== undefined) {
+            const t = env.run.lastTurn;
+            return !!t && oneOf(cond.turn.type, t.type) && oneOf(cond.turn.tone, t.tone);
+        }
+        if (cond.student !== undefined) {
+            const ids = cond.student === 'any' || cond.student === 'all' ? env.studentIds : [cond.student];
+            const values = ids.map(id => env.states[id] ? env.states[id][cond.metric] : undefined);
+            if (!values.length) return false;
+            return cond.student === 'any' ? values.some(v => compare(v, cond)) : values.every(v => compare(v, cond));
+        }
+        if (CLIMATE_METRICS.includes(cond.metric)) return !!env.climate && compare(env.climate[cond.metric], cond);
+        return compare(env.metrics[cond.metric], cond);
+    }
+
+    function enterStage(run, stageId, now) {
+        run.stage = stageId;
+        run.path.push(stageId);
+        run.stageStartedAt = now;
+        run.stageTurns = 0;
+        run.stageCues = [];
+        run.lastTurn = null; // реплика, что увела на этап, не должна сразу же увести и с него
+    }
+
+    function envOf(run, { states = {}, studentIds = [], climate = null, now = Date.now() } = {}) {
+        return {
+            run, states, studentIds, climate,
+            metrics: {
+                elapsedSec: (now - run.startedAt) / 1000,
+                stageSec: (now - run.stageStartedAt) / 1000,
+                turns: run.turns,
+                stageTurns: run.stageTurns
+            }
+        };
+    }
+
+    /**
+     * Живой трекер цели: пересчитать пункты checklist и нарушения (мутирует run.goal).
+     * Вызывается после каждой реплики учителя — до tick, пока разбор реплики (lastTurn) не сброшен сменой этапа.
+     * ctx — как у tick. После исхода сцены вердикт не меняется.
+     */
+    function evaluateGoal(run, ctx) {
+        if (!run || !run.goal || run.outcome) return run ? run.goal : null;
+        const sc = run.scenario;
+        const env = envOf(run, ctx);
+        const met = sc.checklist.filter(c => (c.sticky && run.goal.met.includes(c.id)) || test(c.when, env)).map(c => c.id);
+        const violated = (sc.violations || []).filter(v => run.goal.violated.includes(v.id) || test(v.when, env)).map(v => v.id);
+        run.goal = goalVerdict(sc, met, violated);
+        return run.goal;
+    }
+
+    /**
+     * Шаг прогона: исход, переход этапа или один инцидент (мутирует run).
+     * Вызывается по таймеру урока и после разбора каждой реплики учителя.
+     * @param {Object} ctx
+     * @param {Object<string, {mood, understanding, engagement}>} ctx.states — состояния по id ученика
+     * @param {Array} ctx.studentIds — ученики сцены (для student: 'any' | 'all')
+     * @param {{noise, cohesion, authority}|null} ctx.climate
+     * @param {number} [ctx.now]
+     * @returns {Array<{type: 'stage', stage} | {type: 'incident', incident} | {type: 'outcome', result, text}>}
+     */
+    function tick(run, ctx = {}) {
+        if (!run || run.outcome) return [];
+        const sc = run.scenario;
+        const now = ctx.now ?? Date.now();
+        const env = envOf(run, { ...ctx, now });
+
+        // Провал проверяем раньше победы: сорванный урок не засчитывается, даже если цель формально достигнута
+        for (const [result, cond, text] of [['lose', sc.lose, sc.loseText], ['win', sc.win, sc.winText]]) {
+            if (cond && test(cond, env)) {
+                run.outcome = { result, at: now };
+                return [{ type: 'outcome', result, text: text || '' }];
+            }
+        }
+
+        const stage = stageOf(sc, run.stage);
+        const pending = (stage.incidents || []).filter(inc => !run.fired.includes(`${stage.id}:${inc.id}`));
+        // Не больше одного вброса за шаг — инциденты не сыплются пачкой
+        const fire = (inc) => {
+            run.fired.push(`${stage.id}:${inc.id}`);
+            return [{ type: 'incident', incident: inc }];
+        };
+        const onEntry = pending.find(inc => !inc.when);
+        if (onEntry) return fire(onEntry);
+
+        const branch = (stage.branches || []).find(b => test(b.when, env));
+        let nextId = branch ? branch.to : null;
+        if (!nextId && stage.exit && test(stage.exit, env)) {
+            nextId = stage.next || (sc.stages[sc.stages.indexOf(stage) + 1] || {}).id || null;
+        }
+        if (nextId) {
+            enterStage(run, nextId, now);
+            return [{ type: 'stage', stage: stageOf(sc, nextId) }]; // инциденты нового этапа — со следующего шага
+        }
+
+        const due = pending.find(inc => test(inc.when, env));
+        return due ? fire(due) : [];
+    }
+
+    global.Scenarios = {
+        TEACHER_CUES, INCIDENT_EVENTS, STUDENT_METRICS, CLIMATE_METRICS, RUN_METRICS, REPORT_CRITERIA,
+        get, list, useOrgDrills, customDrill, customSpec, stageOf, stageFocus, validateScenario,
+        createRun, teacherTurn, goalVerdict, evaluateGoal, tick
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,180 @@
+/**
+ * Движок состояния учеников: настроение, понимание, вовлечённость (шкалы 0–10).
+ *
+ * Состояние меняется не по подстрокам реплики, а по её разбору Ко-Пилотом (/api/copilot):
+ * тип реплики (type), тон (tone) и риск (risk — грубость, обесценивание) — плюс адресат:
+ *   direct — ученика назвали по имени (или он единственный собеседник, как родитель);
+ *   class  — реплика ко всему классу;
+ *   other  — обращались к другому ученику, этот слышит со стороны.
+ *
+ * Сдвиг = (эффект типа + эффект тона) с поправкой на психотип. Психотип задаёт множители
+ * отдельно для роста (up) и падения (down) каждой шкалы; отрицательный множитель меняет знак
+ * («Хулиган» на резкий тон не сникает, а заводится). Сочетание психотипов — среднее множителей.
+ * Невербальные действия учителя (js/teacher-actions.js) сдвигают шкалы по ACTION_EFFECTS с теми же
+ * множителями психотипов; адресат действия, как и названный по имени, считается замеченным.
+ * Таблицы открыты для настройки: правьте числа здесь, логика от них не зависит.
+ */
+(function (global) {
+    const MIN = 0, MAX = 10;
+    const IGNORED_MS = 2 * 60_000;   // ученика не замечают дольше 2 минут — вовлечённость тает
+    const IGNORED_DELTA = -0.3;      // за каждую реплику учителя мимо него
+    const RISK_FACTOR = 1.3;         // негативный тон с названным риском бьёт сильнее
+    const MAX_STEP = 3;              // одна реплика не сдвигает шкалу больше чем на 3
+
+    // Эффект типа реплики: { direct, class, other } → { u: понимание, m: настроение, e: вовлечённость }
+    const TYPE_EFFECTS = {
+        open_question:   { direct: { u: 0.5, m: 0,    e: 1 },   class: { u: 0.3, m: 0,    e: 0.5 }, other: { u: 0.1, m: 0,    e: 0 } },
+        closed_question: { direct: { u: 0.2, m: 0,    e: 0.3 }, class: { u: 0.1, m: 0,    e: 0.1 }, other: { u: 0,   m: 0,    e: 0 } },
+        clarifying:      { direct: { u: 0.5, m: 0.5,  e: 0.8 }, class: { u: 0.2, m: 0,    e: 0.2 }, other: { u: 0.1, m: 0,    e: 0 } },
+        maieutic:        { direct: { u: 1,   m: 0.5,  e: 0.8 }, class: { u: 0.5, m: 0.2,  e: 0.3 }, other: { u: 0.2, m: 0,    e: 0 } },
+        explanation:     { direct: { u: 1,   m: 0,    e: 0 },   class: { u: 0.8, m: 0,    e: -0.1 }, other: { u: 0.3, m: 0,   e: -0.2 } },
+        directive:       { direct: { u: 0,   m: -0.2, e: 0.3 }, class: { u: 0,   m: -0.1, e: 0.2 }, other: { u: 0,   m: 0,    e: 0 } },
+        discipline:      { direct: { u: 0,   m: -0.8, e: 0.2 }, class: { u: 0,   m: -0.3, e: 0.3 }, other: { u: 0,   m: -0.1, e: 0.2 } },
+        other:           { direct: { u: 0,   m: 0,    e: 0 },   class: { u: 0,   m: 0,    e: 0 },   other: { u: 0,   m: 0,    e: 0 } }
+    };
+
+    // Эффект тона — поверх типа
+    const TONE_EFFECTS = {
+        positive: { direct: { u: 0,    m: 1,    e: 0.5 }, class: { u: 0, m: 0.5,  e: 0.2 },  other: { u: 0, m: 0.1,  e: 0 } },
+        neutral:  { direct: { u: 0,    m: 0,    e: 0 },   class: { u: 0, m: 0,    e: 0 },    other: { u: 0, m: 0,    e: 0 } },
+        negative: { direct: { u: -0.3, m: -1.5, e: -1 },  class: { u: 0, m: -0.8, e: -0.5 }, other: { u: 0, m: -0.3, e: -0.2 } }
+    };
+
+    // Эффект невербального действия учителя: { direct, class, other } → { u, m, e }
+    const ACTION_EFFECTS = {
+        approach:  { direct: { u: 0,   m: -0.2, e: 1 },   class: { u: 0,   m: 0, e: 0.2 }, other: { u: 0, m: 0, e: 0.2 } },
+        look:      { direct: { u: 0,   m: -0.1, e: 0.6 }, class: { u: 0,   m: 0, e: 0.1 }, other: { u: 0, m: 0, e: 0.1 } },
+        pause:     { direct: { u: 0,   m: 0,    e: 0.4 }, class: { u: 0,   m: 0, e: 0.4 }, other: { u: 0, m: 0, e: 0.2 } },
+        board:     { direct: { u: 0.5, m: 0,    e: 0.2 }, class: { u: 0.5, m: 0, e: 0.2 }, other: { u: 0.3, m: 0, e: 0.1 } },
+        reseat:    { direct: { u: 0,   m: -0.8, e: 0.6 }, class: { u: 0,   m: 0, e: 0.2 }, other: { u: 0, m: 0, e: 0.2 } },
+        worksheet: { direct: { u: 0.3, m: 0,    e: 0.6 }, class: { u: 0.3, m: 0, e: 0.6 }, other: { u: 0.2, m: 0, e: 0.3 } }
+    };
+
+    const ONE = { u: 1, m: 1, e: 1 };
+
+    // Чувствительность психотипов: up — множитель роста, down — множитель падения по шкалам
+    const PROFILES = {
+        'Провокатор':    { up: { u: 1,   m: 0.6, e: 0.8 }, down: { u: 1,   m: 0.6, e: -0.6 } }, // резкость — повод спорить дальше
+        'Апатичный':     { up: { u: 0.6, m: 0.7, e: 0.5 }, down: { u: 1,   m: 0.5, e: 1.2 } },
+        'Перфекционист': { up: { u: 1.3, m: 1.2, e: 1 },   down: { u: 1.3, m: 1.5, e: 1.2 } },
+        'Лидер':         { up: { u: 1,   m: 1,   e: 1.3 }, down: { u: 0.8, m: 0.8, e: 0.8 } },
+        'Тревожный':     { up: { u: 1,   m: 1.3, e: 0.8 }, down: { u: 1.5, m: 2,   e: 1.6 } }, // резкий тон выбивает из колеи
+        'Клоун':         { up: { u: 0.8, m: 1,   e: 1.2 }, down: { u: 0.8, m: 0.7, e: -0.4 } }, // на окрик отвечает шуткой на публику
+        'Отличник':      { up: { u: 1.2, m: 1,   e: 1 },   down: { u: 0.8, m: 1.1, e: 0.7 } },
+        'Спортсмен':     { up: { u: 0.8, m: 1,   e: 1.1 }, down: { u: 1,   m: 0.8, e: 1 } },
+        'Мечтатель':     { up: { u: 0.8, m: 1.1, e: 0.7 }, down: { u: 1,   m: 1.2, e: 1.3 } },
+        'Хулиган':       { up: { u: 0.7, m: 0.8, e: 0.8 }, down: { u: 0.5, m: 0.4, e: -0.8 } }, // давление — вызов, а не повод сникнуть
+        'Активист':      { up: { u: 1,   m: 1,   e: 1.2 }, down: { u: 1,   m: 1.2, e: 0.8 } },
+        'Тихоня':        { up: { u: 1,   m: 1.2, e: 0.7 }, down: { u: 1.2, m: 1.5, e: 1.5 } },
+        'Сплетник':      { up: { u: 0.8, m: 1,   e: 1 },   down: { u: 1,   m: 1,   e: 1 } },
+        'Ботаник':       { up: { u: 1.3, m: 0.9, e: 1.1 }, down: { u: 0.7, m: 1.2, e: 1 } },
+        'Популярный':    { up: { u: 0.8, m: 0.9, e: 0.9 }, down: { u: 1,   m: 1.4, e: 1.2 } }, // больно, когда отчитывают при всех
+        'Телефонщик':    { up: { u: 0.6, m: 0.8, e: 0.5 }, down: { u: 1,   m: 1.2, e: 1.4 } }
+    };
+
+    const TYPES = Object.keys(TYPE_EFFECTS);
+    const TONES = Object.keys(TONE_EFFECTS);
+
+    function create(now = Date.now()) {
+        return {
+            mood: 5,
+            understanding: 5,
+            engagement: 5,
+            lastInteraction: null, // когда к ученику обращались по имени
+            since: now             // начало урока — точка отсчёта «не замечают», пока не обращались
+        };
+    }
+
+    // Адресат реплики для конкретного ученика
+    function addressee(studentId, addressedId) {
+        if (addressedId === null || addressedId === undefined) return 'class';
+        return studentId === addressedId ? 'direct' : 'other';
+    }
+
+    // Множители психотипов (среднее по сочетанию); неизвестные и пустой список — нейтральный профиль
+    function profileOf(types) {
+        const list = (types || []).map(t => PROFILES[t]).filter(Boolean);
+        if (!list.length) return { up: ONE, down: ONE };
+        const avg = (side, k) => list.reduce((s, p) => s + p[side][k], 0) / list.length;
+        const side = (name) => ({ u: avg(name, 'u'), m: avg(name, 'm'), e: avg(name, 'e') });
+        return { up: side('up'), down: side('down') };
+    }
+
+    const round1 = (n) => Math.round(n * 10) / 10;
+
+    // Сырой сдвиг { u, m, e } с поправкой на психотип и ограничением шага
+    function shaped(raw, types) {
+        const profile = profileOf(types);
+        const shift = (k) => {
+            const d = raw[k] * (raw[k] >= 0 ? profile.up[k] : profile.down[k]);
+            return round1(Math.max(-MAX_STEP, Math.min(MAX_STEP, d)));
+        };
+        return { understanding: shift('u'), mood: shift('m'), engagement: shift('e') };
+    }
+
+    /**
+     * Сдвиг состояния ученика от одной реплики учителя.
+     * @param {{type?: string, tone?: string, risk?: string}|null} analysis — разбор Ко-Пилота (null — разбора нет)
+     * @param {'direct'|'class'|'other'} who
+     * @param {string[]} types — психотипы ученика
+     * @returns {{understanding: number, mood: number, engagement: number}}
+     */
+    function deltas(analysis, who, types) {
+        const a = analysis || {};
+        const type = TYPES.includes(a.type) ? a.type : 'other';
+        const tone = TONES.includes(a.tone) ? a.tone : 'neutral';
+        const hasRisk = typeof a.risk === 'string' && a.risk.trim().length > 0;
+        const base = TYPE_EFFECTS[type][who] || TYPE_EFFECTS.other.class;
+        const toneFx = TONE_EFFECTS[tone][who] || TONE_EFFECTS.neutral.class;
+        const toneK = tone === 'negative' && hasRisk ? RISK_FACTOR : 1;
+        const raw = (k) => base[k] + toneFx[k] * toneK;
+        return shaped({ u: raw('u'), m: raw('m'), e: raw('e') }, types);
+    }
+
+    /**
+     * Сдвиг состояния ученика от невербального действия учителя.
+     * @param {string} actionId — ключ ACTION_EFFECTS (js/teacher-actions.js)
+     * @param {'direct'|'class'|'other'} who
+     * @returns {{understanding: number, mood: number, engagement: number}}
+     */
+    function actionDeltas(actionId, who, types) {
+        const fx = ACTION_EFFECTS[actionId];
+        if (!fx) return { understanding: 0, mood: 0, engagement: 0 };
+        return shaped(fx[who] || fx.class, types);
+    }
+
+    const clamp = (n) => Math.max(MIN, Math.min(MAX, n));
+
+    /**
+     * Применить реплику учителя к состоянию ученика (мутирует state).
+     * @returns {{understanding: number, mood: number, engagement: number}} итоговый сдвиг
+     */
+    function applyTurn(state, analysis, who, types, now = Date.now()) {
+        const d = deltas(analysis, who, types);
+        if (who === 'direct') {
+            state.lastInteraction = now;
+        } else if (now - (state.lastInteraction || state.since || now) > IGNORED_MS) {
+            d.engagement = round1(d.engagement + IGNORED_DELTA);
+        }
+        return applyDeltas(state, d);
+    }
+
+    // Применить действие учителя (мутирует state); адресат действия — замечен, как названный по имени
+    function applyAction(state, actionId, who, types, now = Date.now()) {
+        if (who === 'direct') state.lastInteraction = now;
+        return applyDeltas(state, actionDeltas(actionId, who, types));
+    }
+
+    // Прибавить сдвиг к состоянию с обрезкой по шкале (мутирует state)
+    function applyDeltas(state, d) {
+        state.understanding = clamp(round1(state.understanding + (d.understanding || 0)));
+        state.mood = clamp(round1(state.mood + (d.mood || 0)));
+        state.engagement = clamp(round1(state.engagement + (d.engagement || 0)));
+        return d;
+    }
+
+    global.StudentState = {
+        TYPE_EFFECTS, TONE_EFFECTS, ACTION_EFFECTS, PROFILES, IGNORED_MS,
+        create, addressee, profileOf, deltas, actionDeltas, applyTurn, applyAction, applyDeltas
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,49 @@
+/**
+ * Невербальные действия учителя: подойти ближе, взгляд, пауза, запись на доске, пересадить, раздать задание.
+ *
+ * Управление классом — не только слова. Действие учителя — отдельная запись урока (role 'action'):
+ *   — в истории симулятора и conversationHistory, рядом с репликами, но не как реплика;
+ *   — в серверной копии урока (api/_sessions.js): клиент присылает id действия и имя адресата,
+ *     текст записи собирает describe() из каталога — произвольный текст в промпты не попадает;
+ *   — в промптах учеников (строка «Учитель (действие)») и в отчёте директору, где действие
+ *     можно привести доказательством наравне с цитатой.
+ * Адресат: student — конкретный ученик (его выбирают в палитре), class — весь класс.
+ * reacts — адресат отвечает на действие репликой (/api/student-turn, teacherAction).
+ * Сдвиги состояния учеников — StudentState.ACTION_EFFECTS, атмосферы класса — ClassDynamics.ACTION_EFFECTS.
+ */
+(function (global) {
+    const ACTIONS = {
+        approach:  { emoji: '🚶', label: 'Подойти ближе',     target: 'student', reacts: true,  text: 'молча подходит и встаёт рядом с партой ученика' },
+        look:      { emoji: '👀', label: 'Взгляд',            target: 'student', reacts: false, text: 'молча смотрит на ученика и выдерживает взгляд' },
+        pause:     { emoji: '⏸️', label: 'Пауза',             target: 'class',   reacts: false, text: 'замолкает и выдерживает паузу, глядя на класс' },
+        board:     { emoji: '🖊️', label: 'Записать на доске', target: 'class',   reacts: false, text: 'записывает ключевую мысль на доске' },
+        reseat:    { emoji: '🔀', label: 'Пересадить',        target: 'student', reacts: true,  text: 'пересаживает ученика за первую парту' },
+        worksheet: { emoji: '📄', label: 'Раздать задание',   target: 'class',   reacts: false, text: 'раздаёт карточки с заданием' }
+    };
+
+    const IDS = Object.keys(ACTIONS);
+
+    function get(id) {
+        return Object.hasOwn(ACTIONS, id) ? { id, ...ACTIONS[id] } : null;
+    }
+
+    function list() {
+        return IDS.map(get);
+    }
+
+    /**
+     * Текст записи урока: «пересаживает ученика за первую парту (Максим)».
+     * @param {string} id
+     * @param {string|null} targetName — имя адресата (для действий с target 'student')
+     * @returns {string|null} null — действие неизвестно или не указан адресат
+     */
+    function describe(id, targetName) {
+        const a = get(id);
+        if (!a) return null;
+        if (a.target === 'class') return a.text;
+        const name = typeof targetName === 'string' ? targetName.replace(/\s+/g, ' ').trim().slice(0, 40) : '';
+        return name ? `${a.text} (${name})` : null;
+    }
+
+    global.TeacherActions = { ACTIONS, IDS, get, list, describe };
+})(typeof window !== 'undefined' ? window : globalThis);
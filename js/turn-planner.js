@@ -0,0 +1,185 @@
+/**
+ * Планировщик хода класса: кто и в каком порядке реагирует на реплику учителя.
+ *
+ * Раньше на каждую реплику отвечал ровно один ученик (названный или случайный). Планировщик
+ * возвращает список «тактов» (beats), которые симулятор проигрывает по очереди:
+ *   { studentId, kind: 'reply' }                     — ответ учителю (/api/student-turn, kind 'reply');
+ *   { studentId, kind: 'peer', to, brief }           — реплика однокласснику на такт to (kind 'peer'),
+ *                                                      brief — короткая реакция: смешок, «ооо», шёпот.
+ * Правила:
+ *   — названный ученик отвечает первым; остальные могут только отреагировать на его ответ;
+ *   — реплика всему классу: отвечают добровольцы (0–MAX_VOLUNTEERS) по готовности — вовлечённость
+ *     ученика × охотность психотипа (EAGER), вопрос поднимает руки, резкий тон — опускает;
+ *     на вопрос никто не вызвался или класс притих после замечания — пустой план (SILENT_OK),
+ *     на прочие реплики без добровольцев отзывается самый готовый ученик;
+ *   — после ответа спорщики и «заразные» психотипы (PEER) могут ответить ему, тем охотнее,
+ *     чем шумнее класс и ниже авторитет; после ответа «Клоуна» класс отзывается смешком (brief);
+ *   — каждый ученик появляется в плане не больше одного раза: кто уже отозвался смешком или ответил
+ *     однокласснику, учителю в этом ходе не отвечает;
+ *   — общий лимит тактов растёт со сложностью класса (MAX_BEATS).
+ * Встреча с родителем и урок с одним учеником — всегда один ответ.
+ * Встреча на несколько участников (js/meetings.js, режим 'parent'): отвечает названный участник, а на
+ * реплику всем — самый «накалённый» (напористость interject × низкое настроение); затем другие участники
+ * могут ответить ему или друг другу (до MAX_MEETING_PEER) — тем охотнее, чем выше накал и сложность.
+ */
+(function (global) {
+    // Общий лимит тактов на одну реплику учителя по сложности класса (1 — спокойный, 5 — стресс-тест)
+    const MAX_BEATS = { 1: 2, 2: 2, 3: 3, 4: 3, 5: 4 };
+    const MAX_VOLUNTEERS = 2;
+    const MAX_PEER = 2;
+
+    // Охотность ответить учителю без вызова (1 — обычный ученик)
+    const EAGER = {
+        'Отличник': 1.6, 'Активист': 1.6, 'Лидер': 1.4, 'Ботаник': 1.3, 'Перфекционист': 1.2,
+        'Клоун': 1.2, 'Провокатор': 1.1, 'Популярный': 1, 'Спортсмен': 0.8, 'Сплетник': 0.8,
+        'Хулиган': 0.6, 'Мечтатель': 0.5, 'Тревожный': 0.4, 'Апатичный': 0.3, 'Телефонщик': 0.3, 'Тихоня': 0.2
+    };
+
+    // Склонность ответить однокласснику: поспорить, подколоть, поддержать
+    const PEER = {
+        'Провокатор': 0.4, 'Клоун': 0.35, 'Хулиган': 0.3, 'Сплетник': 0.3, 'Популярный': 0.25,
+        'Лидер': 0.2, 'Отличник': 0.15, 'Активист': 0.15, 'Спортсмен': 0.15, 'Перфекционист': 0.1,
+        'Ботаник': 0.1, 'Телефонщик': 0.05, 'Мечтатель': 0.05, 'Апатичный': 0.05, 'Тревожный': 0.03, 'Тихоня': 0.02
+    };
+
+    // Готовность поднять руку по типу реплики учителя (разбор Ко-Пилота)
+    const TYPE_INVITE = {
+        open_question: 1.3, maieutic: 1.2, clarifying: 1, closed_question: 1.1,
+        explanation: 0.5, directive: 0.6, discipline: 0.2, other: 0.7
+    };
+    const NEGATIVE_TONE = 0.5; // после окрика добровольцев меньше
+    // Реплики, после которых молчание класса — честный исход, а не сбой
+    const SILENT_OK = ['open_question', 'closed_question', 'maieutic', 'clarifying', 'discipline'];
+
+    const CHORUS_P = 0.5;      // шанс, что класс отзовётся на ответ «Клоуна»
+    const MAX_MEETING_PEER = 2;
+
+    const clamp01 = (n) => Math.max(0, Math.min(1, n));
+
+    function avgOf(table, types, fallback) {
+        const list = (types || []).map(t => table[t]).filter(v => v !== undefined);
+        return list.length ? list.reduce((s, v) => s + v, 0) / list.length : fallback;
+    }
+
+    /**
+     * Вероятность, что ученик сам ответит на реплику всему классу.
+     * @param {{engagement?: number, mood?: number}} state
+     */
+    function willingness(types, state, analysis) {
+        const a = analysis || {};
+        const s = state || {};
+        const invite = TYPE_INVITE[a.type] ?? TYPE_INVITE.other;
+        const tone = a.tone === 'negative' ? NEGATIVE_TONE : 1;
+        const engaged = ((s.engagement ?? 5) + (s.mood ?? 5) * 0.5) / 15; // 0..1
+        return clamp01(0.35 * avgOf(EAGER, types, 1) * invite * tone * (0.3 + engaged));
+    }
+
+    // Вероятность реплики однокласснику: шум разгоняет, авторитет учителя сдерживает
+    function peerChance(types, climate) {
+        const c = climate || { noise: 4, cohesion: 5, authority: 5 };
+        return clamp01(avgOf(PEER, types, 0.1) * (0.4 + c.noise / 10) * (1.3 - c.authority * 0.06));
+    }
+
+    // Накал участника встречи: напористость, усиленная плохим настроением
+    function heat(s, states) {
+        const mood = (states[s.id] && states[s.id].mood) ?? 5;
+        return (s.interject ?? 0.3) * (1 + (5 - mood) / 10);
+    }
+
+    // Встреча на несколько участников: ответ учителю и перепалка участников между собой
+    function meetingPlan(list, states, named, difficulty, rng) {
+        const first = named || list.reduce((best, s) => (heat(s, states) > heat(best, states) ? s : best));
+        const beats = [{ studentId: first.id, kind: 'reply' }];
+        const cap = MAX_BEATS[difficulty] ?? MAX_BEATS[3];
+        let last = first;
+        for (let i = 0; i < MAX_MEETING_PEER && beats.length < cap; i++) {
+            // Отвечает тот, кто только что не говорил: чаще — самый задетый
+            const next = list
+                .filter(s => s.id !== last.id)
+                .map(s => ({ s, p: clamp01(heat(s, states) * (0.5 + difficulty / 10)), roll: rng() }))
+                .filter(c => c.roll < c.p)
+                .sort((x, y) => (y.p - y.roll) - (x.p - x.roll))[0];
+            if (!next) break;
+            beats.push({ studentId: next.s.id, kind: 'peer', to: last.id, brief: false });
+            last = next.s;
+        }
+        return beats;
+    }
+
+    /**
+     * План реакций класса на одну реплику учителя.
+     * @param {Object} p
+     * @param {Array<{id, types: string[], interject?: number}>} p.students — interject — у участников встречи
+     * @param {Object<string, {mood, understanding, engagement}>} p.states — состояния по id
+     * @param {{noise, cohesion, authority}|null} p.climate — атмосфера класса (js/class-dynamics.js)
+     * @param {*} p.addressedId — id названного ученика или null (реплика всему классу)
+     * @param {{type?, tone?}|null} p.analysis — разбор Ко-Пилота (null — разбора нет)
+     * @param {number} [p.difficulty]
+     * @param {string} [p.mode] — 'class' | 'parent' | 'colleague' (в разговоре с коллегой собеседник один)
+     * @param {() => number} [p.rng]
+     * @returns {Array<{studentId, kind: 'reply'|'peer', to?, brief?}>}
+     */
+    function plan({ students, states = {}, climate = null, addressedId = null, analysis = null, difficulty = 3, mode = 'class', rng = Math.random }) {
+        const list = students || [];
+        if (!list.length) return [];
+        const named = list.find(s => s.id === addressedId) || null;
+        if (list.length === 1) return [{ studentId: (named || list[0]).id, kind: 'reply' }];
+        if (mode === 'parent') return meetingPlan(list, states, named, difficulty, rng);
+
+        const cap = MAX_BEATS[difficulty] ?? MAX_BEATS[3];
+        const beats = [];
+        const spoke = new Set();
+        let peers = 0;
+
+        // Кто отвечает учителю
+        let repliers;
+        if (named) {
+            repliers = [named];
+        } else {
+            const candidates = list.map(s => ({ s, p: willingness(s.types, states[s.id], analysis), roll: rng() }));
+            repliers = candidates
+                .filter(c => c.roll < c.p)
+                .sort((x, y) => (y.p - y.roll) - (x.p - x.roll)) // самые уверенные — первыми
+                .slice(0, MAX_VOLUNTEERS)
+                .map(c => c.s);
+            if (!repliers.length && !SILENT_OK.includes(analysis && analysis.type)) {
+                repliers = [candidates.reduce((best, c) => (c.p > best.p ? c : best)).s];
+            }
+        }
+
+        for (const r of repliers) {
+            if (beats.length >= cap) break;
+            if (spoke.has(r.id)) continue; // уже ответил однокласснику — второй раз подряд не говорит
+            beats.push({ studentId: r.id, kind: 'reply' });
+            spoke.add(r.id);
+            if (peers >= MAX_PEER || beats.length >= cap) continue;
+
+            // Ответ «Клоуна» — класс отзывается коротким смешком
+            if ((r.types || []).includes('Клоун') && rng() < CHORUS_P * (0.5 + (climate ? climate.noise : 4) / 10)) {
+                const audience = list.filter(s => !spoke.has(s.id));
+                if (audience.length) {
+                    const who = audience[Math.floor(rng() * audience.length)];
+                    beats.push({ studentId: who.id, kind: 'peer', to: r.id, brief: true });
+                    spoke.add(who.id);
+                    peers++;
+                    continue;
+                }
+            }
+
+            // Спорщик или «заразный» психотип отвечает однокласснику
+            const challenger = list
+                .filter(s => !spoke.has(s.id))
+                .map(s => ({ s, p: peerChance(s.types, climate), roll: rng() }))
+                .filter(c => c.roll < c.p)
+                .sort((x, y) => (y.p - y.roll) - (x.p - x.roll))[0];
+            if (challenger) {
+                beats.push({ studentId: challenger.s.id, kind: 'peer', to: r.id, brief: false });
+                spoke.add(challenger.s.id);
+                peers++;
+            }
+        }
+        return beats.slice(0, cap);
+    }
+
+    global.TurnPlanner = { MAX_BEATS, EAGER, PEER, TYPE_INVITE, SILENT_OK, MAX_MEETING_PEER, willingness, peerChance, plan };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -194,11 +194,13 @@ class UserManager {
             });
 
             // Update user progress
+            // degraded: анализ не получен в корректном виде — балла нет, средние и навыки не трогаем
+            const scored = !sessionData.degraded && typeof sessionData.score === 'number';
             const currentProgress = this.userDoc.progress;
-            const newTotalSessions = currentProgress.totalSessions + 1;
-            const newAverageScore = Math.round(
-                (currentProgress.averageScore * currentProgress.totalSessions + sessionData.score) / newTotalSessions
-            );
+            const newTotalSessions = scored ? currentProgress.totalSessions + 1 : currentProgress.totalSessions;
+            const newAverageScore = scored
+                ? Math.round((currentProgress.averageScore * currentProgress.totalSessions + sessionData.score) / newTotalSessions)
+                : currentProgress.averageScore;
 
             // Calculate streak
             const streakUpdate = this.calculateStreak(currentProgress.lastSessionDate);
@@ -209,11 +211,9 @@ class UserManager {
                     : 1;
 
             // Update skills
-            const newSkills = this.updateSkills(
-                this.userDoc.skills,
-                sessionData.skillsGained,
-                newTotalSessions
-            );
+            const newSkills = scored
+                ? this.updateSkills(this.userDoc.skills, sessionData.skillsGained, newTotalSessions)
+                : this.userDoc.skills;
 
             // Perform update
             await userRef.update({
@@ -559,15 +559,9 @@ class UserManager {
                 candidateName: String(candidateName || 'Кандидат').slice(0, 80),
                 candidateUid: this.currentUser.uid,
                 createdAt: firebase.firestore.FieldValue.serverTimestamp(),
-                verdict: report.verdict || null,
-                readiness: typeof report.readiness_percent === 'number' ? report.readiness_percent : null,
-                mode: report.mode || 'class',
-                difficulty: report.difficulty || 3,
-                certPassed: report.certification ? !!report.certification.passed : null,
-                attempt: Math.max(1, parseInt(report.attempt, 10) || 1),
-                assessment: report.assessment === true,
+                ...this.orgResultSummary(report),
                 outcome: null,
-                report: report
+                report: report // вместе с report.signature — руководитель проверит подпись сервера
             };
             const ref = await db.collection('orgs').doc(orgId)
                 .collection('candidateResults').add(doc);
@@ -578,6 +572,22 @@ class UserManager {
         }
     }
 
+    /**
+     * Поля строки результата, выведенные из отчёта. Дашборд сверяет их с подписанным
+     * отчётом: правка строки в обход отчёта — тоже подделка.
+     */
+    orgResultSummary(report) {
+        return {
+            verdict: report.verdict || null,
+            readiness: typeof report.readiness_percent === 'number' ? report.readiness_percent : null,
+            mode: report.mode || 'class',
+            difficulty: report.difficulty || 3,
+            certPassed: report.certification ? !!report.certification.passed : null,
+            attempt: Math.max(1, parseInt(report.attempt, 10) || 1),
+            assessment: report.assessment === true
+        };
+    }
+
     /** Список результатов команды (читает только владелец организации). */
     async listOrgResults() {
         try {
@@ -0,0 +1,45 @@
+/**
+ * Доска учителя: формулы, план урока, ключевые тезисы — то, что класс видит весь урок.
+ *
+ * Учитель пишет на доске и показывает её классу. Показанный вариант — снимок доски:
+ *   — отдельная запись урока (role 'board') в истории симулятора, conversationHistory и серверной
+ *     копии (api/_sessions.js) — её видят session-analysis и director-report (критерий explanation);
+ *   — текущий снимок уходит в /api/student-turn (lesson.board): ученики ссылаются на доску,
+ *     переписывают с неё (вместе с ошибками) и спрашивают о непонятном.
+ * Текст на доске — слова самого учителя, как и его реплики; normalize() держит лимиты одинаковыми
+ * в браузере и на сервере.
+ */
+(function (global) {
+    const MAX_CHARS = 600;
+    const MAX_LINES = 12;
+    const ERASED = '(доска стёрта)';
+
+    /**
+     * Привести текст доски к лимитам: строки сохраняются, управляющие символы и лишние пробелы — нет.
+     * @param {*} text
+     * @returns {string} '' — доска пуста
+     */
+    function normalize(text) {
+        if (typeof text !== 'string') return '';
+        return text
+            .split(/\r?\n/)
+            .map(line => line.replace(/[\u0000-\u001f\u007f]+/g, ' ').replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .slice(0, MAX_LINES)
+            .join('\n')
+            .slice(0, MAX_CHARS)
+            .trim();
+    }
+
+    // Текст записи урока: стёртая доска — тоже снимок, иначе в транскрипте «висит» старый
+    function snapshot(text) {
+        return normalize(text) || ERASED;
+    }
+
+    // Доска одной строкой — для транскриптов, где одна запись = одна строка
+    function inline(text) {
+        return normalize(text).split('\n').join(' / ');
+    }
+
+    global.Whiteboard = { MAX_CHARS, MAX_LINES, ERASED, normalize, snapshot, inline };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,50 @@
+// _cache.js: ключ результата адресуется содержимым урока, а не его форматированием.
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { resultKey, getResult, putResult } from '../api/_cache.js';
+
+const PROMPTS = { system: 'director-report@3' };
+const TRANSCRIPT = [
+    { role: 'teacher', content: 'Откройте тетради, пожалуйста.' },
+    { role: 'student', content: 'Петя: А зачем?' }
+];
+
+before(() => {
+    process.env.LLM_PROVIDER = 'mock';
+    delete process.env.RESULT_CACHE_DIR;
+});
+
+test('resultKey не зависит от пробелов, форм Unicode и порядка ключей контекста', () => {
+    const key = resultKey('director-report', { prompts: PROMPTS, transcript: TRANSCRIPT, context: { grade: 7, subject: 'история' } });
+    const messy = resultKey('director-report', {
+        prompts: PROMPTS,
+        transcript: [
+            { role: 'teacher', content: '  Откройте   тетради,\nпожалуйста. ' },
+            { role: 'student', content: 'Петя: А зачем?'.normalize('NFD') }
+        ],
+        context: { subject: 'история', grade: 7 }
+    });
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.equal(messy, key);
+});
+
+test('resultKey меняется вместе с промптом, транскриптом, контекстом и эндпоинтом', () => {
+    const base = { prompts: PROMPTS, transcript: TRANSCRIPT, context: { grade: 7 } };
+    const key = resultKey('director-report', base);
+    assert.notEqual(resultKey('director-report', { ...base, prompts: { system: 'director-report@4' } }), key);
+    assert.notEqual(resultKey('director-report', { ...base, transcript: TRANSCRIPT.slice(0, 1) }), key);
+    assert.notEqual(resultKey('director-report', { ...base, context: { grade: 8 } }), key);
+    assert.notEqual(resultKey('session-analysis', base), key);
+});
+
+test('getResult отдаёт копию сохранённого и не принимает чужие ключи', () => {
+    const key = resultKey('director-report', { prompts: PROMPTS, transcript: TRANSCRIPT, context: null });
+    assert.equal(getResult(key), null);
+    putResult(key, { verdict: 'recommended' });
+    const hit = getResult(key);
+    hit.value.verdict = 'changed';
+    assert.equal(getResult(key).value.verdict, 'recommended');
+    assert.equal(getResult('../etc/passwd'), null);
+    assert.equal(putResult('not-a-key', {}), null);
+});
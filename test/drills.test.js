@@ -0,0 +1,88 @@
+// _scenarios.js: пункты цели дрилла для промпта и вердикт по пунктам, отмеченным моделью.
+// /api/drills: запись своих дриллов — только с DRILLS_ADMIN_TOKEN.
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { drillChecks, drillVerdict } from '../api/_scenarios.js';
+import handler from '../api/drills.js';
+
+test('drillChecks: id и тексты пунктов — из каталога, без чужого прогресса', () => {
+    const checks = drillChecks('drill-meltdown');
+    assert.deepEqual(checks.items.map(i => i.id), ['quiet', 'authority', 'work']);
+    assert.deepEqual(checks.violations.map(v => v.id), ['shouting', 'threats']);
+    assert.ok(checks.items.every(i => typeof i.label === 'string' && !('met' in i)));
+    assert.equal(drillChecks('no-such-drill'), null);
+    assert.equal(drillChecks(Symbol.for('x')), null);
+});
+
+test('drillVerdict: все пункты без нарушений — цель достигнута', () => {
+    const v = drillVerdict('drill-meltdown', { met: ['quiet', 'authority', 'work'], violated: [] });
+    assert.equal(v.achieved, true);
+    assert.equal(v.progress, 100);
+});
+
+test('drillVerdict: нарушение или пропущенный пункт — не достигнута; чужие id отброшены', () => {
+    const hit = drillVerdict('drill-meltdown', { met: ['quiet', 'authority', 'work'], violated: ['shouting'] });
+    assert.equal(hit.achieved, false);
+
+    const partial = drillVerdict('drill-meltdown', { met: ['quiet', 'made-up', 42], violated: ['made-up'] });
+    assert.equal(partial.achieved, false);
+    assert.deepEqual(partial.met, ['quiet']);
+    assert.deepEqual(partial.violated, []);
+
+    assert.equal(drillVerdict('drill-meltdown', null), null);
+});
+
+// ── /api/drills ──
+
+before(() => {
+    delete process.env.DRILLS_DIR; // дриллы теста — только в памяти процесса
+});
+
+const SPEC = {
+    title: 'Опоздание', goal: 'Встретить опоздавшего без сцены', durationSec: 180, trains: ['communication'],
+    students: [{ name: 'Костя', types: ['Хулиган'] }]
+};
+
+function call(method, { token, body, query } = {}) {
+    const req = {
+        method, body, query: query || {},
+        headers: { 'x-org-id': 'org-test', ...(token ? { authorization: `Bearer ${token}` } : {}) },
+        socket: { remoteAddress: '127.0.0.1' }
+    };
+    const res = {
+        statusCode: 200, body: null,
+        setHeader() {},
+        status(code) { this.statusCode = code; return this; },
+        json(data) { this.body = data; return this; },
+        end() { return this; }
+    };
+    return Promise.resolve(handler(req, res)).then(() => res);
+}
+
+test('/api/drills: без DRILLS_ADMIN_TOKEN запись выключена, чтение открыто', async () => {
+    delete process.env.DRILLS_ADMIN_TOKEN;
+    assert.equal((await call('POST', { token: 'anything', body: { drill: SPEC } })).statusCode, 503);
+    const list = await call('GET');
+    assert.equal(list.statusCode, 200);
+    assert.deepEqual(list.body.drills, []);
+});
+
+test('/api/drills: запись только с верным токеном', async () => {
+    process.env.DRILLS_ADMIN_TOKEN = 'methodist-token';
+    try {
+        assert.equal((await call('POST', { body: { drill: SPEC } })).statusCode, 401);
+        assert.equal((await call('POST', { token: 'wrong', body: { drill: SPEC } })).statusCode, 401);
+
+        const saved = await call('POST', { token: 'methodist-token', body: { drill: SPEC } });
+        assert.equal(saved.statusCode, 200);
+        const id = saved.body.drill.id;
+        assert.deepEqual((await call('GET')).body.drills.map(d => d.id), [id]);
+
+        assert.equal((await call('DELETE', { query: { id } })).statusCode, 401);
+        assert.equal((await call('DELETE', { token: 'methodist-token', query: { id } })).statusCode, 200);
+        assert.deepEqual((await call('GET')).body.drills, []);
+    } finally {
+        delete process.env.DRILLS_ADMIN_TOKEN;
+    }
+});
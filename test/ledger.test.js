@@ -0,0 +1,65 @@
+// _ledger.js: расход списывается с организации, только если её знает сервер;
+// выдуманный X-Org-Id попадает в общую корзину и жёсткую остановку не обходит.
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { ledgerTags, budgetGuard, recordUsage, setOrgBudget, budgetStatus } from '../api/_ledger.js';
+import { setOrgSettings } from '../api/_orgs.js';
+
+before(() => {
+    delete process.env.LEDGER_DIR; // журнал теста — только в памяти процесса
+    delete process.env.ORGS_DIR;
+    delete process.env.ORG_MONTHLY_BUDGET_USD;
+    process.env.NO_ORG_MONTHLY_BUDGET_USD = '1';
+});
+
+function request(orgId) {
+    return { headers: orgId ? { 'x-org-id': orgId } : {}, body: {} };
+}
+
+function response() {
+    return {
+        statusCode: 200, body: null, headers: {},
+        setHeader(name, value) { this.headers[name] = value; },
+        status(code) { this.statusCode = code; return this; },
+        json(data) { this.body = data; return this; }
+    };
+}
+
+function spend(tags, usd) {
+    recordUsage({
+        endpoint: 'student-turn', provider: 'mock', model: 'mock',
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+        cost: { estimatedCostUSD: usd }
+    }, tags);
+}
+
+test('незнакомый X-Org-Id — общая корзина, заявленная организация остаётся в метках', () => {
+    const tags = ledgerTags(request('made-up-org'));
+    assert.equal(tags.orgId, 'made-up-org');
+    assert.equal(tags.budgetOrgId, null);
+});
+
+test('новые выдуманные id не обходят исчерпанный общий бюджет', () => {
+    spend(ledgerTags(request('fake-1')), 0.6);
+    spend(ledgerTags(request('fake-2')), 0.6);
+    assert.equal(budgetStatus(null).status, 'exceeded');
+
+    const res = response();
+    assert.equal(budgetGuard(request('fake-3'), res), null);
+    assert.equal(res.statusCode, 402);
+    assert.equal(budgetGuard(request(null), response()), null);
+});
+
+test('организация со своим бюджетом или настройками — своя корзина', () => {
+    setOrgBudget('org-budget', { monthlyUSD: 10 });
+    setOrgSettings('org-settings', { certThreshold: 60 });
+    for (const orgId of ['org-budget', 'org-settings']) {
+        const tags = ledgerTags(request(orgId));
+        assert.equal(tags.budgetOrgId, orgId);
+        assert.notEqual(budgetGuard(request(orgId), response()), null);
+    }
+
+    setOrgBudget('org-budget', { reset: true });
+    assert.equal(ledgerTags(request('org-budget')).budgetOrgId, 'org-budget');
+});
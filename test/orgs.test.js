@@ -0,0 +1,57 @@
+// /api/orgs: проходной балл организации хранит сервер, запись — только с ORG_ADMIN_TOKEN.
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { orgSettings } from '../api/_orgs.js';
+import handler from '../api/orgs.js';
+
+before(() => {
+    delete process.env.ORGS_DIR; // настройки теста — только в памяти процесса
+});
+
+function call(method, { token, body, orgId = 'org-cert' } = {}) {
+    const req = {
+        method, body, query: {},
+        headers: { ...(orgId ? { 'x-org-id': orgId } : {}), ...(token ? { authorization: `Bearer ${token}` } : {}) },
+        socket: { remoteAddress: '127.0.0.1' }
+    };
+    const res = {
+        statusCode: 200, body: null,
+        setHeader() {},
+        status(code) { this.statusCode = code; return this; },
+        json(data) { this.body = data; return this; },
+        end() { return this; }
+    };
+    return Promise.resolve(handler(req, res)).then(() => res);
+}
+
+test('неизвестная организация — порог выключен', async () => {
+    assert.deepEqual(orgSettings('org-nobody'), { certThreshold: 0, registered: false });
+    assert.deepEqual(orgSettings(null), { certThreshold: 0, registered: false });
+    const res = await call('GET', { orgId: 'org-nobody' });
+    assert.equal(res.body.settings.certThreshold, 0);
+    assert.equal((await call('GET', { orgId: null })).statusCode, 400);
+});
+
+test('/api/orgs: без ORG_ADMIN_TOKEN запись выключена', async () => {
+    delete process.env.ORG_ADMIN_TOKEN;
+    assert.equal((await call('POST', { token: 'anything', body: { certThreshold: 70 } })).statusCode, 503);
+    assert.equal(orgSettings('org-cert').certThreshold, 0);
+});
+
+test('/api/orgs: порог задаётся только с верным токеном и в пределах 0..100', async () => {
+    process.env.ORG_ADMIN_TOKEN = 'director-token';
+    try {
+        assert.equal((await call('POST', { body: { certThreshold: 70 } })).statusCode, 401);
+        assert.equal((await call('POST', { token: 'wrong', body: { certThreshold: 70 } })).statusCode, 401);
+        assert.equal((await call('POST', { token: 'director-token', body: { certThreshold: 170 } })).statusCode, 400);
+        assert.equal((await call('POST', { token: 'director-token', body: { certThreshold: '70' } })).statusCode, 400);
+
+        const saved = await call('POST', { token: 'director-token', body: { certThreshold: 70 } });
+        assert.equal(saved.statusCode, 200);
+        assert.deepEqual(orgSettings('org-cert'), { certThreshold: 70, registered: true });
+        assert.equal((await call('GET')).body.settings.certThreshold, 70);
+    } finally {
+        delete process.env.ORG_ADMIN_TOKEN;
+    }
+});
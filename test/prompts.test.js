@@ -0,0 +1,62 @@
+// api/_prompts: версии промптов в реестре и правило подъёма версии.
+// test/prompt-versions.json — версия и отпечаток текста каждого промпта на момент последней правки.
+// Поменяли текст — поднимите версию по правилу из registry.js и обновите файл: UPDATE_PROMPT_VERSIONS=1 npm test
+
+import fs from 'fs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { listPrompts, promptVersions, renderPrompt, PromptError } from '../api/_prompts/index.js';
+import { definePrompt } from '../api/_prompts/registry.js';
+
+const LOCK = new URL('./prompt-versions.json', import.meta.url);
+
+// -1 / 0 / 1 — как у сортировки
+function compareVersions(a, b) {
+    const pa = a.split('.').map(Number);
+    const pb = b.split('.').map(Number);
+    for (let i = 0; i < 3; i++) if (pa[i] !== pb[i]) return pa[i] < pb[i] ? -1 : 1;
+    return 0;
+}
+
+test('promptVersions отдаёт версии из реестра, неизвестный промпт — ошибка', () => {
+    const [a, b] = listPrompts();
+    assert.deepEqual(promptVersions(a.id, b.id), { [a.id]: a.version, [b.id]: b.version });
+    assert.throws(() => promptVersions('no-such.prompt'), PromptError);
+});
+
+test('definePrompt принимает только semver и новый id', () => {
+    assert.throws(() => definePrompt({ id: 'test.bad-version', version: '1.0', render: () => '' }), /semver/);
+    const [first] = listPrompts();
+    assert.throws(() => definePrompt({ id: first.id, version: '9.0.0', render: () => '' }), /already defined/);
+});
+
+test('renderPrompt: пропущенная или необъявленная переменная — ошибка, а не «undefined» в тексте', () => {
+    const p = listPrompts().find(x => x.variables.some(v => !v.endsWith('?')));
+    assert.throws(() => renderPrompt(p.id, {}), /missing variables/);
+    const vars = Object.fromEntries(p.variables.filter(v => !v.endsWith('?')).map(v => [v, '']));
+    assert.throws(() => renderPrompt(p.id, { ...vars, typo: 'x' }), /undeclared variables/);
+});
+
+test('правка текста промпта поднимает его версию', () => {
+    const lock = JSON.parse(fs.readFileSync(LOCK, 'utf8'));
+    const current = Object.fromEntries(listPrompts().map(p => [p.id, { version: p.version, fingerprint: p.fingerprint }]));
+    const unbumped = [];
+    const stale = [];
+    for (const [id, now] of Object.entries(current)) {
+        const was = lock[id];
+        if (!was) { stale.push(`${id}: новый промпт`); continue; }
+        const cmp = compareVersions(now.version, was.version);
+        if (cmp < 0) unbumped.push(`${id}: версия ${now.version} ниже прежней ${was.version}`);
+        else if (cmp === 0 && now.fingerprint !== was.fingerprint) {
+            unbumped.push(`${id}: текст изменился, а версия осталась ${now.version} — поднимите по правилу registry.js`);
+        } else if (cmp > 0 || now.fingerprint !== was.fingerprint) stale.push(`${id}: ${was.version} → ${now.version}`);
+    }
+    for (const id of Object.keys(lock)) if (!current[id]) stale.push(`${id}: промпт удалён`);
+
+    assert.deepEqual(unbumped, []);
+    if (process.env.UPDATE_PROMPT_VERSIONS === '1') {
+        fs.writeFileSync(LOCK, JSON.stringify(current, null, 4) + '\n');
+        return;
+    }
+    assert.deepEqual(stale, [], 'prompt-versions.json устарел: UPDATE_PROMPT_VERSIONS=1 npm test');
+});
@@ -0,0 +1,19 @@
+// _roleplay.js: слишком короткий ответ ученика сервер заменяет до записи и показа.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ensureReplyLength, MIN_REPLY_WORDS } from '../api/_roleplay.js';
+
+test('ensureReplyLength: ответ от MIN_REPLY_WORDS слов остаётся как есть', () => {
+    const reply = 'Я думаю, что ответ будет двенадцать';
+    assert.equal(ensureReplyLength(reply), reply);
+});
+
+test('ensureReplyLength: короткий ответ заменяется репликой замешательства', () => {
+    for (const r of [0, 0.3, 0.6, 0.99]) {
+        const replaced = ensureReplyLength('Да.', () => r);
+        assert.notEqual(replaced, 'Да.');
+        assert.ok(replaced.split(/\s+/).length >= MIN_REPLY_WORDS, replaced);
+    }
+    assert.notEqual(ensureReplyLength('', () => 0), '');
+});
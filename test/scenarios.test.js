@@ -0,0 +1,58 @@
+// js/scenarios.js: каталог проходит собственную валидацию, вердикт по цели дрилла.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../js/scenarios.js';
+
+const Scenarios = globalThis.Scenarios;
+
+test('каждый сценарий и дрилл каталога проходит validateScenario', () => {
+    const all = Scenarios.list();
+    assert.ok(Scenarios.list('scenario').length > 0);
+    assert.ok(Scenarios.list('drill').length > 0);
+    for (const sc of all) assert.deepEqual(Scenarios.validateScenario(sc), [], sc.id);
+    assert.equal(new Set(all.map(sc => sc.id)).size, all.length);
+});
+
+test('validateScenario перечисляет ошибки, а не падает', () => {
+    assert.deepEqual(Scenarios.validateScenario(null), ['сценарий должен быть объектом']);
+    const errors = Scenarios.validateScenario({ id: 'Плохой id', kind: 'quest', mode: 'class', difficulty: 9, students: [] });
+    assert.ok(errors.length >= 4);
+});
+
+test('goalVerdict: цель достигнута, только если выполнен весь чек-лист без нарушений', () => {
+    const sc = Scenarios.list('drill').find(d => (d.checklist || []).length >= 2 && (d.violations || []).length);
+    assert.ok(sc, 'в каталоге есть дрилл с чек-листом и нарушениями');
+    const all = sc.checklist.map(c => c.id);
+
+    const done = Scenarios.goalVerdict(sc, all, []);
+    assert.equal(done.achieved, true);
+    assert.equal(done.progress, 100);
+
+    const partial = Scenarios.goalVerdict(sc, all.slice(1), []);
+    assert.equal(partial.achieved, false);
+    assert.ok(partial.progress < 100);
+    assert.equal(partial.items.find(i => i.id === all[0]).met, false);
+
+    const broken = Scenarios.goalVerdict(sc, all, [sc.violations[0].id]);
+    assert.equal(broken.achieved, false);
+    assert.deepEqual(broken.violated, [sc.violations[0].id]);
+
+    assert.equal(Scenarios.goalVerdict({ checklist: [] }, [], []), null);
+});
+
+test('customDrill собирает валидный дрилл и отклоняет неполную форму', () => {
+    const { drill, errors } = Scenarios.customDrill({
+        id: 'org-test-drill', title: 'Тишина за минуту', goal: 'Вернуть внимание класса без крика',
+        durationSec: 180, trains: ['communication', 'unknown'],
+        students: [{ name: 'Костя', types: ['Хулиган'] }],
+        opening: { student: 0, text: 'А мы сегодня не будем работать!' }
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(drill.trains, ['communication']);
+    assert.equal(drill.opening.student, drill.students[0].id);
+
+    const bad = Scenarios.customDrill({ id: 'org-bad', title: '', durationSec: 10 });
+    assert.equal(bad.drill, null);
+    assert.ok(bad.errors.includes('Название обязательно'));
+});
@@ -0,0 +1,78 @@
+// _sessions.js: реплика, сгенерированная сервером, попадает в транскрипт только после подтверждения браузером;
+// попытку, аттестацию и сложность урока фиксирует сервер при старте сессии.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSession, stageTurn, confirmTurn, appendTurn, rewindSession, sessionTranscript, SessionError } from '../api/_sessions.js';
+import sessionHandler from '../api/sessions/[id].js';
+
+delete process.env.SESSIONS_DIR; // сессии теста — только в памяти процесса
+
+test('отложенная реплика не в транскрипте, пока её не подтвердили', () => {
+    const session = createSession({ mode: 'class' });
+    appendTurn(session.id, { role: 'teacher', content: 'Кто решил задачу?' });
+    const shown = stageTurn(session.id, { role: 'student', content: 'Петя: Я решил, но не уверен в ответе', speaker: 'Петя' });
+    stageTurn(session.id, { role: 'student', content: 'Маша: Это был бы ответ после перемотки', speaker: 'Маша' });
+    assert.equal(session.turns.length, 1);
+
+    confirmTurn(session.id, shown);
+    assert.deepEqual(sessionTranscript(session), [
+        { role: 'teacher', content: 'Кто решил задачу?' },
+        { role: 'student', content: 'Петя: Я решил, но не уверен в ответе' }
+    ]);
+});
+
+test('confirmTurn: повторный, чужой или выдуманный recordId — 404', () => {
+    const session = createSession({ mode: 'class' });
+    const id = stageTurn(session.id, { role: 'poll', content: 'Опрос: 2+2? — Петя: 4' });
+    confirmTurn(session.id, id);
+    for (const bad of [id, 'made-up', '__proto__', 42]) {
+        assert.throws(() => confirmTurn(session.id, bad), (e) => e instanceof SessionError && e.status === 404);
+    }
+    assert.equal(session.turns.length, 1);
+});
+
+test('stageTurn принимает только роли, которые пишет сервер', () => {
+    const session = createSession({ mode: 'class' });
+    assert.throws(() => stageTurn(session.id, { role: 'teacher', content: 'Я подставной учитель' }), SessionError);
+});
+
+test('номер попытки считает сервер: attempt клиента не принимается', () => {
+    const scene = { mode: 'class', drillId: 'drill-meltdown', orgId: 'org-attempts', userId: 'user-a' };
+    assert.equal(createSession({ ...scene, attempt: 1 }).meta.attempt, 1);
+    assert.equal(createSession({ ...scene, attempt: 1 }).meta.attempt, 2);
+    assert.equal(createSession({ ...scene, attempt: 99 }).meta.attempt, 3);
+    // Другая сцена или другой пользователь — свой счёт
+    assert.equal(createSession({ ...scene, drillId: 'drill-silence' }).meta.attempt, 1);
+    assert.equal(createSession({ ...scene, userId: 'user-b' }).meta.attempt, 1);
+});
+
+test('аттестация и сложность фиксируются при старте; аттестацию не перемотать', () => {
+    const session = createSession({ mode: 'class', assessment: true, difficulty: 9 });
+    assert.equal(session.meta.assessment, true);
+    assert.equal(session.meta.difficulty, 5);
+    assert.equal(createSession({ mode: 'class', assessment: 'yes' }).meta.assessment, false);
+
+    appendTurn(session.id, { role: 'teacher', content: 'Начинаем урок' });
+    assert.throws(() => rewindSession(session.id, 0), (e) => e instanceof SessionError && e.status === 409);
+    assert.equal(session.turns.length, 1);
+});
+
+test('/api/sessions/:id: ответ на запись несёт длину копии — по ней браузер ставит отметки перемотки', async () => {
+    const session = createSession({ mode: 'class' });
+    const post = async (body) => {
+        const res = {
+            statusCode: 200, body: null,
+            setHeader() {},
+            status(code) { this.statusCode = code; return this; },
+            json(data) { this.body = data; return this; }
+        };
+        await sessionHandler({ method: 'POST', query: { id: session.id }, body, headers: {}, socket: { remoteAddress: '127.0.0.1' } }, res);
+        return res.body;
+    };
+    assert.equal((await post({ action: 'turn', role: 'teacher', content: 'Откройте тетради' })).turns, 1);
+    const recordId = stageTurn(session.id, { role: 'student', content: 'Петя: Открыл', speaker: 'Петя' });
+    assert.equal((await post({ action: 'turn', recordId })).turns, 2);
+    assert.equal((await post({ action: 'turn', role: 'board', content: '2 + 2' })).turns, 3);
+    assert.equal((await post({ action: 'rewind', turns: 1 })).turns, 1);
+});
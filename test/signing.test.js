@@ -0,0 +1,121 @@
+// _signing.js: подпись отчёта директору и проверка подмены.
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { signReport, verifyReport, canonicalJson } from '../api/_signing.js';
+
+const SESSION = {
+    id: 'a2b3c4d5-0000-4000-8000-000000000000', startedAt: 1000, finishedAt: 61000, turns: [{}, {}, {}],
+    meta: { orgId: 'org-1' }
+};
+
+function report() {
+    return {
+        verdict: 'attention',
+        criteria: { feedback: { score: 2, evidence: ['Хорошо, давай разберём'] } },
+        meta: { transcriptSource: 'server', durationSeconds: 60 },
+        attempt: 1, assessment: true,
+        self_assessment: { stars: 5, selfPercent: 100 }
+    };
+}
+
+function signed() {
+    const r = report();
+    r.signature = signReport(r, SESSION);
+    return r;
+}
+
+before(() => {
+    process.env.REPORT_SIGNING_SECRET = 'test-secret';
+});
+
+test('canonicalJson не зависит от порядка ключей и отбрасывает undefined', () => {
+    assert.equal(canonicalJson({ b: 1, a: { d: [1, undefined], c: undefined } }), '{"a":{"d":[1,null]},"b":1}');
+    assert.equal(canonicalJson({ a: 1, b: 2 }), canonicalJson({ b: 2, a: 1 }));
+});
+
+test('подписанный отчёт проходит проверку', () => {
+    const r = signed();
+    assert.equal(r.signature.session.source, 'server');
+    assert.equal(r.signature.session.turns, 3);
+    assert.equal(r.signature.session.orgId, 'org-1');
+    assert.equal(verifyReport(r), 'verified');
+});
+
+test('проверка не зависит от порядка ключей (Firestore его не хранит)', () => {
+    const r = signed();
+    const reordered = JSON.parse(JSON.stringify(Object.fromEntries(Object.entries(r).reverse())));
+    assert.equal(verifyReport(reordered), 'verified');
+});
+
+test('правка отчёта, метаданных сессии или подписи — tampered', () => {
+    const verdict = signed();
+    verdict.verdict = 'recommended';
+    assert.equal(verifyReport(verdict), 'tampered');
+
+    const evidence = signed();
+    evidence.criteria.feedback.evidence.push('Чего не было');
+    assert.equal(verifyReport(evidence), 'tampered');
+
+    const session = signed();
+    session.signature.session.turns = 40;
+    assert.equal(verifyReport(session), 'tampered');
+
+    const attempt = signed();
+    attempt.attempt = 3;
+    assert.equal(verifyReport(attempt), 'tampered');
+
+    const mac = signed();
+    mac.signature.mac = mac.signature.mac.replace(/^./, c => (c === '0' ? '1' : '0'));
+    assert.equal(verifyReport(mac), 'tampered');
+
+    assert.equal(verifyReport(null), 'tampered');
+});
+
+test('самооценку кандидата подпись не покрывает', () => {
+    const r = signed();
+    r.self_assessment = { stars: 1, selfPercent: 20 };
+    assert.equal(verifyReport(r), 'verified');
+    delete r.self_assessment;
+    assert.equal(verifyReport(r), 'verified');
+});
+
+// Подпись версии 1 — как её ставил сервер, пока попытка, аттестация и порог приходили из тела запроса
+function signedV1(r, session) {
+    const envelope = { v: 1, alg: 'HMAC-SHA256', signedAt: '2026-01-01T00:00:00.000Z', session };
+    envelope.mac = crypto.createHmac('sha256', 'test-secret')
+        .update(canonicalJson({ report: r, session: envelope.session, signedAt: envelope.signedAt, v: 1 }))
+        .digest('hex');
+    r.signature = envelope;
+    return r;
+}
+
+test('подпись версии 1 по серверной копии — unverified: попытку и порог присылал браузер', () => {
+    const r = signedV1(report(), { id: SESSION.id, source: 'server', startedAt: 1000, finishedAt: 61000, turns: 3 });
+    assert.equal(verifyReport(r), 'unverified');
+    r.attempt = 2;
+    assert.equal(verifyReport(r), 'tampered');
+});
+
+test('отчёт без подписи — unsigned', () => {
+    assert.equal(verifyReport(report()), 'unsigned');
+});
+
+test('транскрипт из браузера не подписывается', () => {
+    assert.equal(signReport(report(), null), null);
+});
+
+test('старая подпись над транскриптом из браузера — unverified', () => {
+    assert.equal(verifyReport(signedV1(report(), { id: null, source: 'client' })), 'unverified');
+});
+
+test('другой ключ на сервере — tampered', () => {
+    const r = signed();
+    process.env.REPORT_SIGNING_SECRET = 'rotated-secret';
+    try {
+        assert.equal(verifyReport(r), 'tampered');
+    } finally {
+        process.env.REPORT_SIGNING_SECRET = 'test-secret';
+    }
+});
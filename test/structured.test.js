@@ -0,0 +1,111 @@
+// _structured.js: валидация по схеме и раунд ремонта. Ремонт гоняем через провайдер local,
+// направленный на тестовый OpenAI-совместимый сервер с заранее заданными ответами.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { S, validate, completeStructured } from '../api/_structured.js';
+
+const SCHEMA = S.object({
+    score: S.int(0, 100),
+    verdict: S.enum(['good', 'risks']),
+    notes: S.array(S.string({ maxLength: 10 }), { maxItems: 2 }),
+    comment: S.string({ optional: true }),
+    flag: S.bool({ nullable: true })
+});
+
+test('validate приводит типы и обрезает по лимитам', () => {
+    const { value, errors } = validate(SCHEMA, {
+        score: '120',
+        verdict: ' GOOD ',
+        notes: ['первая заметка длинная', 'вторая', 'третья'],
+        flag: 'false',
+        extra: 'лишнее поле'
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { score: 100, verdict: 'good', notes: ['первая зам', 'вторая'], flag: false });
+});
+
+test('validate: optional можно не присылать, nullable без значения — null', () => {
+    const { value, errors } = validate(SCHEMA, { score: 5, verdict: 'risks', notes: [] });
+    assert.deepEqual(errors, []);
+    assert.equal(value.flag, null);
+    assert.ok(!Object.hasOwn(value, 'comment'));
+});
+
+test('validate возвращает ошибки с путём до поля', () => {
+    const { errors } = validate(SCHEMA, { score: 'много', verdict: 'maybe', notes: 'нет' });
+    assert.equal(errors.length, 3);
+    assert.match(errors[0], /^\$\.score: /);
+    assert.match(errors[1], /^\$\.verdict: /);
+    assert.match(errors[2], /^\$\.notes: ожидался массив/);
+});
+
+test('validate map: проверяет значения под произвольными ключами', () => {
+    const { value, errors } = validate(S.map(S.int(0, 3)), { a: 2, b: 9, c: 'x' });
+    assert.deepEqual(value, { a: 2, b: 3 });
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^\$\.c: /);
+});
+
+// ── Ремонт ──
+
+const replies = [];   // ответы модели по очереди
+const requests = [];  // что пришло на сервер
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+        requests.push(JSON.parse(body));
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+            id: 'test', object: 'chat.completion', created: 0, model: 'test',
+            choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: replies.shift() ?? '' } }],
+            usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+        }));
+    });
+});
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.LLM_PROVIDER = 'local';
+    process.env.LLM_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+after(() => server.close());
+
+function run(...contents) {
+    replies.length = 0;
+    requests.length = 0;
+    replies.push(...contents);
+    return completeStructured('session-analysis', { messages: [{ role: 'user', content: 'оцени' }], schema: SCHEMA });
+}
+
+const VALID = JSON.stringify({ score: 70, verdict: 'good', notes: ['ок'], flag: true });
+
+test('completeStructured: валидный ответ — без ремонта', async () => {
+    const r = await run(VALID);
+    assert.equal(r.degraded, false);
+    assert.equal(r.repaired, false);
+    assert.equal(r.data.score, 70);
+    assert.equal(requests.length, 1);
+});
+
+test('completeStructured: ремонт со списком ошибок исправляет ответ', async () => {
+    const r = await run(JSON.stringify({ score: 'x', verdict: 'good', notes: [] }), VALID);
+    assert.equal(r.degraded, false);
+    assert.equal(r.repaired, true);
+    assert.equal(r.data.verdict, 'good');
+    assert.equal(r.usage.total_tokens, 30);
+    assert.equal(requests.length, 2);
+    const repairTurn = requests[1].messages.at(-1).content;
+    assert.match(repairTurn, /\$\.score: /);
+});
+
+test('completeStructured: ремонт не помог — degraded без выдуманных данных', async () => {
+    const r = await run('{"score": 1', 'не JSON');
+    assert.equal(r.degraded, true);
+    assert.equal(r.data, null);
+    assert.match(r.errors[0], /не является валидным JSON/);
+});
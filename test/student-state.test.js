@@ -0,0 +1,43 @@
+// js/student-state.js: метрики ученика остаются в пределах 0–10, психотип меняет реакцию на ту же реплику.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../js/student-state.js';
+
+const StudentState = globalThis.StudentState;
+
+test('create: нейтральное состояние в начале урока', () => {
+    const s = StudentState.create(1000);
+    assert.deepEqual(s, { mood: 5, understanding: 5, engagement: 5, lastInteraction: null, since: 1000 });
+});
+
+test('applyDeltas ограничивает метрики шкалой 0–10 и округляет до десятых', () => {
+    const s = StudentState.create();
+    StudentState.applyDeltas(s, { mood: 7, understanding: -9, engagement: 0.26 });
+    assert.equal(s.mood, 10);
+    assert.equal(s.understanding, 0);
+    assert.equal(s.engagement, 5.3);
+});
+
+test('addressee различает ученика, одноклассника и весь класс', () => {
+    assert.equal(StudentState.addressee(3, null), 'class');
+    assert.equal(StudentState.addressee(3, 3), 'direct');
+    assert.equal(StudentState.addressee(3, 4), 'other');
+});
+
+test('actionDeltas: неизвестное действие ничего не меняет', () => {
+    assert.deepEqual(StudentState.actionDeltas('no-such-action', 'direct', []), { understanding: 0, mood: 0, engagement: 0 });
+});
+
+test('одна и та же резкая реплика: Тревожный сникает, Хулиган заводится', () => {
+    const harsh = { type: 'discipline', tone: 'negative', risk: 'грубость' };
+    const anxious = StudentState.create(0);
+    const bully = StudentState.create(0);
+    const dA = StudentState.applyTurn(anxious, harsh, 'direct', ['Тревожный'], 1000);
+    const dB = StudentState.applyTurn(bully, harsh, 'direct', ['Хулиган'], 1000);
+
+    assert.ok(dA.mood < dB.mood && dB.mood < 0, `настроение: Тревожный ${dA.mood}, Хулиган ${dB.mood}`);
+    assert.ok(dA.engagement < 0, `вовлечённость Тревожного ${dA.engagement}`);
+    assert.ok(dB.engagement > 0, `вовлечённость Хулигана ${dB.engagement}`);
+    assert.notDeepEqual(anxious, bully);
+});
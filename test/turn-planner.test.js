@@ -0,0 +1,108 @@
+// js/turn-planner.js: план реакций класса с детерминированным генератором случайных чисел.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../js/turn-planner.js';
+
+const TurnPlanner = globalThis.TurnPlanner;
+
+// mulberry32: один и тот же seed — одна и та же последовательность
+function seeded(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const CLASS = [
+    { id: 1, types: ['Отличник'] },
+    { id: 2, types: ['Клоун'] },
+    { id: 3, types: ['Провокатор', 'Хулиган'] },
+    { id: 4, types: ['Тихоня'] },
+    { id: 5, types: ['Активист'] }
+];
+const STATES = Object.fromEntries(CLASS.map(s => [s.id, { mood: 6, understanding: 5, engagement: 7 }]));
+const NOISY = { noise: 8, cohesion: 4, authority: 3 };
+
+test('один и тот же seed — один и тот же план', () => {
+    const args = { students: CLASS, states: STATES, climate: NOISY, analysis: { type: 'open_question', tone: 'neutral' }, difficulty: 5 };
+    for (let seed = 1; seed <= 20; seed++) {
+        assert.deepEqual(TurnPlanner.plan({ ...args, rng: seeded(seed) }), TurnPlanner.plan({ ...args, rng: seeded(seed) }));
+    }
+});
+
+test('названный ученик отвечает первым, остальные — только реакции', () => {
+    for (let seed = 1; seed <= 30; seed++) {
+        const beats = TurnPlanner.plan({ students: CLASS, states: STATES, climate: NOISY, addressedId: 4, difficulty: 5, rng: seeded(seed) });
+        assert.deepEqual(beats[0], { studentId: 4, kind: 'reply' });
+        assert.ok(beats.slice(1).every(b => b.kind === 'peer'));
+    }
+});
+
+test('тактов не больше лимита сложности, каждый ученик в плане не больше одного раза', () => {
+    for (const difficulty of [1, 2, 3, 4, 5]) {
+        for (let seed = 1; seed <= 30; seed++) {
+            const beats = TurnPlanner.plan({ students: CLASS, states: STATES, climate: NOISY, difficulty, rng: seeded(seed) });
+            assert.ok(beats.length <= TurnPlanner.MAX_BEATS[difficulty]);
+            // считаются все такты, включая короткий смешок класса (brief)
+            const ids = beats.map(b => b.studentId);
+            assert.equal(new Set(ids).size, ids.length);
+            for (const b of beats.filter(x => x.kind === 'peer')) assert.ok(ids.includes(b.to));
+        }
+    }
+});
+
+test('отозвавшийся смешком на ответ «Клоуна» не отвечает учителю следом', () => {
+    // Оба вызываются добровольцами, «Клоун» — первым; смешок класса — от второго добровольца
+    const pair = [{ id: 2, types: ['Клоун'] }, { id: 6, types: ['Отличник', 'Тихоня'] }];
+    const states = { 2: STATES[2], 6: STATES[1] };
+    const args = { students: pair, states, climate: NOISY, analysis: { type: 'open_question', tone: 'neutral' }, difficulty: 5 };
+    assert.deepEqual(TurnPlanner.plan({ ...args, rng: () => 0 }),
+        [{ studentId: 2, kind: 'reply' }, { studentId: 6, kind: 'peer', to: 2, brief: true }]);
+
+    let choruses = 0;
+    for (let seed = 1; seed <= 200; seed++) {
+        const beats = TurnPlanner.plan({ students: CLASS, states: STATES, climate: NOISY, analysis: { type: 'open_question', tone: 'neutral' }, difficulty: 5, rng: seeded(seed) });
+        if (beats.some(b => b.brief)) choruses++;
+        const ids = beats.map(b => b.studentId);
+        assert.equal(new Set(ids).size, ids.length, `seed ${seed}: ${JSON.stringify(beats)}`);
+    }
+    assert.ok(choruses > 0, 'ни в одном seed класс не отозвался смешком');
+});
+
+test('без добровольцев на утверждение отвечает самый готовый ученик', () => {
+    const beats = TurnPlanner.plan({ students: CLASS, states: STATES, analysis: { type: 'explanation', tone: 'neutral' }, rng: () => 0.999 });
+    assert.deepEqual(beats, [{ studentId: 1, kind: 'reply' }]);
+});
+
+test('на вопрос класс может промолчать', () => {
+    const beats = TurnPlanner.plan({ students: CLASS, states: STATES, analysis: { type: 'open_question', tone: 'neutral' }, rng: () => 0.999 });
+    assert.deepEqual(beats, []);
+});
+
+test('один собеседник — всегда один ответ', () => {
+    assert.deepEqual(TurnPlanner.plan({ students: [{ id: 951, types: [] }], mode: 'colleague', rng: seeded(7) }),
+        [{ studentId: 951, kind: 'reply' }]);
+});
+
+test('встреча: первым говорит самый накалённый, дальше участники отвечают друг другу', () => {
+    const participants = [
+        { id: 921, types: [], interject: 0.9 },
+        { id: 922, types: [], interject: 0.2 },
+        { id: 923, types: [], interject: 0.5 }
+    ];
+    const states = { 921: { mood: 2, understanding: 5, engagement: 5 }, 922: { mood: 8, understanding: 5, engagement: 5 }, 923: { mood: 5, understanding: 5, engagement: 5 } };
+    for (let seed = 1; seed <= 20; seed++) {
+        const beats = TurnPlanner.plan({ students: participants, states, mode: 'parent', difficulty: 5, rng: seeded(seed) });
+        assert.deepEqual(beats[0], { studentId: 921, kind: 'reply' });
+        assert.ok(beats.length <= 1 + TurnPlanner.MAX_MEETING_PEER);
+        beats.slice(1).forEach((b, i) => {
+            assert.equal(b.to, beats[i].studentId);
+            assert.notEqual(b.studentId, b.to);
+        });
+    }
+});